@@ -1,50 +1,52 @@
 // client/src/TypingMonaco.jsx
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useRef } from "react";
 import Editor, { useMonaco } from "@monaco-editor/react";
+import { resolveVariant } from "./src/languages";
+import useTypingEngine from "./src/useTypingEngine";
 
 /**
  * TypingMonaco
  * Props:
- *  - problem: { id, title, text }
+ *  - problem: { id, title, text, variants }
+ *  - language: preferred variant (falls back to the first available one)
  *  - autoSubmit (default true)
  *  - onSubmitAttempt(optional)
  *
  * Pattern: Monaco renders the prompt (readOnly). Typing captured via hidden input and we update
- * decorations on the prompt model to mark correct / incorrect spans + caret.
+ * decorations on the prompt model to mark correct / incorrect spans + caret. Typing state and
+ * scoring come from the shared typing engine.
  */
 
-export default function TypingMonaco({ problem, autoSubmit = true, onSubmitAttempt }) {
+export default function TypingMonaco({ problem, language: preferredLanguage, autoSubmit = true, onSubmitAttempt }) {
   const monaco = useMonaco();
   const editorRef = useRef(null);
   const modelRef = useRef(null);
-  const [typed, setTyped] = useState([]); // array of chars user typed
-  const [startTs, setStartTs] = useState(null);
-  const [endTs, setEndTs] = useState(null);
-  const [finished, setFinished] = useState(false);
   const inputRef = useRef(null);
   const decorationsRef = useRef([]); // store decoration ids
 
-  // build char array of prompt
-  const text = problem?.text ?? "";
+  // build char array of prompt: the code variant the server verifies against
+  const { language, text } = resolveVariant(problem, preferredLanguage);
   const chars = [...text]; // preserves all characters
 
+  const { state, stats, handleKeyDown, reset } = useTypingEngine(text, {
+    attemptFields: { problemId: problem.id, language },
+    autoSubmit,
+    onFinish: onSubmitAttempt,
+  });
+  const typed = state.typed;
+  const finished = state.finishedAt !== null;
+
   useEffect(() => {
-    // reset on problem change
-    setTyped([]);
-    setStartTs(null);
-    setEndTs(null);
-    setFinished(false);
-    decorationsRef.current = [];
-    // focus hidden input after small delay so editor is ready
+    // the engine resets itself on problem change; focus hidden input after small delay so editor is ready
     setTimeout(() => inputRef.current && inputRef.current.focus(), 50);
-  }, [problem]);
+  }, [problem, language]);
 
   // when monaco loaded and editor mounted, create model (readOnly)
   function handleEditorDidMount(editor, monacoApi) {
     editorRef.current = editor;
-    // create model for the prompt text
-    const model = monacoApi.editor.getModel(monacoApi.Uri.parse(`inmemory://model/${problem.id}`))
-      || monacoApi.editor.createModel(text, "plaintext", monacoApi.Uri.parse(`inmemory://model/${problem.id}`));
+    // create model for the prompt text, one per problem variant
+    const uri = monacoApi.Uri.parse(`inmemory://model/${problem.id}/${language || "text"}`);
+    const model = monacoApi.editor.getModel(uri) || monacoApi.editor.createModel(text, language || "plaintext", uri);
     modelRef.current = model;
     editor.setModel(model);
     editor.updateOptions({ readOnly: true, minimap: { enabled: false } });
@@ -61,13 +63,6 @@ export default function TypingMonaco({ problem, autoSubmit = true, onSubmitAttem
     return { lineNumber, column };
   }
 
-  // Make a single-char range at index
-  function rangeForIndex(idx) {
-    const start = indexToPosition(idx);
-    const end = indexToPosition(idx + 1);
-    return new monaco.editor.Range(start.lineNumber, start.column, end.lineNumber, end.column);
-  }
-
   // Compute decorations: for each typed char, mark correct/incorrect. Also caret decoration.
   function updateDecorations() {
     if (!editorRef.current || !monaco) return;
@@ -109,108 +104,14 @@ export default function TypingMonaco({ problem, autoSubmit = true, onSubmitAttem
     decorationsRef.current = editorRef.current.deltaDecorations(decorationsRef.current, decs);
   }
 
-  // start timer
-  function startIfNeeded() {
-    if (!startTs) setStartTs(Date.now());
-  }
-
-  // finish
-  function finishIfNeeded() {
-    if (typed.length >= chars.length && !finished) {
-      const now = Date.now();
-      setEndTs(now);
-      setFinished(true);
-      const durationMs = now - (startTs || now);
-      const typedStr = typed.join("");
-      const wpm = calcWPM(typedStr.length, durationMs);
-      const accuracy = calcAccuracy(chars, typed);
-      const attempt = {
-        user: localStorage.getItem("nick") || "anon",
-        problemId: problem.id,
-        wpm,
-        accuracy,
-        rawText: typedStr,
-        durationMs,
-      };
-      if (autoSubmit) {
-        fetch("/api/attempts", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(attempt),
-        }).catch((e) => console.error("save attempt failed", e));
-      }
-      if (onSubmitAttempt) onSubmitAttempt(attempt);
-    }
-  }
-
-  // handle keydown from hidden input
-  function handleKeyDown(e) {
-    // block paste and ctrl/meta combos that paste
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "v") {
-      e.preventDefault();
-      return;
-    }
-    startIfNeeded();
-
-    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-      e.preventDefault();
-      setTyped((t) => {
-        const next = [...t, e.key];
-        return next;
-      });
-    } else if (e.key === "Backspace") {
-      e.preventDefault();
-      setTyped((t) => {
-        if (t.length === 0) return t;
-        const next = t.slice(0, t.length - 1);
-        return next;
-      });
-    } else if (e.key === "Enter") {
-      e.preventDefault();
-      setTyped((t) => [...t, "\n"]);
-    } else if (e.key === "Tab") {
-      e.preventDefault();
-      setTyped((t) => [...t, " ", " ", " ", " "]); // treat tab as 4 spaces
-    } else if (e.key === "Escape") {
-      e.preventDefault();
-      // reset
-      setTyped([]);
-      setStartTs(null);
-      setEndTs(null);
-      setFinished(false);
-      decorationsRef.current = [];
-    } else {
-      // ignore arrows, home, end, etc.
-    }
-  }
-
   // recompute decorations when typed changes
   useEffect(() => {
     if (!monaco || !editorRef.current) return;
     updateDecorations();
-    finishIfNeeded();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [typed, monaco, finished]);
 
-  // metrics helpers
-  function calcWPM(charsCount, ms) {
-    const words = charsCount / 5;
-    const minutes = ms / 60000;
-    return minutes > 0 ? Math.round(words / minutes) : 0;
-  }
-  function calcAccuracy(expectedArr, typedArr) {
-    if (!typedArr || typedArr.length === 0) return 100;
-    let correct = 0;
-    for (let i = 0; i < typedArr.length; i++) {
-      if (i >= expectedArr.length) break;
-      if (typedArr[i] === expectedArr[i]) correct++;
-    }
-    return Math.round((correct / typedArr.length) * 100);
-  }
-
-  const elapsedMs = (endTs || Date.now()) - (startTs || Date.now());
-  const wpm = startTs ? calcWPM(typed.join("").length, elapsedMs) : 0;
-  const accuracy = calcAccuracy(chars, typed);
+  const { elapsedMs, wpm, accuracy } = stats;
 
   return (
     <div onClick={() => inputRef.current && inputRef.current.focus()} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
@@ -259,11 +160,7 @@ export default function TypingMonaco({ problem, autoSubmit = true, onSubmitAttem
         <div>
           <button
             onClick={() => {
-              setTyped([]);
-              setStartTs(null);
-              setEndTs(null);
-              setFinished(false);
-              decorationsRef.current = [];
+              reset();
               inputRef.current && inputRef.current.focus();
             }}
           >
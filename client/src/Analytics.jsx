@@ -0,0 +1,151 @@
+// client/src/Analytics.jsx
+import React, { useEffect, useState } from "react";
+import { api, isAbort } from "./api";
+import { LANGUAGES } from "./languages";
+
+const ROWS = ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./"];
+// shifted symbols are typed on the same physical key as their base char
+const SHIFTED = '~!@#$%^&*()_+{}|:"<>?';
+const BASE = "`1234567890-=[]\\;',./";
+const MIN_BIGRAM_COUNT = 3; // ignore pairs seen too rarely to say anything
+
+/**
+ * Analytics
+ * Keyboard heatmap and worst-bigram table for one user, from
+ * GET /api/users/:user/analytics.
+ *
+ * Props:
+ *  - user: user name whose attempts are aggregated
+ */
+export default function Analytics({ user }) {
+  const [data, setData] = useState(null);
+  const [language, setLanguage] = useState(""); // "" = every language and TypingTest
+  const [metric, setMetric] = useState("errors"); // "errors" | "speed"
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.get(`/api/users/${encodeURIComponent(user)}/analytics`, { query: { language }, signal: controller.signal })
+      .then(setData)
+      .catch((err) => !isAbort(err) && console.error(err));
+    return () => controller.abort();
+  }, [user, language]);
+
+  if (!data) return <div>Loading stats…</div>;
+
+  const keys = physicalKeys(data.keys);
+  const slowest = Math.max(1, ...Object.values(keys).map((k) => k.avgMs ?? 0));
+  const bigrams = data.bigrams.filter((b) => b.count >= MIN_BIGRAM_COUNT && b.errors > 0).slice(0, 10);
+
+  function heat(key) {
+    const k = keys[key];
+    if (!k) return "#1e293b";
+    // errors: 20%+ mistyped is fully red; speed: relative to the slowest key
+    const level = metric === "errors" ? Math.min(1, k.errorRate / 20) : (k.avgMs ?? 0) / slowest;
+    return `rgba(248,113,113,${(0.1 + level * 0.8).toFixed(2)})`;
+  }
+
+  function title(key) {
+    const k = keys[key];
+    if (!k) return "no data";
+    return `${k.errors}/${k.count} mistyped (${k.errorRate}%)${k.avgMs !== null ? `, ${k.avgMs} ms avg` : ""}`;
+  }
+
+  const renderKey = (key, label = key, width = 32) => (
+    <div key={key} className="an-key" style={{ width, background: heat(key) }} title={title(key)}>
+      {label}
+    </div>
+  );
+
+  return (
+    <div className="an-root">
+      <div style={{ display: "flex", gap: 12, alignItems: "center", marginBottom: 12 }}>
+        <h2 style={{ margin: 0 }}>Key stats — {user}</h2>
+        <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+          <option value="">All attempts</option>
+          {LANGUAGES.map((l) => (
+            <option key={l.id} value={l.id}>{l.label}</option>
+          ))}
+        </select>
+        <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+          <option value="errors">Error rate</option>
+          <option value="speed">Slowness</option>
+        </select>
+        <span className="an-muted">{data.attempts} attempts</span>
+      </div>
+
+      {data.attempts === 0 ? (
+        <div className="an-muted">No attempts yet — finish a few problems to see your stats.</div>
+      ) : (
+        <>
+          <div className="an-keyboard">
+            {ROWS.map((row, i) => (
+              <div key={i} className="an-row" style={{ paddingLeft: i * 16 }}>
+                {[...row].map((c) => renderKey(c))}
+                {i === 2 && renderKey("\n", "Enter", 60)}
+              </div>
+            ))}
+            <div className="an-row" style={{ paddingLeft: 110 }}>{renderKey(" ", "Space", 220)}</div>
+          </div>
+
+          <h3>Worst bigrams</h3>
+          {bigrams.length === 0 ? (
+            <div className="an-muted">No repeated mistakes yet.</div>
+          ) : (
+            <table className="an-table">
+              <thead>
+                <tr><th>Pair</th><th>Mistyped</th><th>Error rate</th><th>Avg time</th></tr>
+              </thead>
+              <tbody>
+                {bigrams.map((b) => (
+                  <tr key={b.key}>
+                    <td><code>{showChars(b.key)}</code></td>
+                    <td>{b.errors}/{b.count}</td>
+                    <td>{b.errorRate}%</td>
+                    <td>{b.avgMs !== null ? `${b.avgMs} ms` : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      <style>{`
+        .an-root { text-align: left; }
+        .an-keyboard { display: inline-flex; flex-direction: column; gap: 4px; padding: 12px; background: #0f1720; border-radius: 8px; }
+        .an-row { display: flex; gap: 4px; }
+        .an-key { height: 32px; border-radius: 4px; border: 1px solid #334155; color: #e6eef3; display: flex; align-items: center; justify-content: center; font-family: ui-monospace, Menlo, Monaco, 'Courier New', monospace; font-size: 13px; }
+        .an-table { border-collapse: collapse; }
+        .an-table th, .an-table td { padding: 4px 12px; text-align: left; border-bottom: 1px solid #334155; }
+        .an-muted { color: #9aa6b2; font-size: 13px; }
+      `}</style>
+    </div>
+  );
+}
+
+// fold per-char stats onto keyboard keys ("A" and "a" share a key, as do "!" and "1")
+function physicalKeys(rows) {
+  const out = {};
+  for (const r of rows) {
+    const shifted = SHIFTED.indexOf(r.key);
+    const key = shifted >= 0 ? BASE[shifted] : r.key.toLowerCase();
+    const k = (out[key] ||= { count: 0, errors: 0, timeMs: 0, timed: 0 });
+    k.count += r.count;
+    k.errors += r.errors;
+    if (r.avgMs !== null) {
+      // avgMs is already averaged; weight it back by its sample count
+      k.timeMs += r.avgMs * r.count;
+      k.timed += r.count;
+    }
+  }
+  for (const k of Object.values(out)) {
+    k.errorRate = Math.round((k.errors / k.count) * 1000) / 10;
+    k.avgMs = k.timed ? Math.round(k.timeMs / k.timed) : null;
+  }
+  return out;
+}
+
+// make whitespace in a bigram visible
+function showChars(s) {
+  return s.replace(/ /g, "␣").replace(/\n/g, "⏎");
+}
@@ -4,32 +4,250 @@ import TypingCanvas from "./TypingCanvas";
 import Leaderboard from "./Leaderboard";
 import TypingFast from "./TypingFast";
 import TypingFastCached from "./TypingFastCached";
+import AttemptPage from "./AttemptPage";
+import AuthPanel from "./AuthPanel";
+import ProblemEditor from "./ProblemEditor";
+import Analytics from "./Analytics";
+import Dashboard from "./Dashboard";
+import DailyChallenge from "./DailyChallenge";
+import DailyPage from "./DailyPage";
+import LeaderboardPage from "./LeaderboardPage";
+import Link from "./Link";
+import OutboxStatus from "./OutboxStatus";
+import Race from "./Race";
+import { api, isAbort } from "./api";
+import { clearSession, getToken } from "./auth";
+import { getPreferredLanguage, resolveVariant, savePreferredLanguage } from "./languages";
+import { syncOutbox } from "./outbox";
+import { cachedProblems, saveProblems } from "./problemCache";
+import { matchRoute, navigate, routePath, useLocation } from "./router";
+import { syncSettings } from "./settings";
+import { getPreferredStrictness, savePreferredStrictness } from "./strictness";
 
 import TypingTest from "./TypingTest";
 
 function App(){
-  const [problems, setProblems] = useState([]);
-  const [selected, setSelected] = useState(null);
-  useEffect(()=> {
-    fetch("http://localhost:4001/api/problems")
-      .then(r=>r.json())
-      .then(setProblems)
+  const [problems, setProblems] = useState(cachedProblems);
+  const [problem, setProblem] = useState(null); // the routed problem, from GET /api/problems/:id
+  const [problemMissing, setProblemMissing] = useState(false);
+  const [daily, setDaily] = useState(null); // today's challenge from GET /api/daily, null offline
+  const [user, setUser] = useState(null); // signed-in user, null when anonymous
+  const [language, setLanguage] = useState(getPreferredLanguage);
+  const [strictness, setStrictness] = useState(getPreferredStrictness);
+  const { pathname, search } = useLocation();
+  const route = matchRoute(pathname);
+  const problemId = route.name === "problem" ? route.params.id : null;
+
+  function changeLanguage(id){
+    savePreferredLanguage(id);
+    setLanguage(id);
+  }
+
+  function changeStrictness(id){
+    savePreferredStrictness(id);
+    setStrictness(id);
+  }
+
+  function loadProblems(){
+    api.get("/api/problems")
+      .then(list=>{
+        setProblems(list);
+        saveProblems(list);
+        // keep the open problem in step with edits made under /manage
+        setProblem(p=>p && (list.find(x=>x.id===p.id) || p));
+      })
+      // offline: keep practising on the cached list
       .catch(err=>console.error(err));
+  }
+  useEffect(loadProblems, []);
+
+  // a deep link can arrive before (or without) the list, so the problem is fetched on its own
+  useEffect(()=> {
+    if (!problemId) return;
+    // switching problem cancels the previous problem's request
+    const controller = new AbortController();
+    setProblem(p=>p && p.id === problemId ? p : null);
+    setProblemMissing(false);
+    api.get(`/api/problems/${encodeURIComponent(problemId)}`, { signal: controller.signal })
+      .catch(err=>{
+        if (isAbort(err)) throw err;
+        // 404: gone; offline: fall back to the cached copy
+        return err.status === 404 ? null : cachedProblems().find(p=>p.id === problemId) || null;
+      })
+      .then(p=>{
+        setProblem(p);
+        setProblemMissing(!p);
+      })
+      .catch(err=>{ if (!isAbort(err)) console.error(err); });
+    return ()=>controller.abort();
+  }, [problemId]);
+
+  // the daily challenge, fetched again when its day ends so an open tab moves on at midnight
+  useEffect(()=> {
+    let timer;
+    const controller = new AbortController();
+    function loadDaily(){
+      api.get("/api/daily", { signal: controller.signal })
+        .then(d=>{
+          setDaily(d);
+          timer = setTimeout(loadDaily, Math.max(1000, d.endsAt - Date.now()));
+        })
+        .catch(err=>{
+          if (isAbort(err)) return;
+          setDaily(null);
+          if (err.status !== 0 && err.status !== 404) console.error(err);
+        });
+    }
+    loadDaily();
+    return ()=>{
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, []);
+
+  // restore the session from a stored token
+  useEffect(()=> {
+    if (!getToken()) return;
+    api.get("/api/auth/me")
+      .then(setUser)
+      .catch(err=>{
+        if (err.status === 401) clearSession();
+        else console.error(err);
+      });
   }, []);
+
+  // appearance settings follow the account: pull them on sign-in / session restore
+  const userId = user?.id;
+  useEffect(()=> {
+    if (userId) syncSettings().catch(err=>console.error(err));
+  }, [userId]);
+
+  // results queued while this user was signed out can go up now
+  useEffect(()=> {
+    if (userId) syncOutbox({ force: true });
+  }, [userId]);
+
+  function signOut(){
+    api.post("/api/auth/logout")
+      .catch(err=>console.error(err));
+    clearSession();
+    setUser(null);
+    if (route.name === "race" || route.name === "manage") navigate("/");
+  }
+
+  function selectProblem(p){
+    navigate(routePath("problem", { id: p.id }));
+  }
+
+  const selected = problemId && problem && problem.id === problemId ? problem : null;
+  // attempts at today's problem are entries in the daily challenge
+  const dailyDate = selected && daily && daily.problem.id === selected.id ? daily.date : null;
+  const navStyle = active => ({marginRight:10,fontWeight:active ? 'bold' : 'normal'});
+
+  function renderPage(){
+    switch (route.name) {
+      case "manage":
+        return user?.role === "admin"
+          ? <ProblemEditor problems={problems} onChanged={loadProblems} />
+          : <div>Only admins can manage problems.</div>;
+      case "race":
+        return user ? <Race problems={problems} language={language} /> : <div>Sign in to race.</div>;
+      case "user":
+        return (
+          <>
+            <Dashboard key={route.params.name} user={route.params.name} problems={problems} />
+            <Analytics key={`analytics:${route.params.name}`} user={route.params.name} />
+          </>
+        );
+      case "attempt":
+        return <AttemptPage attemptId={route.params.id} />;
+      case "daily":
+        return <DailyPage daily={daily} strictness={strictness} />;
+      case "leaderboard":
+        return <LeaderboardPage problems={problems} language={language} strictness={strictness} search={search} />;
+      case "home":
+      case "problem":
+        return (
+          <div style={{display:'flex',gap:20}}>
+            <div style={{width:320}}>
+              <DailyChallenge daily={daily} active={!!dailyDate} />
+              <ProblemList
+                problems={problems}
+                dailyId={daily?.problem.id}
+                onSelect={selectProblem}
+                selected={selected}
+                language={language}
+                onLanguageChange={changeLanguage}
+              />
+            </div>
+            <div style={{flex:1}}>
+              {selected ? (
+                // keyed so switching problem or language starts a clean attempt
+                <TypingFastCached
+                  key={`${selected.id}:${language}`}
+                  problem={selected}
+                  daily={dailyDate}
+                  language={language}
+                  onLanguageChange={changeLanguage}
+                  strictness={strictness}
+                  onStrictnessChange={changeStrictness}
+                />
+              ) : problemMissing ? (
+                <div>Problem not found. Pick another one on the left.</div>
+              ) : problemId ? (
+                <div>Loading problem…</div>
+              ) : <div>Select a problem on left</div>}
+            </div>
+            <div style={{width:300}}>
+              {selected && (
+                // keyed so switching mode while practising shows that mode's board
+                <Leaderboard
+                  key={strictness}
+                  problemId={selected.id}
+                  language={resolveVariant(selected, language).language}
+                  strictness={strictness}
+                />
+              )}
+            </div>
+          </div>
+        );
+      default:
+        return <div>Page not found. <Link to="/">Back to practice</Link></div>;
+    }
+  }
+
   return (
     <div style={{padding:20,fontFamily:'Inter, Arial'}}>
-      <h1>Typing MVP</h1>
-      <div style={{display:'flex',gap:20}}>
-        <div style={{width:320}}>
-          <ProblemList problems={problems} onSelect={setSelected} selected={selected}/>
-        </div>
-        <div style={{flex:1}}>
-          {selected ? <TypingFastCached problem={selected} /> : <div>Select a problem on left</div>}
-        </div>
-        <div style={{width:300}}>
-          {selected && <Leaderboard problemId={selected.id} />}
-        </div>
+      <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:20}}>
+        <h1>Typing MVP</h1>
+        <OutboxStatus problems={problems} />
+        {user ? (
+          <div>
+            Signed in as <strong>{user.name}</strong>{" "}
+            <button onClick={signOut}>Sign out</button>
+          </div>
+        ) : (
+          <AuthPanel onSignedIn={setUser} />
+        )}
       </div>
+      <nav style={{marginBottom:16}}>
+        <Link to="/" style={navStyle(route.name === "home" || route.name === "problem")}>Practice</Link>
+        <Link to="/daily" style={navStyle(route.name === "daily")}>Daily</Link>
+        <Link to="/leaderboard" style={navStyle(route.name === "leaderboard")}>Leaderboard</Link>
+        {user && (
+          <>
+            <Link to="/race" style={navStyle(route.name === "race")}>Race</Link>
+            <Link
+              to={routePath("user", { name: user.name })}
+              style={navStyle(route.name === "user" && route.params.name.toLowerCase() === user.name.toLowerCase())}
+            >
+              My stats
+            </Link>
+            {user.role === "admin" && <Link to="/manage" style={navStyle(route.name === "manage")}>Manage problems</Link>}
+          </>
+        )}
+      </nav>
+      {renderPage()}
       <div style={{marginTop: 32}}>
         <TypingTest />
       </div>
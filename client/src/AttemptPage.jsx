@@ -0,0 +1,102 @@
+// client/src/AttemptPage.jsx
+import React, { useEffect, useState } from "react";
+import AttemptReplay from "./AttemptReplay";
+import { api, isAbort } from "./api";
+import Link from "./Link";
+import { resolveVariant } from "./languages";
+import { routePath } from "./router";
+import SpeedChart from "./SpeedChart";
+import { speedTimeline } from "./typingEngine";
+
+// older problem attempts didn't store their prompt, but every key was logged with the
+// character expected at its position: together those spell the prompt as far as it was typed
+function promptFromKeystrokes(keystrokes) {
+  const chars = [];
+  for (const k of keystrokes) if (k.expected !== null) chars[k.idx] = k.expected;
+  return Array.from(chars, (ch) => ch ?? "").join("");
+}
+
+// the text an attempt was typed against: its stored prompt, else the problem's text while that
+// still agrees with the keystroke log (it may have been edited since), else the log's
+function attemptText(attempt, problem) {
+  if (typeof attempt.prompt === "string") return attempt.prompt;
+  if (problem) {
+    const chars = [...resolveVariant(problem, attempt.language).text];
+    if (attempt.keystrokes.every((k) => k.expected === null || k.expected === chars[k.idx])) return chars.join("");
+  }
+  return promptFromKeystrokes(attempt.keystrokes);
+}
+
+/**
+ * AttemptPage
+ * /attempts/:id — loads the attempt (GET /api/attempts/:id) and replays it against
+ * the text it was typed against, which the attempt carries. Problem attempts also
+ * fetch their problem (GET /api/problems/:id) for its title; it may have been
+ * edited or deleted since.
+ *
+ * Props:
+ *  - attemptId
+ */
+export default function AttemptPage({ attemptId }) {
+  const [data, setData] = useState(null); // { attempt, problem } | { error }
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setData(null);
+    async function load() {
+      let attempt;
+      try {
+        attempt = await api.get(`/api/attempts/${encodeURIComponent(attemptId)}`, { signal });
+      } catch (err) {
+        if (err.status === 404) return { error: "Attempt not found." };
+        throw err;
+      }
+      if (!attempt.problemId) return { attempt, problem: null };
+      try {
+        return { attempt, problem: await api.get(`/api/problems/${encodeURIComponent(attempt.problemId)}`, { signal }) };
+      } catch (err) {
+        if (err.status === 404) return { attempt, problem: null };
+        throw err;
+      }
+    }
+    load()
+      .then(setData)
+      .catch((err) => {
+        if (isAbort(err)) return;
+        console.error(err);
+        setData({ error: "Could not load the attempt." });
+      });
+    return () => controller.abort();
+  }, [attemptId]);
+
+  if (!data) return <div>Loading attempt…</div>;
+  if (data.error) return <div>{data.error}</div>;
+
+  const { attempt, problem } = data;
+  const text = attemptText(attempt, problem);
+  const title = problem ? problem.title : attempt.problemId ? "a deleted problem" : `Typing test (${attempt.mode})`;
+  return (
+    <div>
+      <h2 style={{ margin: "8px 0" }}>Replay: {title}</h2>
+      <div style={{ fontSize: 12, color: "#666", marginBottom: 8 }}>
+        <Link to={routePath("user", { name: attempt.user })}>{attempt.user}</Link> — {attempt.wpm} wpm
+        {attempt.rawWpm !== undefined && ` (raw ${attempt.rawWpm})`} — {attempt.accuracy}%
+        {attempt.consistency !== undefined && ` — ${attempt.consistency}% consistency`} —{" "}
+        {new Date(attempt.createdAt).toLocaleString()}
+      </div>
+      <AttemptReplay text={text} language={attempt.language} keystrokes={attempt.keystrokes} />
+      {/* older attempts have no consistency: they were scored before the per-second metrics */}
+      {attempt.consistency !== undefined && text && attempt.keystrokes.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <SpeedChart timeline={speedTimeline([...text], attempt.keystrokes, attempt.durationMs)} />
+        </div>
+      )}
+      {problem && (
+        <div style={{ marginTop: 12 }}>
+          <Link to={routePath("problem", { id: problem.id })}>Try this problem</Link>
+        </div>
+      )}
+    </div>
+  );
+}
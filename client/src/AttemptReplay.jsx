@@ -0,0 +1,133 @@
+// client/src/AttemptReplay.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { tokenize } from "./highlight";
+
+/**
+ * AttemptReplay
+ * Plays a recorded keystroke log back on top of the prompt.
+ *
+ * Props:
+ *  - text: the prompt the attempt was typed against
+ *  - language: language of `text`, for syntax colouring (optional)
+ *  - keystrokes: [{ t, key, idx, expected, auto? }] as logged by TypingFastCached
+ *    (t = ms since the first keydown, key = typed char or "Backspace", rejected keys are skipped,
+ *    auto = whitespace filled in by auto-indent)
+ */
+export default function AttemptReplay({ text, language, keystrokes = [] }) {
+  const chars = [...(text ?? "")];
+  // eslint-disable-next-line react-hooks/exhaustive-deps -- chars is derived from text
+  const tokens = useMemo(() => tokenize(chars, language), [text, language]);
+  const durationMs = keystrokes.length ? keystrokes[keystrokes.length - 1].t : 0;
+
+  const [elapsed, setElapsed] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // rewind whenever a different log is loaded
+  useEffect(() => {
+    setElapsed(0);
+    setPlaying(false);
+  }, [keystrokes]);
+
+  // advance the playhead on animation frames while playing
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let id = requestAnimationFrame(function tick(now) {
+      const dt = (now - last) * speed;
+      last = now;
+      setElapsed((e) => Math.min(durationMs, e + dt));
+      id = requestAnimationFrame(tick);
+    });
+    return () => cancelAnimationFrame(id);
+  }, [playing, speed, durationMs]);
+
+  // stop at the end of the log
+  useEffect(() => {
+    if (playing && elapsed >= durationMs) setPlaying(false);
+  }, [playing, elapsed, durationMs]);
+
+  function togglePlay() {
+    if (!playing && elapsed >= durationMs) setElapsed(0);
+    setPlaying((p) => !p);
+  }
+
+  const { typed, auto, pos } = replayUpTo(keystrokes, elapsed);
+
+  return (
+    <div className="replay-root">
+      <div className="replay-prompt">
+        {chars.map((c, i) => {
+          const classes = ["replay-char"];
+          if (tokens[i]) classes.push(`tok-${tokens[i]}`);
+          if (typed[i] !== undefined) classes.push(typed[i] === c ? "correct" : "incorrect");
+          if (auto[i]) classes.push("auto");
+          if (i === pos) classes.push("cursor");
+          return (
+            <span key={i} className={classes.join(" ")}>
+              {c}
+            </span>
+          );
+        })}
+        {pos >= chars.length && <span className="replay-char cursor"> </span>}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        <button onClick={togglePlay} disabled={!keystrokes.length}>
+          {playing ? "Pause" : "Play"}
+        </button>
+        <button onClick={() => { setElapsed(0); setPlaying(false); }}>Restart</button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+          {[0.5, 1, 2, 4].map((s) => (
+            <option key={s} value={s}>{s}x</option>
+          ))}
+        </select>
+        <input
+          type="range"
+          min={0}
+          max={durationMs}
+          value={Math.round(elapsed)}
+          onChange={(e) => setElapsed(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ color: "#9aa6b2", fontSize: 12, minWidth: 80, textAlign: "right" }}>
+          {(elapsed / 1000).toFixed(1)}s / {(durationMs / 1000).toFixed(1)}s
+        </span>
+      </div>
+
+      <style>{`
+        .replay-prompt { white-space: pre-wrap; font-family: ui-monospace, Menlo, Monaco, 'Courier New', monospace; font-size: 15px; line-height: 1.5; padding: 12px; border-radius: 8px; background: #0f1720; color: #e6eef3; border: 1px solid #1f2933; text-align: left; }
+        .replay-char.tok-keyword { color: #c4b5fd; }
+        .replay-char.tok-string { color: #fcd34d; }
+        .replay-char.tok-comment { color: #64748b; font-style: italic; }
+        .replay-char.tok-number { color: #fdba74; }
+        .replay-char.tok-punctuation { color: #94a3b8; }
+        .replay-char.correct { color: #86efac; background: rgba(16,185,129,0.06); }
+        .replay-char.incorrect { color: #ffb4b4; background: rgba(248,113,113,0.04); text-decoration: underline wavy rgba(248,113,113,0.12); }
+        .replay-char.auto { opacity: 0.45; }
+        .replay-char.cursor { box-shadow: inset 2px 0 0 #7dd3fc; }
+      `}</style>
+    </div>
+  );
+}
+
+// rebuild the typed chars and caret position after every keystroke logged up to `ms`
+function replayUpTo(keystrokes, ms) {
+  const typed = [];
+  const auto = [];
+  let pos = 0;
+  for (const k of keystrokes) {
+    if (k.t > ms) break;
+    if (k.rejected) continue; // refused by stop-on-error: nothing was written
+    if (k.key === "Backspace") {
+      typed[k.idx] = undefined;
+      auto[k.idx] = false;
+      pos = k.idx;
+    } else {
+      typed[k.idx] = k.key;
+      auto[k.idx] = !!k.auto;
+      pos = k.idx + 1;
+    }
+  }
+  return { typed, auto, pos };
+}
@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { ApiError, api } from "./api";
+import { saveSession } from "./auth";
+
+/**
+ * AuthPanel — sign in / register form.
+ * Props:
+ *  - onSignedIn(user): called with the public user after a successful login or registration
+ */
+export default function AuthPanel({ onSignedIn }) {
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await api.post(`/api/auth/${mode}`, { name, password });
+      saveSession(data);
+      setPassword("");
+      onSignedIn(data.user);
+    } catch (err) {
+      if (err instanceof ApiError && err.status) {
+        setError(ERROR_MESSAGES[err.code] || "Something went wrong");
+      } else {
+        console.error(err);
+        setError("Server unreachable");
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+      <input placeholder="name" value={name} onChange={(e) => setName(e.target.value)} autoComplete="username" />
+      <input
+        placeholder="password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete={mode === "login" ? "current-password" : "new-password"}
+      />
+      <button type="submit" disabled={busy}>{mode === "login" ? "Sign in" : "Register"}</button>
+      <a
+        href="#"
+        onClick={(e) => {
+          e.preventDefault();
+          setError(null);
+          setMode(mode === "login" ? "register" : "login");
+        }}
+        style={{ fontSize: 12 }}
+      >
+        {mode === "login" ? "Create an account" : "I already have an account"}
+      </a>
+      {error && <span style={{ color: "#f87171", fontSize: 12 }}>{error}</span>}
+    </form>
+  );
+}
+
+const ERROR_MESSAGES = {
+  invalid_name: "Name must be 3-24 letters, digits, _ or -",
+  weak_password: "Password must be at least 8 characters",
+  name_taken: "That name is already taken",
+  invalid_credentials: "Wrong name or password",
+};
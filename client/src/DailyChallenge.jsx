@@ -0,0 +1,43 @@
+// client/src/DailyChallenge.jsx
+import React from "react";
+import Link from "./Link";
+import { routePath } from "./router";
+
+/**
+ * DailyChallenge
+ * Highlighted card above the problem list for today's challenge (GET /api/daily):
+ * the problem, a way into it and a link to the day's board and past winners.
+ *
+ * Props:
+ *  - daily: { date, problem, endsAt } or null (nothing is shown)
+ *  - active: the challenge's problem is the one open
+ */
+export default function DailyChallenge({ daily, active }) {
+  if (!daily) return null;
+  const hoursLeft = Math.max(1, Math.ceil((daily.endsAt - Date.now()) / 3600000));
+
+  return (
+    <section
+      aria-label="Daily challenge"
+      style={{
+        marginBottom: 12,
+        padding: 10,
+        borderRadius: 8,
+        border: `2px solid ${active ? "#0ea5e9" : "#7dd3fc"}`,
+        background: "rgba(125,211,252,0.12)",
+      }}
+    >
+      <div style={{ fontSize: 12, textTransform: "uppercase", letterSpacing: 1, color: "#0369a1" }}>
+        Daily challenge · {daily.date}
+      </div>
+      <strong style={{ display: "block", margin: "4px 0" }}>{daily.problem.title}</strong>
+      <div style={{ fontSize: 12, color: "#666", marginBottom: 6 }}>
+        {daily.problem.difficulty} · new challenge in {hoursLeft}h
+      </div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", fontSize: 13 }}>
+        {active ? <span>Playing now</span> : <Link to={routePath("problem", { id: daily.problem.id })}>Play</Link>}
+        <Link to={routePath("daily")}>Today's board &amp; past winners</Link>
+      </div>
+    </section>
+  );
+}
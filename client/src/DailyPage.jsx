@@ -0,0 +1,104 @@
+// client/src/DailyPage.jsx
+import React, { useEffect, useState } from "react";
+import Leaderboard from "./Leaderboard";
+import Link from "./Link";
+import { api, isAbort } from "./api";
+import { routePath } from "./router";
+
+const ARCHIVE_PAGE = 14;
+
+/**
+ * DailyPage
+ * /daily — today's challenge with its leaderboard (only that day's entries), and the
+ * archive of past days with each day's winner (GET /api/daily/archive).
+ *
+ * Props:
+ *  - daily: today's challenge { date, problem } or null while loading / offline
+ *  - strictness: strictness mode the board starts on
+ */
+export default function DailyPage({ daily, strictness }) {
+  const [archive, setArchive] = useState(null);
+  const [more, setMore] = useState(false); // another page of older days may exist
+
+  function loadArchive(before, signal) {
+    return api.get("/api/daily/archive", { query: { before, limit: ARCHIVE_PAGE }, signal })
+      .then((days) => {
+        setArchive((a) => (before ? [...a, ...days] : days));
+        setMore(days.length === ARCHIVE_PAGE);
+      })
+      .catch((err) => !isAbort(err) && console.error(err));
+  }
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadArchive(undefined, controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  return (
+    <div style={{ display: "flex", gap: 32, flexWrap: "wrap" }}>
+      <div style={{ flex: "1 1 360px", maxWidth: 560 }}>
+        <h2 style={{ marginTop: 0 }}>Daily challenge</h2>
+        {daily ? (
+          <>
+            <p>
+              {daily.date}: <strong>{daily.problem.title}</strong> ({daily.problem.difficulty}).{" "}
+              <Link to={routePath("problem", { id: daily.problem.id })}>Play it</Link>
+            </p>
+            <p style={{ fontSize: 12, color: "#666" }}>
+              Every attempt at today's problem counts, in any language. The board starts over at midnight UTC.
+            </p>
+            <Leaderboard key={daily.date} daily={daily.date} strictness={strictness} />
+          </>
+        ) : (
+          <div>Loading today's challenge…</div>
+        )}
+      </div>
+      <div style={{ flex: "1 1 280px", maxWidth: 420 }}>
+        <h3>Past winners</h3>
+        {!archive ? (
+          <div>Loading…</div>
+        ) : archive.length === 0 ? (
+          <div style={{ fontSize: 12, color: "#666" }}>No past challenges yet.</div>
+        ) : (
+          <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "left" }}>
+                <th>Day</th>
+                <th>Problem</th>
+                <th>Winner</th>
+                <th>Players</th>
+              </tr>
+            </thead>
+            <tbody>
+              {archive.map((d) => (
+                <tr key={d.date} style={{ borderTop: "1px solid #ddd" }}>
+                  <td>{d.date}</td>
+                  <td>{d.title ?? "(deleted problem)"}</td>
+                  <td>
+                    {d.winner ? (
+                      <>
+                        <Link to={routePath("user", { name: d.winner.user })}>{d.winner.user}</Link>{" "}
+                        <Link to={routePath("attempt", { id: d.winner.attemptId })}>
+                          {d.winner.wpm} wpm, {d.winner.accuracy}%
+                        </Link>
+                      </>
+                    ) : (
+                      "—"
+                    )}
+                  </td>
+                  <td>{d.players}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {more && (
+          <button onClick={() => loadArchive(archive[archive.length - 1].date)} style={{ fontSize: 12, marginTop: 8 }}>
+            Older days
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+// client/src/Dashboard.jsx
+import React, { useEffect, useState } from "react";
+import { api, isAbort } from "./api";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGES = [
+  { id: "30", label: "Last 30 days", days: 30 },
+  { id: "90", label: "Last 90 days", days: 90 },
+  { id: "365", label: "Last year", days: 365 },
+  { id: "all", label: "All time", days: null },
+];
+const CALENDAR_WEEKS = 17;
+
+/**
+ * Dashboard
+ * Personal progress from GET /api/users/:user/attempts: WPM and accuracy over
+ * time, personal bests, total practice time and a streak calendar.
+ *
+ * Props:
+ *  - user: user name whose history is shown
+ *  - problems: problem list, for titles and the problem filter
+ */
+export default function Dashboard({ user, problems = [] }) {
+  const [attempts, setAttempts] = useState(null);
+  const [range, setRange] = useState("90");
+  const [problemId, setProblemId] = useState("");
+
+  useEffect(() => {
+    const days = RANGES.find((r) => r.id === range).days;
+    const query = { from: days ? Date.now() - days * DAY_MS : undefined, problemId };
+    const controller = new AbortController();
+    api.get(`/api/users/${encodeURIComponent(user)}/attempts`, { query, signal: controller.signal })
+      .then(setAttempts)
+      .catch((err) => !isAbort(err) && console.error(err));
+    return () => controller.abort();
+  }, [user, range, problemId]);
+
+  if (!attempts) return <div>Loading history…</div>;
+
+  const totalMs = attempts.reduce((sum, a) => sum + (a.durationMs || 0), 0);
+  const days = practiceDays(attempts);
+  const bests = personalBests(attempts, problems);
+
+  return (
+    <div className="db-root">
+      <div style={{ display: "flex", gap: 12, alignItems: "center", marginBottom: 12 }}>
+        <h2 style={{ margin: 0 }}>Progress — {user}</h2>
+        <select value={range} onChange={(e) => setRange(e.target.value)}>
+          {RANGES.map((r) => (
+            <option key={r.id} value={r.id}>{r.label}</option>
+          ))}
+        </select>
+        <select value={problemId} onChange={(e) => setProblemId(e.target.value)}>
+          <option value="">All problems</option>
+          {problems.map((p) => (
+            <option key={p.id} value={p.id}>{p.title}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="db-cards">
+        <div className="db-card"><div className="db-big">{attempts.length}</div>attempts</div>
+        <div className="db-card"><div className="db-big">{formatDuration(totalMs)}</div>practice time</div>
+        <div className="db-card"><div className="db-big">{currentStreak(days)}</div>day streak</div>
+      </div>
+
+      {attempts.length === 0 ? (
+        <div className="db-muted">No attempts in this range.</div>
+      ) : (
+        <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
+          <div>
+            <h3>WPM</h3>
+            <LineChart points={attempts.map((a) => [a.createdAt, a.wpm])} color="#7dd3fc" />
+          </div>
+          <div>
+            <h3>Accuracy</h3>
+            <LineChart points={attempts.map((a) => [a.createdAt, a.accuracy])} color="#86efac" yMax={100} unit="%" />
+          </div>
+        </div>
+      )}
+
+      <h3>Practice calendar</h3>
+      <StreakCalendar days={days} />
+
+      <h3>Personal bests</h3>
+      {bests.length === 0 ? (
+        <div className="db-muted">No verified attempts yet.</div>
+      ) : (
+        <table className="db-table">
+          <thead>
+            <tr><th>Problem</th><th>WPM</th><th>Accuracy</th><th>Date</th></tr>
+          </thead>
+          <tbody>
+            {bests.map((b) => (
+              <tr key={b.key}>
+                <td>{b.label}</td>
+                <td>{b.wpm}</td>
+                <td>{b.accuracy}%</td>
+                <td>{new Date(b.createdAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <style>{`
+        .db-root { text-align: left; margin-bottom: 24px; }
+        .db-cards { display: flex; gap: 12px; margin-bottom: 12px; }
+        .db-card { background: #1e293b; color: #9aa6b2; border-radius: 8px; padding: 10px 16px; font-size: 13px; }
+        .db-big { color: #e6eef3; font-size: 22px; font-weight: 600; }
+        .db-table { border-collapse: collapse; }
+        .db-table th, .db-table td { padding: 4px 12px; text-align: left; border-bottom: 1px solid #334155; }
+        .db-muted { color: #9aa6b2; font-size: 13px; }
+      `}</style>
+    </div>
+  );
+}
+
+// points: [[time, value]] in time order; plain SVG polyline with axis labels
+function LineChart({ points, color, yMax, unit = "", width = 420, height = 160 }) {
+  const pad = 28;
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const x0 = Math.min(...xs);
+  const x1 = Math.max(...xs);
+  const top = yMax ?? Math.max(10, ...ys);
+  const x = (t) => (x1 === x0 ? width / 2 : pad + ((t - x0) / (x1 - x0)) * (width - pad * 2));
+  const y = (v) => height - pad - (v / top) * (height - pad * 2);
+  const path = points.map(([t, v]) => `${x(t).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+
+  return (
+    <svg width={width} height={height} style={{ background: "#0f1720", borderRadius: 8 }}>
+      <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#334155" />
+      <line x1={pad} y1={y(top)} x2={width - pad} y2={y(top)} stroke="#1f2933" />
+      <text x={4} y={y(top) + 4} fill="#9aa6b2" fontSize="10">{Math.round(top)}{unit}</text>
+      <text x={4} y={height - pad + 4} fill="#9aa6b2" fontSize="10">0</text>
+      <text x={pad} y={height - 8} fill="#9aa6b2" fontSize="10">{new Date(x0).toLocaleDateString()}</text>
+      <text x={width - pad} y={height - 8} fill="#9aa6b2" fontSize="10" textAnchor="end">{new Date(x1).toLocaleDateString()}</text>
+      <polyline points={path} fill="none" stroke={color} strokeWidth="2" />
+      {points.map(([t, v], i) => (
+        <circle key={i} cx={x(t)} cy={y(v)} r="2.5" fill={color}>
+          <title>{`${new Date(t).toLocaleString()}: ${v}${unit}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+// one cell per day for the last CALENDAR_WEEKS weeks, columns are weeks (Sunday on top)
+function StreakCalendar({ days }) {
+  const cell = 12;
+  const gap = 3;
+  const today = new Date();
+  const total = CALENDAR_WEEKS * 7 - 6 + today.getDay(); // full weeks, last one ends today
+  const cells = [];
+  for (let i = 0; i < total; i++) {
+    const t = addDays(today, i - total + 1);
+    const count = days.get(dayKey(t)) || 0;
+    cells.push(
+      <rect
+        key={i}
+        x={Math.floor(i / 7) * (cell + gap)}
+        y={(i % 7) * (cell + gap)}
+        width={cell}
+        height={cell}
+        rx="2"
+        fill={count ? `rgba(125,211,252,${Math.min(1, 0.3 + count * 0.15).toFixed(2)})` : "#1e293b"}
+      >
+        <title>{`${new Date(t).toLocaleDateString()}: ${count} attempt${count === 1 ? "" : "s"}`}</title>
+      </rect>
+    );
+  }
+  return (
+    <svg width={CALENDAR_WEEKS * (cell + gap)} height={7 * (cell + gap)}>
+      {cells}
+    </svg>
+  );
+}
+
+// calendar-day arithmetic (adding 24h can land on the wrong day across DST changes)
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+function dayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+// Map dayKey -> number of attempts that day
+function practiceDays(attempts) {
+  const days = new Map();
+  for (const a of attempts) days.set(dayKey(a.createdAt), (days.get(dayKey(a.createdAt)) || 0) + 1);
+  return days;
+}
+
+// consecutive practice days ending today (or yesterday, so the streak survives until you practice today)
+function currentStreak(days) {
+  let d = new Date();
+  if (!days.has(dayKey(d))) d = addDays(d, -1);
+  let streak = 0;
+  while (days.has(dayKey(d))) {
+    streak++;
+    d = addDays(d, -1);
+  }
+  return streak;
+}
+
+// fastest verified attempt per problem (and per TypingTest mode)
+function personalBests(attempts, problems) {
+  const best = new Map();
+  for (const a of attempts) {
+    if (!a.verified) continue;
+    const key = a.problemId || a.mode;
+    const cur = best.get(key);
+    if (!cur || a.wpm > cur.wpm || (a.wpm === cur.wpm && a.accuracy > cur.accuracy)) best.set(key, a);
+  }
+  return [...best.entries()]
+    .map(([key, a]) => ({
+      key,
+      label: a.problemId ? problems.find((p) => p.id === a.problemId)?.title ?? "(deleted problem)" : `TypingTest ${a.mode}`,
+      wpm: a.wpm,
+      accuracy: a.accuracy,
+      createdAt: a.createdAt,
+    }))
+    .sort((a, b) => b.wpm - a.wpm);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
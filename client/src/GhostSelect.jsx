@@ -0,0 +1,63 @@
+// client/src/GhostSelect.jsx
+import React, { useEffect, useState } from "react";
+import { api, isAbort } from "./api";
+import { getNick } from "./auth";
+
+const LEADERBOARD_GHOSTS = 10;
+
+/**
+ * GhostSelect
+ * Picks an attempt to race against: your own best for this problem/language or
+ * one of the leaderboard's top runs. Loads the chosen attempt's ghost track
+ * (GET /api/attempts/:id/ghost) before handing it up.
+ *
+ * Props:
+ *  - problemId, language: which attempts qualify
+ *  - value: currently selected ghost ({ id, user, wpm, track }) or null
+ *  - onChange(ghost | null)
+ */
+export default function GhostSelect({ problemId, language, value, onChange }) {
+  const [options, setOptions] = useState([]); // [{ id, label }]
+
+  useEffect(() => {
+    const nick = getNick();
+    const controller = new AbortController();
+    const { signal } = controller;
+    Promise.all([
+      nick ? api.get(`/api/users/${encodeURIComponent(nick)}/attempts`, { query: { problemId }, signal }) : [],
+      api.get("/api/leaderboard", { query: { problemId, language, best: "true", limit: LEADERBOARD_GHOSTS }, signal }),
+    ])
+      .then(([mine, board]) => {
+        const own = mine
+          .filter((a) => a.verified && (!language || a.language === language))
+          .sort((a, b) => b.wpm - a.wpm)[0];
+        setOptions([
+          ...(own ? [{ id: own.id, label: `My best — ${own.wpm} wpm` }] : []),
+          ...board.items
+            .filter((a) => a.id !== own?.id)
+            .map((a) => ({ id: a.id, label: `#${a.rank} ${a.user} — ${a.wpm} wpm` })),
+        ]);
+      })
+      .catch((err) => !isAbort(err) && console.error(err));
+    return () => controller.abort();
+  }, [problemId, language]);
+
+  function pick(id) {
+    if (!id) return onChange(null);
+    api.get(`/api/attempts/${encodeURIComponent(id)}/ghost`)
+      .then(onChange)
+      .catch((err) => console.error(err));
+  }
+
+  return (
+    <label style={{ color: "#9aa6b2", fontSize: 13 }}>
+      Ghost{" "}
+      <select value={value ? value.id : ""} onChange={(e) => pick(e.target.value)}>
+        <option value="">None</option>
+        {options.map((o) => (
+          <option key={o.id} value={o.id}>{o.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,20 @@
+import React from "react";
+import { LANGUAGES } from "./languages";
+
+/**
+ * LanguageSelect — dropdown over LANGUAGES.
+ * Props:
+ *  - value, onChange(id)
+ *  - available (optional): ids to enable; others are shown disabled
+ */
+export default function LanguageSelect({ value, onChange, available }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label="Language">
+      {LANGUAGES.map((l) => (
+        <option key={l.id} value={l.id} disabled={available && !available.includes(l.id)}>
+          {l.label}
+        </option>
+      ))}
+    </select>
+  );
+}
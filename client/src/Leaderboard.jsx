@@ -1,22 +1,116 @@
-import React, {useEffect, useState} from "react";
+import React, {useEffect, useRef, useState} from "react";
 
-export default function Leaderboard({problemId}){
+import { languageLabel } from "./languages";
+import StrictnessSelect from "./StrictnessSelect";
+import { api, isAbort } from "./api";
+import { getNick } from "./auth";
+import Link from "./Link";
+import { routePath } from "./router";
+
+const WINDOWS = [
+  { id: "day", label: "Today" },
+  { id: "week", label: "Week" },
+  { id: "month", label: "Month" },
+  { id: "all", label: "All time" },
+];
+const MIN_ACCURACY = [0, 90, 95, 98];
+const SORTS = [
+  { id: "wpm", label: "Net WPM" },
+  { id: "raw", label: "Raw WPM" },
+  { id: "accuracy", label: "Accuracy" },
+  { id: "consistency", label: "Consistency" },
+];
+
+// ranks attempts for a problem (optionally one language), for a TypingTest mode, or the
+// entries of one day's daily challenge (`daily`, YYYY-MM-DD); problem and daily attempts
+// are ranked per strictness mode, starting on `strictness`
+export default function Leaderboard({problemId, language, mode, daily, strictness: initialStrictness = "free"}){
   const [list,setList] = useState([]);
+  const [nextCursor,setNextCursor] = useState(null);
+  const [timeWindow,setTimeWindow] = useState("all");
+  const [best,setBest] = useState(true); // one row per user
+  const [minAccuracy,setMinAccuracy] = useState(0);
+  const [sort,setSort] = useState("wpm");
+  const [strictness,setStrictness] = useState(initialStrictness);
+  const me = getNick();
+  const requestRef = useRef(null); // AbortController of the page being loaded
+
+  function load(cursor){
+    // a newer request (other problem, other filters) supersedes the one in flight
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const query = {
+      ...(mode ? { mode } : daily ? { daily } : { problemId }),
+      language,
+      strictness: mode ? undefined : strictness,
+      sort: sort === "wpm" ? undefined : sort,
+      window: timeWindow,
+      best: best ? "true" : undefined,
+      minAccuracy: minAccuracy || undefined,
+      cursor,
+    };
+    api.get("/api/leaderboard", { query, signal: controller.signal })
+      .then(({items,nextCursor})=>{
+        // a cursor means "next page": append instead of replacing
+        setList(l=>cursor ? [...l, ...items] : items);
+        setNextCursor(nextCursor);
+      })
+      .catch(err=>!isAbort(err) && console.error(err));
+  }
+
   useEffect(()=> {
-    if (!problemId) return;
-    fetch(`http://localhost:4001/api/leaderboard?problemId=${problemId}`)
-      .then(r=>r.json()).then(setList).catch(err=>console.error(err));
-  }, [problemId]);
+    if (!problemId && !mode && !daily) return;
+    load(null);
+    return ()=>requestRef.current?.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [problemId, language, mode, daily, timeWindow, best, minAccuracy, strictness, sort]);
+
   return (
     <div>
-      <h3>Leaderboard</h3>
-      <ol>
+      <h3>{daily ? `Daily leaderboard — ${daily}` : "Leaderboard"}{language && ` — ${languageLabel(language)}`}</h3>
+      {/* a daily board only ever holds one day */}
+      {!daily && <div style={{display:'flex',gap:4,marginBottom:6}}>
+        {WINDOWS.map(w=>(
+          <button
+            key={w.id}
+            onClick={()=>setTimeWindow(w.id)}
+            style={{padding:'2px 8px',fontSize:12,fontWeight:timeWindow===w.id ? 'bold' : 'normal',borderColor:timeWindow===w.id ? '#7dd3fc' : undefined}}
+          >
+            {w.label}
+          </button>
+        ))}
+      </div>}
+      <div style={{display:'flex',gap:10,fontSize:12,marginBottom:6}}>
+        <label><input type="checkbox" checked={best} onChange={e=>setBest(e.target.checked)} /> Best per user</label>
+        <label>
+          Min accuracy{" "}
+          <select value={minAccuracy} onChange={e=>setMinAccuracy(Number(e.target.value))}>
+            {MIN_ACCURACY.map(n=><option key={n} value={n}>{n ? `${n}%` : "any"}</option>)}
+          </select>
+        </label>
+        <label>
+          Rank by{" "}
+          <select value={sort} onChange={e=>setSort(e.target.value)}>
+            {SORTS.map(s=><option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+        </label>
+        {!mode && <StrictnessSelect value={strictness} onChange={setStrictness} />}
+      </div>
+      {list.length === 0 && <div style={{fontSize:12,color:'#666'}}>No attempts yet.</div>}
+      <ol style={{listStyle:'none',padding:0}}>
         {list.map(a=>(
-          <li key={a.id} style={{marginBottom:6}}>
-            <strong>{a.wpm} wpm</strong> — {a.accuracy}% — <span style={{fontSize:12,color:'#666'}}>{new Date(a.createdAt).toLocaleString()}</span>
+          <li
+            key={a.id}
+            style={{marginBottom:6,padding:'2px 4px',borderRadius:4,background:me && a.user === me ? 'rgba(125,211,252,0.15)' : undefined}}
+          >
+            <span style={{display:'inline-block',minWidth:24,color:'#666'}}>{a.rank}.</span>
+            <strong><Link to={routePath("user", { name: a.user })}>{a.user}</Link></strong> — <strong>{a.wpm} wpm</strong>{a.rawWpm !== undefined && <span style={{fontSize:12,color:'#666'}}> (raw {a.rawWpm})</span>} — {a.accuracy}%{a.consistency !== undefined && ` — ${a.consistency}% consistent`} — <span style={{fontSize:12,color:'#666'}}>{new Date(a.createdAt).toLocaleString()}</span>
+            <Link to={routePath("attempt", { id: a.id })} style={{marginLeft:6,fontSize:12}}>Replay</Link>
           </li>
         ))}
       </ol>
+      {nextCursor && <button onClick={()=>load(nextCursor)} style={{fontSize:12}}>Load more</button>}
     </div>
   );
 }
@@ -0,0 +1,42 @@
+// client/src/LeaderboardPage.jsx
+import React from "react";
+import Leaderboard from "./Leaderboard";
+import { resolveVariant } from "./languages";
+import { navigate } from "./router";
+
+/**
+ * LeaderboardPage
+ * /leaderboard?problem=<id> — the leaderboard for one problem, picked from a list.
+ * The chosen problem lives in the query string so the page can be linked to.
+ *
+ * Props:
+ *  - problems: problem list
+ *  - language: preferred language (falls back to the problem's first variant)
+ *  - strictness: strictness mode the board starts on
+ *  - search: current query string, without "?"
+ */
+export default function LeaderboardPage({ problems, language, strictness, search }) {
+  const requested = new URLSearchParams(search).get("problem");
+  const problem = problems.find((p) => p.id === requested) || problems[0];
+
+  if (!problem) return <div>No problems yet.</div>;
+
+  return (
+    <div style={{ maxWidth: 560 }}>
+      <label>
+        Problem{" "}
+        <select
+          value={problem.id}
+          onChange={(e) => navigate(`/leaderboard?problem=${encodeURIComponent(e.target.value)}`, { replace: true })}
+        >
+          {problems.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.title}
+            </option>
+          ))}
+        </select>
+      </label>
+      <Leaderboard problemId={problem.id} language={resolveVariant(problem, language).language} strictness={strictness} />
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// client/src/Link.jsx
+import React from "react";
+import { navigate } from "./router";
+
+/**
+ * Link
+ * An <a> that navigates in-app instead of reloading the page. Modified clicks
+ * (ctrl/cmd/shift/middle) keep the browser's behaviour, e.g. open in a new tab.
+ *
+ * Props:
+ *  - to: path, e.g. "/problems/p1"
+ *  - replace: replace the current history entry instead of pushing one
+ *  - anything else is passed to the <a>
+ */
+export default function Link({ to, replace = false, onClick, children, ...rest }) {
+  function handleClick(e) {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to, { replace });
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,92 @@
+// client/src/OutboxStatus.jsx
+import React, { useState } from "react";
+import { discardEntry, downloadEntry, retryEntry, syncOutbox, useOutbox } from "./outbox";
+
+const LABELS = { pending: "waiting to upload", synced: "saved", failed: "not saved" };
+const label = (e) => (e.status === "needs_sign_in" ? `sign in as ${e.user} to upload` : LABELS[e.status]);
+const small = { marginLeft: 6, padding: "0 6px", fontSize: 11 };
+
+/**
+ * OutboxStatus
+ * Header indicator for results that haven't reached the server yet. Hidden while
+ * everything is synced; failed results are called out in red. Expands into a list
+ * where a failed result can be retried, downloaded as JSON or discarded. Results typed
+ * by someone who is signed out wait for them to sign in again.
+ *
+ * Props:
+ *  - problems: problem list, for titles
+ */
+export default function OutboxStatus({ problems = [] }) {
+  const entries = useOutbox();
+  const [open, setOpen] = useState(false);
+  const pending = entries.filter((e) => e.status === "pending").length;
+  const failed = entries.filter((e) => e.status === "failed").length;
+  const waiting = entries.filter((e) => e.status === "needs_sign_in").length;
+  if (!pending && !failed && !waiting) return null;
+
+  const summary = [
+    failed && `${failed} result${failed > 1 ? "s" : ""} not saved`,
+    pending && `${pending} not uploaded`,
+    waiting && `${waiting} waiting for sign-in`,
+  ].filter(Boolean).join(", ");
+  const title = (a) => (a.problemId ? problems.find((p) => p.id === a.problemId)?.title || a.problemId : `Typing test (${a.mode})`);
+
+  return (
+    <div style={{ position: "relative", display: "inline-block", fontSize: 13 }}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        style={{ padding: "2px 8px", fontSize: 12, borderColor: failed ? "#f87171" : "#fcd34d", color: failed ? "#fca5a5" : undefined }}
+      >
+        {summary}
+      </button>
+      {open && (
+        <div
+          style={{
+            position: "absolute",
+            right: 0,
+            zIndex: 10,
+            marginTop: 4,
+            width: 320,
+            background: "#1e293b",
+            color: "#e6eef3",
+            borderRadius: 8,
+            padding: 10,
+            boxShadow: "0 2px 8px rgba(0,0,0,0.3)",
+          }}
+        >
+          <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+            {entries.map((e) => (
+              <li key={e.id} style={{ marginBottom: 6 }}>
+                <strong>{title(e.attempt)}</strong> — {e.attempt.wpm} wpm —{" "}
+                <span style={{ color: e.status === "failed" ? "#fca5a5" : e.status === "synced" ? "#86efac" : "#fcd34d" }}>
+                  {label(e)}
+                  {e.error && e.error !== "offline" ? ` (${e.error})` : ""}
+                </span>
+                {(e.status === "failed" || e.status === "needs_sign_in") && (
+                  <>
+                    {e.status === "failed" && (
+                      <button onClick={() => retryEntry(e.id)} style={small}>
+                        Retry
+                      </button>
+                    )}
+                    <button onClick={() => downloadEntry(e)} style={small}>
+                      Download
+                    </button>
+                    <button onClick={() => discardEntry(e.id)} style={small}>
+                      Discard
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          {pending > 0 && (
+            <button onClick={() => syncOutbox({ force: true })} style={{ padding: "2px 8px", fontSize: 12 }}>
+              Retry now
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
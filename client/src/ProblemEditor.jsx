@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import TypingFastCached from "./TypingFastCached";
+import { request } from "./api";
+import { LANGUAGES } from "./languages";
+
+const EMPTY_VARIANTS = Object.fromEntries(LANGUAGES.map((l) => [l.id, ""]));
+// tags are edited as one comma-separated string
+const EMPTY_DRAFT = { title: "", text: "", variants: EMPTY_VARIANTS, difficulty: "easy", tags: "" };
+// daily challenges run on UTC days (see server/daily.js)
+const tomorrowUtc = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * ProblemEditor — admin screen to create, edit and delete problems.
+ * Props:
+ *  - problems: current problem list
+ *  - onChanged(): called after a successful save/delete so the list can be reloaded
+ */
+export default function ProblemEditor({ problems, onChanged }) {
+  const [editingId, setEditingId] = useState(null); // null = new problem
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [language, setLanguage] = useState(LANGUAGES[0].id); // variant being edited/previewed
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [dailyDate, setDailyDate] = useState(tomorrowUtc);
+  const [scheduled, setScheduled] = useState(null); // date the open problem was last scheduled for
+
+  function edit(p) {
+    setEditingId(p ? p.id : null);
+    setDraft(
+      p
+        ? {
+            title: p.title,
+            text: p.text,
+            variants: { ...EMPTY_VARIANTS, ...p.variants },
+            difficulty: p.difficulty,
+            tags: (p.tags || []).join(", "),
+          }
+        : EMPTY_DRAFT
+    );
+    setError(null);
+    setScheduled(null);
+  }
+
+  function update(field, value) {
+    setDraft((d) => ({ ...d, [field]: value }));
+  }
+
+  function updateVariant(value) {
+    setDraft((d) => ({ ...d, variants: { ...d.variants, [language]: value } }));
+  }
+
+  async function send(method, path, body) {
+    setBusy(true);
+    setError(null);
+    try {
+      return (await request(path, { method, body })) ?? {};
+    } catch (err) {
+      if (err.status) {
+        setError(err.code);
+      } else {
+        console.error(err);
+        setError("Server unreachable");
+      }
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    const body = { ...draft, tags: draft.tags.split(",").map((t) => t.trim()).filter(Boolean) };
+    const saved = editingId
+      ? await send("PUT", `/api/problems/${editingId}`, body)
+      : await send("POST", "/api/problems", body);
+    if (!saved) return;
+    setEditingId(saved.id);
+    onChanged();
+  }
+
+  async function scheduleDaily() {
+    const saved = await send("PUT", `/api/daily/${encodeURIComponent(dailyDate)}`, { problemId: editingId });
+    if (saved) setScheduled(saved.date);
+  }
+
+  async function remove() {
+    if (!editingId || !window.confirm(`Delete "${draft.title}"?`)) return;
+    if (!(await send("DELETE", `/api/problems/${editingId}`))) return;
+    edit(null);
+    onChanged();
+  }
+
+  // what TypingFastCached will receive once saved (blank variants are dropped, falling back to text)
+  const preview = {
+    id: `preview-${editingId ?? "new"}`,
+    title: draft.title || "Untitled",
+    text: draft.text,
+    variants: Object.fromEntries(Object.entries(draft.variants).filter(([, code]) => code.trim())),
+  };
+
+  return (
+    <div style={{ display: "flex", gap: 20 }}>
+      <div style={{ width: 240 }}>
+        <h3>Problems</h3>
+        <button onClick={() => edit(null)} style={{ marginBottom: 8 }}>+ New problem</button>
+        <ul style={{ listStyle: "none", padding: 0 }}>
+          {problems.map((p) => (
+            <li
+              key={p.id}
+              onClick={() => edit(p)}
+              style={{
+                marginBottom: 6,
+                padding: 6,
+                border: editingId === p.id ? "2px solid #333" : "1px solid #ddd",
+                borderRadius: 6,
+                cursor: "pointer",
+              }}
+            >
+              {p.title}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div style={{ flex: 1, textAlign: "left" }}>
+        <form onSubmit={save} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          <h3>{editingId ? "Edit problem" : "New problem"}</h3>
+          <label>
+            Title
+            <input value={draft.title} onChange={(e) => update("title", e.target.value)} style={{ width: "100%" }} />
+          </label>
+          <label>
+            Description
+            <textarea value={draft.text} onChange={(e) => update("text", e.target.value)} rows={3} style={{ width: "100%" }} />
+          </label>
+          <div>
+            Code (optional — typed instead of the description when present)
+            <div style={{ display: "flex", gap: 4, margin: "4px 0" }}>
+              {LANGUAGES.map((l) => (
+                <button
+                  key={l.id}
+                  type="button"
+                  onClick={() => setLanguage(l.id)}
+                  style={{ fontWeight: l.id === language ? "bold" : "normal", opacity: draft.variants[l.id].trim() ? 1 : 0.6 }}
+                >
+                  {l.label}
+                </button>
+              ))}
+            </div>
+            <textarea
+              aria-label={`${language} code`}
+              value={draft.variants[language]}
+              onChange={(e) => updateVariant(e.target.value)}
+              rows={10}
+              spellCheck="false"
+              style={{ width: "100%", fontFamily: "ui-monospace, Menlo, Monaco, 'Courier New', monospace" }}
+            />
+          </div>
+          <label>
+            Difficulty{" "}
+            <select value={draft.difficulty} onChange={(e) => update("difficulty", e.target.value)}>
+              <option value="easy">easy</option>
+              <option value="medium">medium</option>
+              <option value="hard">hard</option>
+            </select>
+          </label>
+          <label>
+            Tags{" "}
+            <input
+              value={draft.tags}
+              onChange={(e) => update("tags", e.target.value)}
+              placeholder="strings, algorithms"
+              style={{ width: "100%" }}
+            />
+          </label>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <button type="submit" disabled={busy}>Save</button>
+            {editingId && <button type="button" onClick={remove} disabled={busy}>Delete</button>}
+            {error && <span style={{ color: "#f87171", fontSize: 12 }}>{error}</span>}
+          </div>
+        </form>
+
+        {editingId && (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 13 }}>
+            Daily challenge on
+            <input type="date" value={dailyDate} onChange={(e) => setDailyDate(e.target.value)} aria-label="Daily challenge date (UTC)" />
+            <button type="button" onClick={scheduleDaily} disabled={busy || !dailyDate}>Schedule</button>
+            {scheduled && <span style={{ fontSize: 12 }}>Scheduled for {scheduled}.</span>}
+          </div>
+        )}
+
+        {/* outside the form: the preview's own buttons must not submit it */}
+        <h3>Preview</h3>
+        {preview.text || Object.keys(preview.variants).length ? (
+          <TypingFastCached key={language} problem={preview} language={language} autoSubmit={false} autoFocus={false} />
+        ) : (
+          <div style={{ color: "#9aa6b2" }}>Nothing to type yet.</div>
+        )}
+      </div>
+    </div>
+  );
+}
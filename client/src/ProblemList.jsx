@@ -1,10 +1,123 @@
-import React from "react";
-export default function ProblemList({problems, onSelect, selected}){
+import React, {useEffect, useRef, useState} from "react";
+import LanguageSelect from "./LanguageSelect";
+import { api, isAbort } from "./api";
+import { getNick } from "./auth";
+import { availableLanguages, languageLabel, resolveVariant } from "./languages";
+import { useOutbox } from "./outbox";
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const SORTS = [
+  { id: "default", label: "Default order" },
+  { id: "title", label: "Title" },
+  { id: "difficulty", label: "Difficulty" },
+  { id: "length", label: "Length" },
+];
+const PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 250; // wait for a pause in typing before asking the server
+
+/**
+ * ProblemList
+ * Sidebar of problems from GET /api/problems, with a search box, difficulty / tag /
+ * language filter chips and sorting. Offline, it falls back to the full `problems`
+ * list without filters. Signed in, each problem shows the user's best verified WPM in the
+ * selected language (or the variant the problem falls back to without it).
+ *
+ * Props:
+ *  - problems: full problem list (offline fallback and the tags offered as chips)
+ *  - onSelect(problem), selected
+ *  - dailyId: id of today's daily challenge problem, badged in the list
+ *  - language, onLanguageChange: preferred language (the select is hidden without onLanguageChange)
+ */
+export default function ProblemList({problems, onSelect, selected, dailyId, language, onLanguageChange}){
+  const [search,setSearch] = useState("");
+  const [query,setQuery] = useState(""); // `search` once typing pauses
+  const [difficulty,setDifficulty] = useState("");
+  const [tag,setTag] = useState("");
+  const [onlyLanguage,setOnlyLanguage] = useState(false);
+  const [sort,setSort] = useState("default");
+  const [list,setList] = useState(null); // null until the first page arrives
+  const [total,setTotal] = useState(0);
+  const [offline,setOffline] = useState(false);
+  const bestFor = useBests(language);
+  const requestRef = useRef(null);
+
+  useEffect(()=> {
+    const timer = setTimeout(()=>setQuery(search.trim()), SEARCH_DELAY_MS);
+    return ()=>clearTimeout(timer);
+  }, [search]);
+
+  function load(offset){
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const params = {
+      q: query,
+      tag,
+      difficulty,
+      language: onlyLanguage ? language : undefined,
+      sort: sort === "default" ? undefined : sort,
+      offset: offset || undefined,
+      limit: PAGE_SIZE,
+    };
+    api.list("/api/problems", { query: params, signal: controller.signal })
+      .then(({items,total})=>{
+        setList(l=>offset ? [...l, ...items] : items);
+        setTotal(total);
+        setOffline(false);
+      })
+      .catch(err=>{
+        if (isAbort(err)) return;
+        if (err.status === 0) setOffline(true);
+        else console.error(err);
+      });
+  }
+
+  // `problems` changes when the list is reloaded (e.g. after edits under /manage)
+  useEffect(()=> {
+    load(0);
+    return ()=>requestRef.current?.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, tag, difficulty, onlyLanguage, language, sort, problems]);
+
+  const tags = [...new Set(problems.flatMap(p=>p.tags || []))].sort();
+  const shown = offline || !list ? problems : list;
+  const filtered = !!(query || tag || difficulty || onlyLanguage);
+
   return (
     <div>
       <h3>Problems</h3>
+      {onLanguageChange && (
+        <div style={{marginBottom:8}}>
+          Language: <LanguageSelect value={language} onChange={onLanguageChange} />
+        </div>
+      )}
+      <input
+        type="search"
+        value={search}
+        onChange={e=>setSearch(e.target.value)}
+        placeholder="Search problems"
+        aria-label="Search problems"
+        style={{width:'100%',boxSizing:'border-box',marginBottom:6}}
+      />
+      <div style={{display:'flex',flexWrap:'wrap',gap:4,marginBottom:6}}>
+        {DIFFICULTIES.map(d=>(
+          <Chip key={d} active={difficulty===d} onClick={()=>setDifficulty(difficulty===d ? "" : d)}>{d}</Chip>
+        ))}
+        <Chip active={onlyLanguage} onClick={()=>setOnlyLanguage(!onlyLanguage)}>only {languageLabel(language)}</Chip>
+        {tags.map(t=>(
+          <Chip key={t} active={tag===t} onClick={()=>setTag(tag===t ? "" : t)}>#{t}</Chip>
+        ))}
+      </div>
+      <label style={{fontSize:12}}>
+        Sort{" "}
+        <select value={sort} onChange={e=>setSort(e.target.value)}>
+          {SORTS.map(s=><option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+      </label>
+      {offline && filtered && <div style={{fontSize:12,color:'#666',marginTop:6}}>Offline: showing every problem, unfiltered.</div>}
+      {!offline && list && list.length === 0 && <div style={{fontSize:12,color:'#666',marginTop:6}}>No problems match.</div>}
       <ul style={{listStyle:'none', padding:0}}>
-        {problems.map(p=>(
+        {shown.map(p=>(
           <li key={p.id} style={{
             marginBottom:8,
             padding:8,
@@ -12,10 +125,64 @@ export default function ProblemList({problems, onSelect, selected}){
             borderRadius:6,
             cursor:"pointer"
           }} onClick={()=>onSelect(p)}>
-            <strong>{p.title}</strong><div style={{fontSize:12,color:'#666'}}>{p.difficulty}</div>
+            <strong>{p.title}</strong>
+            {p.id === dailyId && <span style={{marginLeft:6,fontSize:11,color:'#0369a1'}}>daily</span>}
+            {bestFor(p) && <span style={{float:'right',fontSize:12}} title="Your best verified attempt in this language">best {bestFor(p).wpm} wpm</span>}
+            <div style={{fontSize:12,color:'#666'}}>
+              {p.difficulty} · {availableLanguages(p).map(languageLabel).join(", ") || "text only"} · {[...resolveVariant(p, language).text].length} chars
+            </div>
+            {p.tags?.length > 0 && <div style={{fontSize:11,color:'#888'}}>{p.tags.map(t=>`#${t}`).join(" ")}</div>}
           </li>
         ))}
       </ul>
+      {!offline && list && list.length < total && (
+        <button onClick={()=>load(list.length)} style={{fontSize:12}}>Load more ({total - list.length} left)</button>
+      )}
     </div>
   );
 }
+
+function Chip({active, onClick, children}){
+  return (
+    <button
+      type="button"
+      aria-pressed={active}
+      onClick={onClick}
+      style={{padding:'1px 8px',fontSize:12,borderRadius:12,fontWeight:active ? 'bold' : 'normal',borderColor:active ? '#7dd3fc' : undefined}}
+    >
+      {children}
+    </button>
+  );
+}
+
+// bestFor(problem) → the signed-in user's best verified attempt at it in `language`, as the
+// typing view resolves it; refreshed once a queued attempt reaches the server (queueing
+// alone changes nothing there)
+function useBests(language){
+  const [bests,setBests] = useState(()=>new Map());
+  const nick = getNick();
+  const synced = useOutbox().filter(e=>e.status === "synced").map(e=>e.id).join(",");
+
+  useEffect(()=> {
+    if (!nick) {
+      setBests(new Map());
+      return;
+    }
+    const controller = new AbortController();
+    api.get(`/api/users/${encodeURIComponent(nick)}/attempts`, { signal: controller.signal })
+      .then(attempts=>{
+        const best = new Map();
+        for (const a of attempts) {
+          if (!a.verified || !a.problemId) continue;
+          const key = `${a.problemId}:${a.language ?? ""}`;
+          const cur = best.get(key);
+          if (!cur || a.wpm > cur.wpm || (a.wpm === cur.wpm && a.accuracy > cur.accuracy)) best.set(key, a);
+        }
+        setBests(best);
+      })
+      .catch(err=>!isAbort(err) && err.status !== 0 && console.error(err));
+    return ()=>controller.abort();
+  }, [nick, synced]);
+
+  return p=>bests.get(`${p.id}:${resolveVariant(p, language).language ?? ""}`);
+}
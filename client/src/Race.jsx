@@ -0,0 +1,192 @@
+// client/src/Race.jsx
+import React, { useEffect, useRef, useState } from "react";
+import TypingFastCached from "./TypingFastCached";
+import { wsUrl } from "./api";
+import { getToken } from "./auth";
+import { availableLanguages, languageLabel } from "./languages";
+
+const PROGRESS_INTERVAL_MS = 100; // throttle for progress messages
+
+const ERROR_MESSAGES = {
+  unknown_room: "No race with that code.",
+  room_full: "That race is full.",
+  race_in_progress: "That race has already started.",
+  unknown_problem: "That problem no longer exists.",
+  not_host: "Only the host can start the race.",
+};
+
+/**
+ * Race
+ * Live race against other signed-in users over /ws/races. One player creates a room
+ * and shares its code; the host starts a synchronized countdown, everyone types the
+ * same prompt and sees each other's progress, and results are saved as attempts
+ * tagged with the race id. Open a second tab (or a private window) to race locally.
+ *
+ * Props:
+ *  - problems: problem list to pick from
+ *  - language: preferred language for new rooms
+ */
+export default function Race({ problems, language }) {
+  const wsRef = useRef(null);
+  const lastProgressRef = useRef(0);
+  const [connected, setConnected] = useState(false);
+  const [racerId, setRacerId] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [error, setError] = useState(null);
+  const [countdownEnd, setCountdownEnd] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [raceId, setRaceId] = useState(null); // race this tab is typing in
+  const [problemId, setProblemId] = useState("");
+  const [code, setCode] = useState("");
+
+  useEffect(() => {
+    const ws = new WebSocket(wsUrl("/ws/races", { token: getToken() || "" }));
+    wsRef.current = ws;
+    ws.onopen = () => setConnected(true);
+    ws.onclose = () => {
+      setConnected(false);
+      setRoom(null);
+    };
+    ws.onmessage = (e) => {
+      const msg = JSON.parse(e.data);
+      if (msg.type === "hello") setRacerId(msg.racerId);
+      else if (msg.type === "room" || msg.type === "results") {
+        setRoom(msg.room);
+        setError(null);
+      } else if (msg.type === "countdown") {
+        setRaceId(null);
+        setCountdownEnd(Date.now() + msg.startsIn);
+      } else if (msg.type === "start") {
+        setCountdownEnd(null);
+        setRaceId(msg.raceId);
+      } else if (msg.type === "progress") {
+        setRoom((r) => r && { ...r, racers: r.racers.map((p) => (p.id === msg.racerId ? { ...p, pos: msg.pos } : p)) });
+      } else if (msg.type === "left") {
+        setRoom(null);
+        setRaceId(null);
+      } else if (msg.type === "error") {
+        setError(ERROR_MESSAGES[msg.error] || `Error: ${msg.error}`);
+      }
+    };
+    return () => ws.close();
+  }, []);
+
+  // tick the countdown
+  useEffect(() => {
+    if (!countdownEnd) return;
+    const id = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(id);
+  }, [countdownEnd]);
+
+  function send(msg) {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) wsRef.current.send(JSON.stringify(msg));
+  }
+
+  function reportProgress(pos) {
+    if (!raceId || Date.now() - lastProgressRef.current < PROGRESS_INTERVAL_MS) return;
+    lastProgressRef.current = Date.now();
+    send({ type: "progress", pos });
+  }
+
+  if (!connected) return <div>Connecting to the race server…</div>;
+
+  if (!room) {
+    const picked = problemId || problems[0]?.id || "";
+    return (
+      <div style={{ textAlign: "left" }}>
+        <h2>Race</h2>
+        {error && <div style={{ color: "#f87171" }}>{error}</div>}
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+          <select value={picked} onChange={(e) => setProblemId(e.target.value)}>
+            {problems.map((p) => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+          <button disabled={!picked} onClick={() => send({ type: "create", problemId: picked, language })}>
+            Create race
+          </button>
+        </div>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            send({ type: "join", roomId: code.trim() });
+          }}
+          style={{ display: "flex", gap: 8 }}
+        >
+          <input value={code} onChange={(e) => setCode(e.target.value)} placeholder="Race code" />
+          <button type="submit" disabled={!code.trim()}>Join</button>
+        </form>
+      </div>
+    );
+  }
+
+  const problem = problems.find((p) => p.id === room.problemId);
+  const isHost = room.hostId === racerId;
+  const me = room.racers.find((r) => r.id === racerId);
+  const secondsLeft = countdownEnd ? Math.max(0, Math.ceil((countdownEnd - now) / 1000)) : null;
+
+  return (
+    <div style={{ textAlign: "left" }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <h2 style={{ margin: "8px 0" }}>
+          Race <code>{room.id}</code> — {problem ? problem.title : room.problemId}
+          {room.language && availableLanguages(problem || {}).length > 1 && ` (${languageLabel(room.language)})`}
+        </h2>
+        {isHost && (room.state === "waiting" || room.state === "finished") && (
+          <button onClick={() => send({ type: "start" })}>{room.state === "finished" ? "Rematch" : "Start"}</button>
+        )}
+        <button onClick={() => send({ type: "leave" })}>Leave</button>
+      </div>
+      {error && <div style={{ color: "#f87171" }}>{error}</div>}
+      {room.state === "waiting" && (
+        <div style={{ color: "#9aa6b2" }}>
+          Share the code <strong>{room.id}</strong> with your teammates. {isHost ? "Start when everyone has joined." : "Waiting for the host to start."}
+        </div>
+      )}
+
+      <div className="race-racers">
+        {room.racers.map((r) => (
+          <div key={r.id} className={`race-racer${r.id === racerId ? " me" : ""}`}>
+            <span className="race-name">
+              {r.place && <strong>#{r.place} </strong>}
+              {r.name}
+              {r.id === room.hostId && " (host)"}
+            </span>
+            <div className="race-bar">
+              <div className="race-fill" style={{ width: `${room.length ? (r.pos / room.length) * 100 : 0}%` }} />
+            </div>
+            <span className="race-stat">
+              {r.wpm !== null ? `${r.wpm} wpm · ${r.accuracy}%${r.verified ? "" : " (unverified)"}` : r.error ? r.error : ""}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {secondsLeft !== null && <div className="race-countdown">{secondsLeft || "Go!"}</div>}
+
+      {/* only tabs that were in the room at the start take part; late joiners watch */}
+      {problem && raceId && raceId === room.raceId && me && (
+        <TypingFastCached
+          key={raceId}
+          problem={problem}
+          language={room.language}
+          autoSubmit={false}
+          allowRestart={false}
+          onProgress={reportProgress}
+          onFinish={(attempt) => send({ type: "finish", attempt })}
+        />
+      )}
+
+      <style>{`
+        .race-racers { display: flex; flex-direction: column; gap: 6px; margin: 12px 0; }
+        .race-racer { display: flex; gap: 10px; align-items: center; }
+        .race-racer.me .race-name { color: #7dd3fc; }
+        .race-name { width: 160px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .race-bar { flex: 1; height: 10px; background: #1e293b; border-radius: 5px; overflow: hidden; }
+        .race-fill { height: 100%; background: #7dd3fc; transition: width 0.15s linear; }
+        .race-stat { width: 200px; color: #9aa6b2; font-size: 13px; }
+        .race-countdown { font-size: 48px; font-weight: bold; text-align: center; color: #7dd3fc; }
+      `}</style>
+    </div>
+  );
+}
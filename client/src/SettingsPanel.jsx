@@ -0,0 +1,112 @@
+// client/src/SettingsPanel.jsx
+import React, { useId, useState } from "react";
+import {
+  CARET_MOTIONS,
+  CARET_STYLES,
+  DEFAULT_SETTINGS,
+  FONTS,
+  FONT_SIZES,
+  LINE_HEIGHTS,
+  THEMES,
+  updateSettings,
+  useSettings,
+} from "./settings";
+
+/**
+ * SettingsPanel
+ * "Appearance" button that opens the typing view's settings: theme, code font,
+ * size, line height and caret. Changes apply immediately (see settings.js).
+ */
+export default function SettingsPanel() {
+  const settings = useSettings();
+  const [open, setOpen] = useState(false);
+  const panelId = useId();
+
+  const row = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8 };
+
+  return (
+    <div style={{ position: "relative", display: "inline-block", fontSize: 13 }}>
+      <button onClick={() => setOpen((o) => !o)} aria-expanded={open} aria-controls={panelId}>
+        Appearance
+      </button>
+      {open && (
+        <div
+          id={panelId}
+          role="group"
+          aria-label="Appearance settings"
+          onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+          style={{
+            position: "absolute",
+            right: 0,
+            zIndex: 60,
+            marginTop: 4,
+            width: 260,
+            background: "var(--typing-panel)",
+            color: "var(--typing-fg)",
+            border: "1px solid var(--typing-border)",
+            borderRadius: 8,
+            padding: 10,
+            boxShadow: "0 2px 8px rgba(0,0,0,0.3)",
+          }}
+        >
+          <label style={row}>
+            Theme
+            <select value={settings.theme} onChange={(e) => updateSettings({ theme: e.target.value })}>
+              {Object.entries(THEMES).map(([id, t]) => (
+                <option key={id} value={id}>{t.label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Font
+            <select value={settings.fontFamily} onChange={(e) => updateSettings({ fontFamily: e.target.value })}>
+              {FONTS.map((f) => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Size {settings.fontSize}px
+            <input
+              type="range"
+              min={FONT_SIZES[0]}
+              max={FONT_SIZES[1]}
+              value={settings.fontSize}
+              onChange={(e) => updateSettings({ fontSize: Number(e.target.value) })}
+              style={{ width: 110 }}
+            />
+          </label>
+          <label style={row}>
+            Line height {settings.lineHeight}
+            <input
+              type="range"
+              min={LINE_HEIGHTS[0]}
+              max={LINE_HEIGHTS[1]}
+              step={0.1}
+              value={settings.lineHeight}
+              onChange={(e) => updateSettings({ lineHeight: Number(e.target.value) })}
+              style={{ width: 110 }}
+            />
+          </label>
+          <label style={row}>
+            Caret
+            <select value={settings.caretStyle} onChange={(e) => updateSettings({ caretStyle: e.target.value })}>
+              {CARET_STYLES.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Caret movement
+            <select value={settings.caretMotion} onChange={(e) => updateSettings({ caretMotion: e.target.value })}>
+              {CARET_MOTIONS.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={() => updateSettings(DEFAULT_SETTINGS)}>Reset to defaults</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// client/src/SpeedChart.jsx
+import React from "react";
+
+/**
+ * SpeedChart
+ * Per-second raw WPM as a line, with a cross under every second that had wrong
+ * keys (bigger for more). Plain SVG; colours come from the typing theme variables
+ * when inside the typing view, with dark-theme fallbacks elsewhere.
+ *
+ * Props:
+ *  - timeline: [{ second, wpm, errors }] from speedTimeline()
+ *  - width, height (optional)
+ */
+export default function SpeedChart({ timeline, width = 480, height = 160 }) {
+  if (!timeline.length) return null;
+  const pad = 28;
+  const top = Math.max(10, ...timeline.map((s) => s.wpm));
+  const last = timeline[timeline.length - 1].second;
+  const x = (second) => (last === 1 ? width / 2 : pad + ((second - 1) / (last - 1)) * (width - pad * 2));
+  const y = (wpm) => height - pad - (wpm / top) * (height - pad * 2);
+  const path = timeline.map((s) => `${x(s.second).toFixed(1)},${y(s.wpm).toFixed(1)}`).join(" ");
+  const errorSeconds = timeline.filter((s) => s.errors);
+  const summary = `Speed per second, peak ${top} wpm; errors in ${errorSeconds.length} of ${timeline.length} seconds`;
+
+  return (
+    <svg width={width} height={height} role="img" aria-label={summary} style={{ background: "var(--typing-bg, #0f1720)", borderRadius: 8 }}>
+      <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="var(--typing-border, #334155)" />
+      <line x1={pad} y1={y(top)} x2={width - pad} y2={y(top)} stroke="var(--typing-border, #334155)" strokeDasharray="2 4" />
+      <text x={4} y={y(top) + 4} fill="var(--typing-muted, #9aa6b2)" fontSize="10">{top}</text>
+      <text x={4} y={height - pad + 4} fill="var(--typing-muted, #9aa6b2)" fontSize="10">0</text>
+      <text x={pad} y={height - 8} fill="var(--typing-muted, #9aa6b2)" fontSize="10">1s</text>
+      <text x={width - pad} y={height - 8} fill="var(--typing-muted, #9aa6b2)" fontSize="10" textAnchor="end">{last}s</text>
+      <polyline points={path} fill="none" stroke="var(--typing-caret, #7dd3fc)" strokeWidth="2" />
+      {timeline.map((s) => (
+        <circle key={s.second} cx={x(s.second)} cy={y(s.wpm)} r="2.5" fill="var(--typing-caret, #7dd3fc)">
+          <title>{`${s.second}s: ${s.wpm} wpm${s.errors ? `, ${s.errors} error${s.errors > 1 ? "s" : ""}` : ""}`}</title>
+        </circle>
+      ))}
+      {errorSeconds.map((s) => {
+        const r = Math.min(6, 2 + s.errors);
+        const cx = x(s.second);
+        const cy = height - pad + 10;
+        return (
+          <path
+            key={`e${s.second}`}
+            d={`M${cx - r},${cy - r}L${cx + r},${cy + r}M${cx - r},${cy + r}L${cx + r},${cy - r}`}
+            stroke="var(--typing-error-mark, #f87171)"
+            strokeWidth="2"
+          >
+            <title>{`${s.second}s: ${s.errors} error${s.errors > 1 ? "s" : ""}`}</title>
+          </path>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,21 @@
+// client/src/StrictnessSelect.jsx
+import React from "react";
+import { STRICTNESS } from "./typingEngine";
+import { STRICTNESS_LABELS } from "./strictness";
+
+/**
+ * StrictnessSelect — dropdown over the engine's strictness modes.
+ * Props:
+ *  - value, onChange(id)
+ */
+export default function StrictnessSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label="Error handling">
+      {STRICTNESS.map((id) => (
+        <option key={id} value={id}>
+          {STRICTNESS_LABELS[id]}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,69 @@
+// client/src/SyncBadge.jsx
+import React from "react";
+import Link from "./Link";
+import { downloadEntry, retryEntry, syncOutbox, useOutboxEntry } from "./outbox";
+import { routePath } from "./router";
+
+const REASONS = {
+  cheat_detected: "rejected as implausibly fast",
+  unknown_problem: "the problem no longer exists",
+  http_413: "it is too large for the server",
+};
+
+/**
+ * SyncBadge
+ * Save state of one queued attempt: pending (with retry info), synced (links to
+ * the stored attempt) or failed (with retry and a JSON download, so the run isn't lost).
+ *
+ * Props:
+ *  - id: outbox entry id from enqueueAttempt / useTypingEngine's submissionId
+ */
+export default function SyncBadge({ id }) {
+  const entry = useOutboxEntry(id);
+  if (!entry) return null;
+
+  if (entry.status === "synced") {
+    return (
+      <div style={{ color: "#86efac", marginTop: 4 }}>
+        Saved. <Link to={routePath("attempt", { id: entry.attemptId })}>View replay</Link>
+      </div>
+    );
+  }
+  if (entry.status === "needs_sign_in") {
+    return (
+      <div role="alert" style={{ color: "#fcd34d", marginTop: 4 }}>
+        Saved on this device. Sign in as <strong>{entry.user}</strong> to upload it.{" "}
+        <button onClick={() => downloadEntry(entry)} style={{ padding: "2px 6px", fontSize: 12 }}>
+          Download
+        </button>
+      </div>
+    );
+  }
+  if (entry.status === "failed") {
+    return (
+      <div role="alert" style={{ color: "#fca5a5", marginTop: 4 }}>
+        Not saved: {REASONS[entry.error] || entry.error}.{" "}
+        <button onClick={() => retryEntry(entry.id)} style={{ padding: "2px 6px", fontSize: 12 }}>
+          Retry
+        </button>{" "}
+        <button onClick={() => downloadEntry(entry)} style={{ padding: "2px 6px", fontSize: 12 }}>
+          Download
+        </button>
+      </div>
+    );
+  }
+  return (
+    <div style={{ color: "#fcd34d", marginTop: 4 }}>
+      {!entry.tries
+        ? "Saving… "
+        : entry.error === "http_413"
+          ? "Saved on this device; the server refused it as too large, retrying. "
+          : "Offline — saved on this device, will upload when the server is back. "}
+      {entry.tries > 0 && (
+        <button onClick={() => syncOutbox({ force: true })} style={{ padding: "2px 6px", fontSize: 12 }}>
+          Retry now
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,35 +1,36 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useRef } from "react";
+import { resolveVariant } from "./languages";
+import useTypingEngine from "./useTypingEngine";
 
 /**
  * TypingCanvas (character-span based)
  * Props:
- *  - problem: { id, title, text }
+ *  - problem: { id, title, text, variants }
+ *  - language: preferred variant (falls back to the first available one)
  *  - onSubmitAttempt(optional): function(attempt) -> called when test finishes
  *  - autoSubmit (boolean): if true, POST to backend automatically (default true)
+ * Typing state and scoring come from the shared typing engine.
  */
-export default function TypingCanvas({ problem, onSubmitAttempt, autoSubmit = true }) {
-  // Normalize text to use '\n' for newlines, keep tabs as '\t'
-  const text = problem?.text ?? "";
+export default function TypingCanvas({ problem, language: preferredLanguage, onSubmitAttempt, autoSubmit = true }) {
+  // the code variant that gets typed; the server verifies against the same one
+  const { language, text } = resolveVariant(problem, preferredLanguage);
   const chars = [...text]; // preserves characters, spaces, newlines, tabs
 
-  const [typed, setTyped] = useState([]); // array of typed chars
-  const [startTs, setStartTs] = useState(null);
-  const [endTs, setEndTs] = useState(null);
-  const [finished, setFinished] = useState(false);
+  const { state, stats, handleKeyDown, reset } = useTypingEngine(text, {
+    attemptFields: { problemId: problem.id, language },
+    autoSubmit,
+    onFinish: onSubmitAttempt,
+  });
+  const typed = state.typed;
   const containerRef = useRef(null);
 
   // keep focus on invisible input
   const hiddenInputRef = useRef(null);
 
   useEffect(() => {
-    // reset when problem changes
-    setTyped([]);
-    setStartTs(null);
-    setEndTs(null);
-    setFinished(false);
-    // focus input
+    // the engine resets itself when the text changes; just refocus
     setTimeout(() => hiddenInputRef.current && hiddenInputRef.current.focus(), 10);
-  }, [problem]);
+  }, [problem, language]);
 
   // caret index = typed.length (points to next char)
   const caretIndex = typed.length;
@@ -42,119 +43,6 @@ export default function TypingCanvas({ problem, onSubmitAttempt, autoSubmit = tr
     if (cursorEl) cursorEl.scrollIntoView({ behavior: "auto", block: "nearest", inline: "nearest" });
   }, [caretIndex]);
 
-  function startIfNeeded() {
-    if (!startTs) setStartTs(Date.now());
-  }
-
-  function finishIfNeeded() {
-    if (typed.length >= chars.length && !finished) {
-      const now = Date.now();
-      setEndTs(now);
-      setFinished(true);
-      // compute metrics
-      const durationMs = now - (startTs || now);
-      const typedStr = typed.join("");
-      const wpm = calcWPM(typedStr.length, durationMs);
-      const accuracy = calcAccuracy(chars, typed);
-      const attempt = {
-        user: localStorage.getItem("nick") || "anon",
-        problemId: problem.id,
-        wpm,
-        accuracy,
-        rawText: typedStr,
-        durationMs,
-      };
-      if (autoSubmit) {
-        // POST to backend
-        fetch("/api/attempts", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(attempt),
-        }).catch((e) => console.error("failed to save attempt", e));
-      }
-      if (onSubmitAttempt) onSubmitAttempt(attempt);
-    }
-  }
-
-  // handle key input via keydown for full control
-  function handleKeyDown(e) {
-    // block paste shortcuts (Ctrl/Cmd+V)
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "v") {
-      e.preventDefault();
-      return;
-    }
-
-    // do not let browser act on Tab
-    if (e.key === "Tab") e.preventDefault();
-
-    // start timer on first key
-    startIfNeeded();
-
-    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-      // printable character
-      e.preventDefault();
-      // handle Enter and Tab as characters: key will be '\n' or '\t' only in special cases,
-      // but here e.key is the actual char; to preserve exact comparison, convert '\r' to '\n'
-      let char = e.key;
-      if (char === "\r") char = "\n";
-      // For consistency, treat the Tab key as 4 spaces if user pressed Tab (we handle below)
-      if (e.key === " ") {
-        // normal space
-      }
-      // push typed char
-      setTyped((t) => {
-        const next = [...t, char];
-        // if we overshoot length, allow (but finish triggers when >=)
-        return next;
-      });
-    } else if (e.key === "Enter") {
-      e.preventDefault();
-      setTyped((t) => [...t, "\n"]);
-    } else if (e.key === "Backspace") {
-      e.preventDefault();
-      setTyped((t) => {
-        if (t.length === 0) return t;
-        const next = t.slice(0, t.length - 1);
-        return next;
-      });
-    } else if (e.key === "Tab") {
-      // insert 4 spaces
-      e.preventDefault();
-      setTyped((t) => [...t, " ", " ", " ", " "]);
-    } else if (e.key === "Escape") {
-      e.preventDefault();
-      // reset test
-      setTyped([]);
-      setStartTs(null);
-      setEndTs(null);
-      setFinished(false);
-    } else {
-      // ignore other keys (Arrow keys, etc.)
-    }
-  }
-
-  // compute metrics helpers
-  function calcWPM(charsCount, ms) {
-    const words = charsCount / 5;
-    const minutes = ms / 60000;
-    return minutes > 0 ? Math.round(words / minutes) : 0;
-  }
-  function calcAccuracy(expectedArr, typedArr) {
-    if (!typedArr || typedArr.length === 0) return 100;
-    let correct = 0;
-    for (let i = 0; i < typedArr.length; i++) {
-      if (i >= expectedArr.length) break;
-      if (typedArr[i] === expectedArr[i]) correct++;
-    }
-    return Math.round((correct / typedArr.length) * 100);
-  }
-
-  // update finish check when typed changes
-  useEffect(() => {
-    if (startTs && !finished) finishIfNeeded();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [typed]);
-
   // rendered spans: show class based on correct/incorrect/current/past
   function renderCharSpan(c, idx) {
     const typedChar = typed[idx];
@@ -166,12 +54,7 @@ export default function TypingCanvas({ problem, onSubmitAttempt, autoSubmit = tr
       if (typedChar === c) classes.push("correct");
       else classes.push("incorrect");
     }
-    // transform display for whitespace
-    let display = c;
-    if (c === " ") display = "·"; // visible dot for space (optional)
-    if (c === "\n") display = "⏎"; // visible symbol for newline (optional)
-    if (c === "\t") display = "⇥"; // visible tab symbol (optional)
-    // But we prefer to show actual whitespace visually — use whiteSpace: pre in CSS.
+    // whitespace is shown as itself (white-space: pre-wrap); the title names it
     return (
       <span
         key={idx}
@@ -186,9 +69,7 @@ export default function TypingCanvas({ problem, onSubmitAttempt, autoSubmit = tr
   }
 
   // summary metrics computed on the fly
-  const elapsedMs = (endTs || Date.now()) - (startTs || Date.now());
-  const wpm = startTs ? calcWPM(typed.join("").length, elapsedMs) : 0;
-  const accuracy = calcAccuracy(chars, typed);
+  const { elapsedMs, wpm, accuracy } = stats;
 
   return (
     <div className="typing-root" onClick={() => hiddenInputRef.current && hiddenInputRef.current.focus()}>
@@ -221,10 +102,7 @@ export default function TypingCanvas({ problem, onSubmitAttempt, autoSubmit = tr
         <button
           onClick={() => {
             // reset manually
-            setTyped([]);
-            setStartTs(null);
-            setEndTs(null);
-            setFinished(false);
+            reset();
             hiddenInputRef.current && hiddenInputRef.current.focus();
           }}
         >
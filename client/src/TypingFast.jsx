@@ -1,43 +1,37 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useRef } from "react";
+import { resolveVariant } from "./languages";
+import useTypingEngine from "./useTypingEngine";
 
 /**
  * TypingFast (improved)
  * - single absolute caret moved via transform (smooth)
- * - full reset on problem change (no leftover green)
+ * - typing state and scoring from the shared typing engine; classes rendered from its state
+ * - types the problem's `language` variant (falls back to the first available one)
  */
-export default function TypingFast({ problem, onFinish, autoSubmit = true }) {
-  const text = problem?.text ?? "";
+export default function TypingFast({ problem, language: preferredLanguage, onFinish, autoSubmit = true }) {
+  const { language, text } = resolveVariant(problem, preferredLanguage);
   const chars = [...text];
   const containerRef = useRef(null);
   const promptRef = useRef(null);
   const inputRef = useRef(null);
   const caretRef = useRef(null);
   const spansRef = useRef([]);
-  const [pos, setPos] = useState(0);
-  const startTsRef = useRef(null);
-  const finishedRef = useRef(false);
-
-  // --- RESET on problem change ---
+  const { state, stats, handleKeyDown, reset } = useTypingEngine(text, {
+    attemptFields: { problemId: problem.id, language },
+    autoSubmit,
+    onFinish,
+  });
+  const pos = stats.pos;
+
+  // --- RESET on problem change (the engine restarts by itself when the text changes) ---
   useEffect(() => {
-    // clear any previous spans' classes & dataset
-    if (spansRef.current && spansRef.current.length) {
-      spansRef.current.forEach((s) => {
-        if (s) {
-          s.classList.remove("correct", "incorrect");
-          delete s.dataset.typedChar;
-        }
-      });
-    }
-    spansRef.current = [];
-    finishedRef.current = false;
-    startTsRef.current = null;
-    setPos(0);
+    spansRef.current.length = chars.length;
     // focus input shortly after mount
     setTimeout(() => inputRef.current && inputRef.current.focus(), 20);
     // position caret at start
     requestAnimationFrame(() => moveCaretToIndex(0, true));
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [problem?.id]);
+  }, [problem?.id, language]);
 
   // --- caret movement function (smooth) ---
   // modeForceInstant: if true, place caret without transition (used on reset)
@@ -96,116 +90,9 @@ export default function TypingFast({ problem, onFinish, autoSubmit = true }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [pos]);
 
-  // metrics helpers (unchanged)
-  function calcWPM(charsCount, ms) {
-    const words = charsCount / 5;
-    const minutes = ms / 60000;
-    return minutes > 0 ? Math.round(words / minutes) : 0;
-  }
-  function calcAccuracy(typedLen) {
-    if (!typedLen) return 100;
-    const correct = spansRef.current.reduce((acc, s) => acc + (s && s.classList.contains("correct") ? 1 : 0), 0);
-    return Math.round((correct / typedLen) * 100);
-  }
-
-  // finish logic (unchanged)
-  function finishIfNeeded(now) {
-    if (finishedRef.current) return;
-    if (pos >= chars.length) {
-      finishedRef.current = true;
-      const endTs = now || Date.now();
-      const durationMs = startTsRef.current ? endTs - startTsRef.current : 0;
-      const typedStr = spansRef.current.map((s) => s && s.dataset.typedChar ? s.dataset.typedChar : "").join("");
-      const wpm = calcWPM(typedStr.length, durationMs);
-      const accuracy = calcAccuracy(typedStr.length);
-      const attempt = {
-        user: localStorage.getItem("nick") || "anon",
-        problemId: problem.id,
-        wpm,
-        accuracy,
-        rawText: typedStr,
-        durationMs,
-      };
-      if (autoSubmit) {
-        fetch("/api/attempts", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(attempt),
-        }).catch((e) => console.error("save attempt failed", e));
-      }
-      if (onFinish) onFinish(attempt);
-    }
-  }
-
-  // typing handlers (unchanged semantics)
-  function handleKeyDown(e) {
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "v") { e.preventDefault(); return; }
-    if (!startTsRef.current) startTsRef.current = Date.now();
-
-    if (e.key === "Backspace") {
-      e.preventDefault();
-      if (pos === 0) return;
-      const prev = pos - 1;
-      const sp = spansRef.current[prev];
-      if (sp) {
-        sp.classList.remove("correct", "incorrect");
-        delete sp.dataset.typedChar;
-      }
-      setPos(prev);
-    } else if (e.key === "Enter") {
-      e.preventDefault();
-      writeChar("\n");
-    } else if (e.key === "Tab") {
-      e.preventDefault();
-      // 4 spaces
-      [" ", " ", " ", " "].forEach((s) => writeChar(s));
-    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-      e.preventDefault();
-      writeChar(e.key);
-    } else if (e.key === "Escape") {
-      e.preventDefault();
-      fullReset();
-    } else {
-      // ignore other keys
-    }
-  }
-
-  function writeChar(ch) {
-    if (finishedRef.current) return;
-    const idx = pos;
-    const span = spansRef.current[idx];
-    if (!span) {
-      // beyond end
-      setPos((p) => p + 1);
-      finishIfNeeded();
-      return;
-    }
-    span.dataset.typedChar = ch;
-    const expected = chars[idx];
-    if (ch === expected) {
-      span.classList.add("correct");
-      span.classList.remove("incorrect");
-    } else {
-      span.classList.add("incorrect");
-      span.classList.remove("correct");
-    }
-    setPos(idx + 1);
-    finishIfNeeded();
-  }
-
-  // full reset that clears classes & datasets
+  // full reset; the caret follows pos back to the start
   function fullReset() {
-    finishedRef.current = false;
-    startTsRef.current = null;
-    setPos(0);
-    spansRef.current.forEach((s) => {
-      if (s) {
-        s.classList.remove("correct", "incorrect");
-        delete s.dataset.typedChar;
-      }
-    });
-    // place caret instantly at start
-    moveCaretToIndex(0, true);
+    reset();
     inputRef.current && (inputRef.current.value = "");
     inputRef.current && inputRef.current.focus();
   }
@@ -226,7 +113,7 @@ export default function TypingFast({ problem, onFinish, autoSubmit = true }) {
             <span
               key={i}
               ref={(el) => { spansRef.current[i] = el; }}
-              className="prompt-char"
+              className={i < pos ? (state.typed[i] === c ? "prompt-char correct" : "prompt-char incorrect") : "prompt-char"}
               data-idx={i}
             >
               {c}
@@ -263,11 +150,9 @@ export default function TypingFast({ problem, onFinish, autoSubmit = true }) {
 
       <div style={{ marginTop: 10, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
         <div className="metrics">
-          <div>Elapsed: {startTsRef.current ? Math.round((Date.now() - startTsRef.current) / 1000) : 0}s</div>
-          <div>
-            WPM: {startTsRef.current ? calcWPM(spansRef.current.reduce((a, s) => a + (s && s.dataset.typedChar ? 1 : 0), 0), Date.now() - startTsRef.current) : 0}
-          </div>
-          <div>Accuracy: {spansRef.current.length ? calcAccuracy(spansRef.current.reduce((a, s) => a + (s && s.dataset.typedChar ? 1 : 0), 0)) : 100}%</div>
+          <div>Elapsed: {Math.round(stats.elapsedMs / 1000)}s</div>
+          <div>WPM: {stats.wpm}</div>
+          <div>Accuracy: {stats.accuracy}%</div>
         </div>
 
         <div>
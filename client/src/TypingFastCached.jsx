@@ -1,32 +1,108 @@
 // client/src/TypingFastCached.jsx
-import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import React, { useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from "react";
+import AttemptReplay from "./AttemptReplay";
+import LanguageSelect from "./LanguageSelect";
+import GhostSelect from "./GhostSelect";
+import SettingsPanel from "./SettingsPanel";
+import SpeedChart from "./SpeedChart";
+import StrictnessSelect from "./StrictnessSelect";
+import SyncBadge from "./SyncBadge";
+import { announce, describeNext } from "./a11y";
+import { availableLanguages, resolveVariant } from "./languages";
+import { tokenize } from "./highlight";
+import { getToken } from "./auth";
+import { DEFAULT_SETTINGS, settingsStyle, updateSettings, useSettings } from "./settings";
+import { countErrors, speedTimeline, toAttempt } from "./typingEngine";
+import { STRICTNESS_LABELS } from "./strictness";
+import useTypingEngine from "./useTypingEngine";
 
 /**
  * TypingFastCached.jsx
  * - Render prompt as per-char spans
  * - Cache span bounding rects once on mount / resize
  * - Single absolute caret moved via transform with CSS transition (GPU)
- * - Full reset on problem change (clears classes/dataset)
+ * - Typing state, scoring and the keystroke log come from the shared typing engine;
+ *   span classes are patched from engine state for the positions that changed
+ * - Untyped chars are syntax-coloured by language; correct/incorrect override that
+ * - Strictness: "free" writes wrong chars, "stop-on-error" holds the caret until the right
+ *   key, "must-correct" won't finish while errors remain; Ctrl/Alt+Backspace deletes a word
+ * - Optional auto-indent: after a correct Enter the next line's leading whitespace is
+ *   filled in (marked data-auto) and left out of WPM/accuracy
+ * - Optional ghost: a dimmed second caret replays a recorded attempt's pace
+ * - Screen reader mode: live regions announce the next expected word (or character)
+ *   and each mistyped key; errors are also marked by shape (underline + outline), not
+ *   only colour. Remembered like auto-indent. Its "High contrast" box is a shortcut for
+ *   the high-contrast appearance theme
+ * - Colours, code font and caret come from the appearance settings (settings.js) as
+ *   CSS variables on the root; the caret can be a line, block or underline
  *
  * Props:
- *  - problem: { id, title, text }
+ *  - problem: { id, title, text, variants: { [language]: code } }
+ *  - language: preferred variant (falls back to the first available one)
+ *  - onLanguageChange(language) optional; shows a language picker when given
+ *  - strictness: engine strictness mode, default "free"
+ *  - onStrictnessChange(strictness) optional; shows a strictness picker when given
+ *  - daily: day (YYYY-MM-DD) when this problem is that day's daily challenge; attempts
+ *    are then sent as entries for the daily leaderboard
  *  - onFinish(attempt) optional callback
+ *  - onProgress(pos) optional; called whenever the caret moves (races)
  *  - autoSubmit (boolean) defaults true
+ *  - allowRestart (boolean) defaults true; off for one-shot attempts such as races
+ *  - autoFocus (boolean) defaults true; off when embedded next to other inputs (editor preview)
  */
-export default function TypingFastCached({ problem, onFinish, autoSubmit = true }) {
-  const text = problem?.code ?? problem?.text ?? "";
+export default function TypingFastCached({
+  problem,
+  language: preferredLanguage,
+  onLanguageChange,
+  strictness = "free",
+  onStrictnessChange,
+  daily = null,
+  onFinish,
+  onProgress,
+  autoSubmit = true,
+  allowRestart = true,
+  autoFocus = true,
+}) {
+  const { language, text } = resolveVariant(problem, preferredLanguage);
   const chars = [...text]; // preserves spaces/newlines
+  // eslint-disable-next-line react-hooks/exhaustive-deps -- chars is derived from text
+  const tokens = useMemo(() => tokenize(chars, language), [text, language]);
   const containerRef = useRef(null);
   const promptRef = useRef(null);
   const spansRef = useRef([]);
   const cachedRects = useRef([]); // cached {left, top, width, height} relative to container
   const caretRef = useRef(null);
+  const ghostCaretRef = useRef(null);
   const inputRef = useRef(null);
 
-  const [pos, setPos] = useState(0);
-  const startTsRef = useRef(null);
-  const finishedRef = useRef(false);
-  const [report, setReport] = useState(null);
+  const [autoIndent, setAutoIndent] = useState(() => localStorage.getItem("autoIndent") === "1");
+  const { state, stats, handleKeyDown, reset, submissionId } = useTypingEngine(text, {
+    autoIndent,
+    strictness,
+    attemptFields: { problemId: problem.id, language, ...(daily && { daily }) },
+    autoSubmit,
+    allowRestart,
+    onFinish,
+  });
+  const pos = stats.pos;
+  // must-correct holds the finish back while this is above zero
+  const errorsLeft = state.finishedAt === null && pos >= chars.length ? countErrors(state) : 0;
+  const report = state.finishedAt !== null ? toAttempt(state) : null;
+  const startedAtRef = useRef(null); // for the ghost's animation loop
+  startedAtRef.current = state.startedAt;
+  const paintedPosRef = useRef(0); // caret position the span classes were last patched for
+  const [ghost, setGhost] = useState(null); // { id, user, wpm, durationMs, track: [[t, pos]] }
+  const [ghostPos, setGhostPos] = useState(0);
+  const [screenReader, setScreenReader] = useState(() => localStorage.getItem("screenReaderMode") === "1");
+  const [announceUnit, setAnnounceUnit] = useState(() => localStorage.getItem("announceUnit") || "word");
+  const settings = useSettings();
+  const settingsRef = useRef(settings); // for the imperative caret code
+  settingsRef.current = settings;
+  const [live, setLive] = useState({ polite: "", assertive: "" });
+  const announcedRef = useRef({ pos: 0, typed: state.typed }); // engine state the live regions last spoke for
+  const [focused, setFocused] = useState(false);
+  const reportRef = useRef(null);
+  const ids = useId();
 
   // --- compute and cache spans' rects relative to container ---
   function computeSpanRects() {
@@ -45,21 +121,20 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
     });
   }
 
-  // --- move caret using cached rects (fast) ---
-  function moveCaretToIndexCached(index, instant = false) {
-    const caret = caretRef.current;
+  // --- caret coordinates for a prompt index, from cached rects ---
+  function caretPoint(index) {
     const rects = cachedRects.current;
-    const container = containerRef.current;
-    if (!caret || !container) return;
-
     let x = 0,
       y = 0,
       h = 18;
+    // newline spans are blocks as wide as the prompt; use a character's width instead
+    let w = Math.round(settingsRef.current.fontSize * 0.6);
     const target = rects[index];
     if (target) {
       x = Math.round(target.left);
       y = Math.round(target.top);
       h = Math.round(target.height);
+      if (chars[index] !== "\n") w = Math.round(target.width);
     } else {
       // caret at end -> after last char
       const last = rects[rects.length - 1];
@@ -74,11 +149,22 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
         h = 18;
       }
     }
+    return { x, y, h, w };
+  }
 
-    caret.style.height = `${Math.max(12, h)}px`;
-    const transform = `translate3d(${x}px, ${y}px, 0)`;
+  // --- move caret using cached rects (fast) ---
+  function moveCaretToIndexCached(index, instant = false) {
+    const caret = caretRef.current;
+    const container = containerRef.current;
+    if (!caret || !container) return;
+    const { x, y, h, w } = caretPoint(index);
+    const { caretStyle, caretMotion } = settingsRef.current;
+
+    caret.style.width = `${caretStyle === "line" ? 2 : w}px`;
+    caret.style.height = caretStyle === "underline" ? "2px" : `${Math.max(12, h)}px`;
+    const transform = `translate3d(${x}px, ${caretStyle === "underline" ? y + h - 2 : y}px, 0)`;
 
-    if (instant) {
+    if (instant || caretMotion === "instant") {
       caret.style.transition = "none";
       caret.style.transform = transform;
       // force reflow then restore transition
@@ -108,135 +194,91 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
     }
   }
 
-  // --- full reset (clear classes/dataset and recompute rects) ---
+  // --- full reset: the engine starts over, the paint effect clears the spans ---
   function fullReset() {
-    finishedRef.current = false;
-    startTsRef.current = null;
-    setPos(0);
-    setReport(null);
-    // clear classes & dataset
-    spansRef.current.forEach((s) => {
-      if (!s) return;
-      s.classList.remove("correct", "incorrect");
-      delete s.dataset.typedChar;
-    });
-    // recompute rects (in case layout changed), then position caret instantly
-    computeSpanRects();
-    moveCaretToIndexCached(0, true);
-    if (inputRef.current) {
-      inputRef.current.value = "";
-      inputRef.current.focus();
-    }
+    reset();
+    setTimeout(() => inputRef.current && inputRef.current.focus(), 0);
   }
 
-  // --- finish handling ---
-  function calcWPM(charsCount, ms) {
-    const words = charsCount / 5;
-    const minutes = ms / 60000;
-    return minutes > 0 ? Math.round(words / minutes) : 0;
+  function toggleAutoIndent() {
+    const next = !autoIndent;
+    localStorage.setItem("autoIndent", next ? "1" : "0");
+    setAutoIndent(next); // the engine restarts: the mode applies to a whole attempt
   }
-  function calcAccuracy(typedLen) {
-    if (!typedLen) return 100;
-    const correct = spansRef.current.reduce((acc, s) => acc + (s && s.classList.contains("correct") ? 1 : 0), 0);
-    return Math.round((correct / typedLen) * 100);
+
+  // clicks on the prompt start typing; clicks on controls (and their keyboard
+  // activation, which is also a click) keep focus where it is
+  function focusInput(e) {
+    if (e.target.closest("button, select, input, label, a")) return;
+    inputRef.current && inputRef.current.focus();
   }
 
-  function finishIfNeeded(now) {
-    if (finishedRef.current) return;
-    if (pos >= chars.length) {
-      finishedRef.current = true;
-      const endTs = now || Date.now();
-      const durationMs = startTsRef.current ? endTs - startTsRef.current : 0;
-      const typedStr = spansRef.current.map((s) => (s && s.dataset.typedChar ? s.dataset.typedChar : "")).join("");
-      const wpm = calcWPM(typedStr.length, durationMs);
-      const accuracy = calcAccuracy(typedStr.length);
-      const attempt = {
-        user: localStorage.getItem("nick") || "anon",
-        problemId: problem.id,
-        wpm,
-        accuracy,
-        rawText: typedStr,
-        durationMs,
-      };
-      setReport({ wpm, accuracy, durationMs, rawText: typedStr });
-      if (autoSubmit) {
-        fetch("/api/attempts", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(attempt),
-        }).catch((e) => console.error("save attempt failed", e));
-      }
-      if (onFinish) onFinish(attempt);
-    }
+  function toggleSetting(key, value, set) {
+    localStorage.setItem(key, value === true ? "1" : value === false ? "0" : value);
+    set(value);
   }
 
-  // --- typing logic via invisible input ---
-  function writeChar(ch) {
-    if (finishedRef.current) return;
-    const idx = pos;
-    const span = spansRef.current[idx];
-    if (!span) {
-      // beyond end
-      setPos((p) => p + 1);
-      finishIfNeeded();
-      return;
-    }
-    span.dataset.typedChar = ch;
-    const expected = chars[idx];
-    if (ch === expected) {
-      span.classList.add("correct");
-      span.classList.remove("incorrect");
-    } else {
-      span.classList.add("incorrect");
-      span.classList.remove("correct");
-    }
-    setPos(idx + 1);
-    finishIfNeeded();
+  // a live region only speaks when its text changes, so a repeat gets a trailing nbsp
+  function speak(polite, assertive) {
+    const fresh = (old, text) => (text && old === text ? `${text}\u00a0` : text);
+    setLive((l) => ({ polite: fresh(l.polite, polite), assertive: fresh(l.assertive, assertive) }));
   }
 
-  function handleKeyDown(e) {
-    // block paste via shortcuts
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "v") {
-      e.preventDefault();
-      return;
-    }
-    if (!startTsRef.current) startTsRef.current = Date.now();
-
-    if (e.key === "Backspace") {
-      e.preventDefault();
-      if (pos === 0) return;
-      const prev = pos - 1;
-      const sp = spansRef.current[prev];
-      if (sp) {
-        sp.classList.remove("correct", "incorrect");
-        delete sp.dataset.typedChar;
+  // --- patch span classes for the positions the caret moved over (typing only ever
+  // changes the tail, so nothing before min(old, new) can differ) ---
+  useLayoutEffect(() => {
+    const from = Math.min(paintedPosRef.current, pos);
+    const to = Math.max(paintedPosRef.current, pos);
+    for (let i = from; i < to; i++) {
+      const span = spansRef.current[i];
+      if (!span) continue;
+      if (i < pos) {
+        const ch = state.typed[i];
+        span.dataset.typedChar = ch;
+        span.classList.toggle("correct", ch === chars[i]);
+        span.classList.toggle("incorrect", ch !== chars[i]);
+        span.classList.toggle("auto", state.auto[i]);
+        if (state.auto[i]) span.dataset.auto = "1";
+        else delete span.dataset.auto;
+      } else {
+        span.classList.remove("correct", "incorrect", "auto");
+        delete span.dataset.typedChar;
+        delete span.dataset.auto;
       }
-      setPos(prev);
-    } else if (e.key === "Enter") {
-      e.preventDefault();
-      writeChar("\n");
-    } else if (e.key === "Tab") {
-      e.preventDefault();
-      // 4 spaces for tab
-      writeChar(" ");
-      writeChar(" ");
-      writeChar(" ");
-      writeChar(" ");
-    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-      e.preventDefault();
-      writeChar(e.key);
-    } else if (e.key === "Escape") {
-      e.preventDefault();
-      fullReset();
-    } else {
-      // ignore arrows, home/end, etc.
     }
-  }
+    paintedPosRef.current = pos;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.typed]);
+
+  // --- screen reader announcements for each caret move ---
+  useEffect(() => {
+    const prev = announcedRef.current;
+    announcedRef.current = { pos, typed: state.typed };
+    if (!screenReader || state.finishedAt !== null) return;
+    if (state.startedAt === null && prev.pos > 0) {
+      speak(`Restarted. ${describeNext(chars, 0, announceUnit)}`, "");
+      return;
+    }
+    const last = state.keystrokes[state.keystrokes.length - 1];
+    const rejected = last?.rejected && last.idx === pos ? last.key : undefined;
+    let { polite, assertive } = announce(prev, { pos, typed: state.typed, rejected }, chars, announceUnit);
+    if (pos >= chars.length && pos !== prev.pos) polite = `${errorsLeft} errors left to fix`; // must-correct
+    if (polite || assertive) speak(polite, assertive);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.typed]);
+
+  // the summary takes focus so it is read out (and the hidden input is gone anyway)
+  useEffect(() => {
+    if (state.finishedAt !== null) reportRef.current?.focus();
+  }, [state.finishedAt]);
 
   // --- recompute rects after render / when problem changes ---
+  // (the prompt is also remounted when the report closes, so the spans start clean)
   useLayoutEffect(() => {
-    // reset spansRef array to match new prompt
-    spansRef.current = [];
+    if (report) return;
+    // drop refs left over from a longer prompt
+    spansRef.current.length = chars.length;
+    paintedPosRef.current = 0;
     // give browser a tick to lay out, then compute rects
     const id = requestAnimationFrame(() => {
       computeSpanRects();
@@ -244,14 +286,24 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
       moveCaretToIndexCached(0, true);
     });
     // focus input shortly after
-    const focusId = setTimeout(() => inputRef.current && inputRef.current.focus(), 20);
+    const focusId = autoFocus && setTimeout(() => inputRef.current && inputRef.current.focus(), 20);
 
     return () => {
       cancelAnimationFrame(id);
       clearTimeout(focusId);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [problem?.id, text]);
+  }, [problem?.id, text, !!report]);
+
+  // --- font, size, line height and caret shape change the layout: measure again ---
+  useEffect(() => {
+    const id = requestAnimationFrame(() => {
+      computeSpanRects();
+      moveCaretToIndexCached(pos, true);
+    });
+    return () => cancelAnimationFrame(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [settings.fontFamily, settings.fontSize, settings.lineHeight, settings.caretStyle]);
 
   // --- reposition on window resize (recompute rects) ---
   useEffect(() => {
@@ -264,9 +316,29 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [pos]);
 
+  // the ghost caret follows the recorded attempt's clock, which starts with our first key
+  useEffect(() => {
+    if (!ghost || state.finishedAt !== null) return;
+    let id = requestAnimationFrame(function tick() {
+      setGhostPos(startedAtRef.current !== null ? ghostPosAt(ghost.track, Date.now() - startedAtRef.current) : 0);
+      id = requestAnimationFrame(tick);
+    });
+    return () => cancelAnimationFrame(id);
+  }, [ghost, state.finishedAt]);
+
+  useEffect(() => {
+    const el = ghostCaretRef.current;
+    if (!el) return;
+    const { x, y, h } = caretPoint(ghostPos);
+    el.style.height = `${Math.max(12, h)}px`;
+    el.style.transform = `translate3d(${x}px, ${y}px, 0)`;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ghostPos, ghost]);
+
   // update caret transform when pos changes (uses cached rects)
   useEffect(() => {
     moveCaretToIndexCached(pos, false);
+    if (onProgress) onProgress(pos);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [pos]);
 
@@ -278,51 +350,121 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
   }, []);
 
   // metrics live values computed for UI
-  const elapsedSec = startTsRef.current ? Math.round((Date.now() - startTsRef.current) / 1000) : 0;
-  const typedCount = spansRef.current.reduce((acc, s) => acc + (s && s.dataset.typedChar ? 1 : 0), 0);
-  const currentWpm = startTsRef.current ? calcWPM(typedCount, Date.now() - startTsRef.current) : 0;
-  const currentAcc = typedCount ? calcAccuracy(typedCount) : 100;
-
-  // small helpers duplicated to avoid linter/no-use-before
-  function calcWPM(charsCount, ms) {
-    const words = charsCount / 5;
-    const minutes = ms / 60000;
-    return minutes > 0 ? Math.round(words / minutes) : 0;
-  }
-  function calcAccuracy(typedLen) {
-    if (!typedLen) return 100;
-    const correct = spansRef.current.reduce((acc, s) => acc + (s && s.classList.contains("correct") ? 1 : 0), 0);
-    return Math.round((correct / typedLen) * 100);
-  }
+  const elapsedSec = Math.round(stats.elapsedMs / 1000);
 
   return (
-    <div className="typing-root" onClick={() => inputRef.current && inputRef.current.focus()}>
-      <h2 style={{ margin: "8px 0" }}>{problem.title}</h2>
+    <div
+      className={`typing-root theme-${settings.theme}`}
+      style={settingsStyle(settings)}
+      onClick={focusInput}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2 style={{ margin: "8px 0" }}>
+          {problem.title}
+          {daily && <span className="daily-badge">Daily challenge</span>}
+        </h2>
+        <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          {autoSubmit && allowRestart && problem.id && (
+            <GhostSelect problemId={problem.id} language={language} value={ghost} onChange={setGhost} />
+          )}
+          {onLanguageChange && language && (
+            <LanguageSelect value={language} onChange={onLanguageChange} available={availableLanguages(problem)} />
+          )}
+          <div role="group" aria-label="Accessibility" style={{ display: "flex", gap: 8, color: "var(--typing-muted)", fontSize: 13 }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={screenReader}
+                onChange={() => toggleSetting("screenReaderMode", !screenReader, setScreenReader)}
+              />{" "}
+              Screen reader mode
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.theme === "high-contrast"}
+                onChange={(e) => updateSettings({ theme: e.target.checked ? "high-contrast" : DEFAULT_SETTINGS.theme })}
+              />{" "}
+              High contrast
+            </label>
+            {screenReader && (
+              <select
+                value={announceUnit}
+                onChange={(e) => toggleSetting("announceUnit", e.target.value, setAnnounceUnit)}
+                aria-label="Announce"
+              >
+                <option value="word">Announce words</option>
+                <option value="char">Announce characters</option>
+              </select>
+            )}
+          </div>
+          <SettingsPanel />
+        </div>
+      </div>
 
       {report ? (
-        <div style={{
-          background: "#1e293b",
-          color: "#e6eef3",
+        <div
+          ref={reportRef}
+          className="typing-report"
+          role="dialog"
+          aria-labelledby={`${ids}-summary`}
+          tabIndex={-1}
+          style={{
+          background: "var(--typing-panel)",
+          color: "var(--typing-fg)",
+          border: "1px solid var(--typing-border)",
           borderRadius: 8,
           padding: 20,
           margin: "16px 0",
           boxShadow: "0 2px 8px rgba(0,0,0,0.08)",
         }}>
-          <h3>Test Summary</h3>
-          <div>WPM: <b>{report.wpm}</b></div>
-          <div>Accuracy: <b>{report.accuracy}%</b></div>
+          <h3 id={`${ids}-summary`}>Test Summary</h3>
+          <div>WPM: <b>{report.wpm}</b> net · <b>{report.rawWpm}</b> raw</div>
+          <div>Accuracy: <b>{report.accuracy}%</b> of keystrokes</div>
+          <div>Errors: <b>{report.correctedErrors}</b> corrected · <b>{report.uncorrectedErrors}</b> left in</div>
+          <div>Consistency: <b>{report.consistency}%</b></div>
           <div>Time: <b>{Math.round(report.durationMs / 1000)}s</b></div>
+          {daily && <div>Entered in the daily challenge for <b>{daily}</b></div>}
+          {report.strictness !== "free" && <div>Mode: <b>{STRICTNESS_LABELS[report.strictness]}</b></div>}
+          {report.autoIndent && <div style={{ color: "var(--typing-muted)" }}>Auto-indent on (indentation not scored)</div>}
+          {ghost && (
+            <div>
+              Ghost ({ghost.user}, {ghost.wpm} wpm):{" "}
+              <b>
+                {report.durationMs <= ghost.durationMs
+                  ? `you won by ${((ghost.durationMs - report.durationMs) / 1000).toFixed(1)}s`
+                  : `ghost won by ${((report.durationMs - ghost.durationMs) / 1000).toFixed(1)}s`}
+              </b>
+            </div>
+          )}
+          {autoSubmit && !getToken() && (
+            <div style={{ color: "var(--typing-muted)", marginTop: 4 }}>Sign in to save your result to the leaderboard.</div>
+          )}
+          {submissionId && <SyncBadge id={submissionId} />}
+          <div style={{marginTop:8}}>
+            <div style={{fontWeight:'bold'}}>Speed and errors per second:</div>
+            <SpeedChart timeline={speedTimeline(chars, report.keystrokes, report.durationMs)} />
+          </div>
           <div style={{marginTop:8}}>
             <div style={{fontWeight:'bold'}}>Your Typed Text:</div>
-            <pre style={{background:'#0f1720',color:'#e6eef3',padding:12,borderRadius:6,overflowX:'auto'}}>{report.rawText}</pre>
+            <pre style={{background:'var(--typing-bg)',color:'var(--typing-fg)',fontFamily:'var(--typing-font)',padding:12,borderRadius:6,overflowX:'auto'}}>{report.rawText}</pre>
+          </div>
+          <div style={{marginTop:8}}>
+            <div style={{fontWeight:'bold'}}>Replay:</div>
+            <AttemptReplay text={text} language={language} keystrokes={report.keystrokes} />
           </div>
-          <button onClick={fullReset} style={{...btnStyle, marginTop:12}}>Try Again</button>
+          {allowRestart && (
+            <button onClick={fullReset} style={{...btnStyle, marginTop:12}} aria-label={`Try ${problem.title} again`}>
+              Try Again
+            </button>
+          )}
         </div>
       ) : (
         <>
           <div
             ref={containerRef}
-            className="prompt-wrapper"
+            className={focused ? "prompt-wrapper focused" : "prompt-wrapper"}
+            aria-hidden="true" // per-char spans read badly; the code is in the region below
             style={{
               position: "relative",
               maxHeight: 380,
@@ -336,26 +478,34 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
               className="prompt"
               style={{
                 whiteSpace: "pre-wrap",
-                fontFamily: "ui-monospace, Menlo, Monaco, 'Courier New', monospace",
-                fontSize: 15,
+                fontFamily: "var(--typing-font)",
+                fontSize: "var(--typing-font-size)",
                 padding: 12,
                 borderRadius: 8,
-                background: "#0f1720",
-                color: "#e6eef3",
-                border: "1px solid #1f2933",
-                lineHeight: 1.5,
+                background: "var(--typing-bg)",
+                color: "var(--typing-fg)",
+                border: "1px solid var(--typing-border)",
+                lineHeight: "var(--typing-line-height)",
               }}
             >
               {chars.map((c, i) => (
                 c === "\n" ? (
-                  <span key={i} style={{display:'block',height:'0'}}></span>
+                  // newline still gets a span so Enter is scored and included in rawText
+                  <span
+                    key={i}
+                    ref={(el) => {
+                      spansRef.current[i] = el;
+                    }}
+                    data-idx={i}
+                    style={{display:'block',height:'0'}}
+                  ></span>
                 ) : (
                   <span
                     key={i}
                     ref={(el) => {
                       spansRef.current[i] = el;
                     }}
-                    className="prompt-char"
+                    className={tokens[i] ? `prompt-char tok-${tokens[i]}` : "prompt-char"}
                     data-idx={i}
                   >
                     {c}
@@ -364,19 +514,37 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
               ))}
             </div>
 
+            {ghost && (
+              <div
+                ref={ghostCaretRef}
+                className="ghost-caret"
+                title={`Ghost: ${ghost.user}`}
+                style={{
+                  position: "absolute",
+                  left: 0,
+                  top: 0,
+                  width: 2,
+                  height: 18,
+                  background: "var(--typing-ghost)",
+                  opacity: 0.5,
+                  willChange: "transform",
+                  pointerEvents: "none",
+                  borderRadius: 1,
+                }}
+              />
+            )}
+
             {/* absolute caret element (moved with translate3d) */}
             <div
               ref={caretRef}
-              className="typing-caret"
+              className={`typing-caret caret-${settings.caretStyle} caret-${settings.caretMotion}`}
               style={{
                 position: "absolute",
                 left: 0,
                 top: 0,
                 width: 2,
                 height: 18,
-                background: "#7dd3fc",
                 transform: "translate3d(0,0,0)",
-                transition: "transform 0.08s linear",
                 willChange: "transform",
                 pointerEvents: "none",
                 borderRadius: 1,
@@ -384,38 +552,100 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
             />
           </div>
 
-          {/* hidden input to capture keystrokes */}
+          <pre id={`${ids}-code`} role="region" aria-label="Code to type" style={visuallyHidden}>{text}</pre>
+          <p id={`${ids}-help`} style={visuallyHidden}>
+            Type the code exactly. Tab types four spaces{allowRestart && ", Escape restarts"}, Shift+Tab leaves the
+            typing area.{!screenReader && " Turn on screen reader mode to hear the next word and any mistakes."}
+          </p>
+
+          {/* visually hidden input that captures keystrokes */}
           <input
             ref={inputRef}
             onKeyDown={handleKeyDown}
             onPaste={(e) => e.preventDefault()}
-            style={{ position: "absolute", opacity: 0, left: -9999 }}
+            onFocus={() => {
+              setFocused(true);
+              if (screenReader) speak(`Next: ${describeNext(chars, pos, announceUnit)}`, "");
+            }}
+            onBlur={() => setFocused(false)}
+            aria-label={`Type the code for ${problem.title}`}
+            aria-describedby={`${ids}-help`}
+            style={visuallyHidden}
             autoComplete="off"
             spellCheck="false"
           />
 
           <div style={{ marginTop: 10, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-            <div style={{ color: "#9aa6b2", display: "flex", gap: 12 }}>
+            <div style={{ color: "var(--typing-muted)", display: "flex", gap: 12 }}>
               <div>Elapsed: {elapsedSec}s</div>
-              <div>WPM: {currentWpm}</div>
-              <div>Accuracy: {currentAcc}%</div>
+              <div>WPM: {stats.wpm}</div>
+              <div>Accuracy: {stats.accuracy}%</div>
+              {ghost && (
+                <div style={{ color: pos >= ghostPos ? "var(--typing-correct)" : "var(--typing-error-mark)" }}>
+                  Ghost: {pos === ghostPos ? "level" : `${Math.abs(pos - ghostPos)} chars ${pos > ghostPos ? "ahead" : "behind"}`}
+                </div>
+              )}
             </div>
 
-            <div>
-              <button onClick={fullReset} style={btnStyle}>
-                Reset
-              </button>
+            <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+              {/* toggling auto-indent restarts the attempt */}
+              {errorsLeft > 0 && (
+                <span style={{ color: "var(--typing-error-mark)", fontSize: 13 }}>
+                  Fix the {errorsLeft} marked error{errorsLeft > 1 ? "s" : ""} to finish
+                </span>
+              )}
+              {/* changing the mode restarts the attempt, like auto-indent */}
+              {onStrictnessChange && allowRestart && <StrictnessSelect value={strictness} onChange={onStrictnessChange} />}
+              {language && allowRestart && (
+                <label style={{ color: "var(--typing-muted)", fontSize: 13 }}>
+                  <input type="checkbox" checked={autoIndent} onChange={toggleAutoIndent} /> Auto-indent
+                </label>
+              )}
+              {allowRestart && (
+                <button onClick={fullReset} style={btnStyle} aria-keyshortcuts="Escape">
+                  Reset
+                </button>
+              )}
             </div>
           </div>
         </>
       )}
 
+      {screenReader && (
+        <>
+          <div role="status" aria-live="polite" style={visuallyHidden}>{live.polite}</div>
+          <div role="alert" aria-live="assertive" style={visuallyHidden}>{live.assertive}</div>
+        </>
+      )}
+
       <style>{`
         .prompt-char { display:inline-block; min-width:6px; }
-        .prompt-char.correct { color: #86efac; background: rgba(16,185,129,0.06); }
-        .prompt-char.incorrect { color: #ffb4b4; background: rgba(248,113,113,0.04); text-decoration: underline wavy rgba(248,113,113,0.12); }
-        .typing-caret { z-index: 50; }
+        .prompt-char.tok-keyword { color: var(--typing-keyword); }
+        .prompt-char.tok-string { color: var(--typing-string); }
+        .prompt-char.tok-comment { color: var(--typing-comment); font-style: italic; }
+        .prompt-char.tok-number { color: var(--typing-number); }
+        .prompt-char.tok-punctuation { color: var(--typing-punctuation); }
+        .prompt-char.correct { color: var(--typing-correct); background: var(--typing-correct-bg); }
+        .prompt-char.auto { opacity: 0.45; }
+        .prompt-char.incorrect { color: var(--typing-incorrect); background: var(--typing-incorrect-bg); text-decoration: underline wavy var(--typing-error-mark); text-underline-offset: 3px; outline: 1px dashed var(--typing-error-mark); outline-offset: -1px; }
+        .daily-badge { margin-left: 10px; padding: 1px 8px; font-size: 12px; font-weight: normal; vertical-align: middle; border: 1px solid var(--typing-caret); border-radius: 10px; color: var(--typing-caret); }
+        .typing-caret { z-index: 50; background: var(--typing-caret); transition: transform 0.08s linear; }
+        .typing-caret.caret-instant { transition: none; }
+        .typing-caret.caret-block { opacity: 0.45; }
+        .prompt-wrapper.focused { outline: 2px solid var(--typing-focus); outline-offset: 2px; }
+        .typing-root button:focus-visible, .typing-root select:focus-visible, .typing-root input:focus-visible, .typing-report:focus { outline: 2px solid var(--typing-focus); outline-offset: 2px; }
+        /* high contrast: thicker borders, caret and focus rings on top of the theme's colours */
+        .theme-high-contrast .prompt { border-width: 2px !important; }
+        .theme-high-contrast .prompt-char.auto { opacity: 0.7; }
+        .theme-high-contrast .prompt-char.incorrect { outline: 2px solid var(--typing-fg); }
+        .theme-high-contrast .typing-caret.caret-line { width: 3px !important; }
+        .theme-high-contrast .typing-caret.caret-block { opacity: 0.6; }
+        .theme-high-contrast .typing-report { border-width: 2px !important; }
+        .theme-high-contrast button { border-width: 2px; }
+        .theme-high-contrast .prompt-wrapper.focused, .theme-high-contrast button:focus-visible, .theme-high-contrast select:focus-visible,
+        .theme-high-contrast input:focus-visible, .theme-high-contrast .typing-report:focus { outline-width: 3px; }
         button { background:#111827; color:#fff; border:1px solid #1f2933; padding:6px 10px; border-radius:6px; cursor:pointer; }
+        .typing-root button { background: var(--typing-button-bg); color: var(--typing-button-fg); border-color: var(--typing-button-border); }
         button:hover { filter: brightness(1.06); }
       `}</style>
     </div>
@@ -424,10 +654,36 @@ export default function TypingFastCached({ problem, onFinish, autoSubmit = true
 
 // tiny button style reused
 const btnStyle = {
-  background: "#111827",
-  color: "#fff",
-  border: "1px solid #1f2933",
+  background: "var(--typing-button-bg)",
+  color: "var(--typing-button-fg)",
+  border: "1px solid var(--typing-button-border)",
   padding: "6px 10px",
   borderRadius: 6,
   cursor: "pointer",
 };
+
+// hidden from sight but still read by screen readers (and focusable, for the input)
+const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  border: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
+// ghost caret position `ms` into a recorded attempt (track is [[t, pos]] sorted by t)
+function ghostPosAt(track, ms) {
+  let lo = 0;
+  let hi = track.length - 1;
+  if (hi < 0 || ms < track[0][0]) return 0;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (track[mid][0] <= ms) lo = mid;
+    else hi = mid - 1;
+  }
+  return track[lo][1];
+}
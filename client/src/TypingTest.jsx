@@ -1,59 +1,185 @@
-import React, { useState, useEffect } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import Leaderboard from "./Leaderboard";
+import SyncBadge from "./SyncBadge";
+import { getToken } from "./auth";
+import { useOutboxEntry } from "./outbox";
+import useTypingEngine from "./useTypingEngine";
+import { generateWords } from "./words";
 
-const sampleText = "the quick brown fox jumps over the lazy dog";
+const TIME_MODES = [15, 30, 60, 120]; // seconds
+const WORD_MODES = [10, 25, 50, 100];
+const TIMED_BATCH = 50; // words generated at a time in timed mode; more are appended as needed
+const TIMED_MARGIN = 40; // chars left in the prompt when the next batch is appended
+const SETTINGS_KEY = "typingTest";
 
+/**
+ * TypingTest — plain-English typing test over the bundled word list.
+ * - timed modes end when the clock runs out, word modes when every word is typed
+ * - optional punctuation/numbers
+ * - keys, timing and scoring come from the shared typing engine (useTypingEngine)
+ * - shows a results summary and submits under a mode-specific leaderboard,
+ *   e.g. "time-30" or "words-25+punctuation"
+ */
 export default function TypingTest() {
-  const [text, setText] = useState(sampleText.split("")); // array of chars
-  const [typed, setTyped] = useState([]); // what user has typed
-  const [currentIndex, setCurrentIndex] = useState(0);
-
-  const handleKeyDown = (e) => {
-    if (e.key.length === 1) {
-      // letter/space
-      setTyped((prev) => [...prev, e.key]);
-      setCurrentIndex((prev) => prev + 1);
-    } else if (e.key === "Backspace" && currentIndex > 0) {
-      setTyped((prev) => prev.slice(0, -1));
-      setCurrentIndex((prev) => prev - 1);
+  const [settings, setSettings] = useState(loadSettings); // { kind, amount, punctuation, numbers }
+  const [words, setWords] = useState(""); // the prompt the test started with
+  const inputRef = useRef(null);
+  const promptRef = useRef(null);
+
+  const { kind, amount, punctuation, numbers } = settings;
+  const mode = modeId(settings);
+  const { state, stats, handleKeyDown, reset, extend, submissionId } = useTypingEngine(words, {
+    timeLimitMs: kind === "time" ? amount * 1000 : null,
+    allowRestart: false, // Esc deals new words instead
+    // timed prompts grow while typing; the server checks against the whole thing
+    attemptFields: (finished) => ({ mode, prompt: finished.chars.join("") }),
+  });
+  const submission = useOutboxEntry(submissionId);
+  const done = state.finishedAt !== null;
+  const typedText = state.typed.join("");
+
+  // focus is opt-in so the test doesn't grab the keyboard from the problem view on page load
+  function newTest(focus = false) {
+    setWords(generateWords(kind === "time" ? TIMED_BATCH : amount, { punctuation, numbers }));
+    reset();
+    // the input is only mounted again after the results panel goes away
+    if (focus) setTimeout(() => inputRef.current && inputRef.current.focus(), 0);
+  }
+
+  // new words whenever the mode or options change
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    newTest();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode]);
+
+  // a timed test never runs out of words
+  useEffect(() => {
+    if (kind === "time" && !done && state.typed.length && state.chars.length - state.typed.length < TIMED_MARGIN) {
+      extend(` ${generateWords(TIMED_BATCH, { punctuation, numbers })}`);
     }
-  };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.typed.length]);
 
-  // start listening to keystrokes
+  // keep the caret's line in view as the text scrolls
   useEffect(() => {
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [currentIndex]);
+    const cursor = promptRef.current && promptRef.current.querySelector(".tt-char.cursor");
+    if (cursor) cursor.scrollIntoView({ block: "nearest", inline: "nearest" });
+  }, [state.typed.length]);
+
+  function onKeyDown(e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      newTest(true);
+      return;
+    }
+    // the prompt is one line of words: Tab moves focus as usual and Enter isn't part of it
+    if (e.key === "Tab" || e.key === "Enter") return;
+    handleKeyDown(e);
+  }
 
-  const restartTest = () => {
-    setTyped([]);
-    setCurrentIndex(0);
-  };
+  function update(patch) {
+    setSettings((s) => ({ ...s, ...patch }));
+  }
+
+  const wordCount = typedText.split(" ").filter(Boolean).length;
 
   return (
-    <div className="p-6 font-mono text-xl">
-      <div className="flex flex-wrap gap-1 mb-4">
-        {text.map((char, idx) => {
-          let status = "";
-          if (idx < typed.length) {
-            status =
-              typed[idx] === char
-                ? "text-green-500"
-                : "text-red-500 underline";
-          }
-          return (
-            <span key={idx} className={status}>
-              {char}
-            </span>
-          );
-        })}
+    <div className="tt-root" onClick={() => inputRef.current && inputRef.current.focus()}>
+      <div className="tt-modes">
+        {TIME_MODES.map((s) => (
+          <button key={`t${s}`} className={kind === "time" && amount === s ? "active" : ""} onClick={() => update({ kind: "time", amount: s })}>
+            {s}s
+          </button>
+        ))}
+        <span className="tt-sep" />
+        {WORD_MODES.map((n) => (
+          <button key={`w${n}`} className={kind === "words" && amount === n ? "active" : ""} onClick={() => update({ kind: "words", amount: n })}>
+            {n} words
+          </button>
+        ))}
+        <span className="tt-sep" />
+        <label><input type="checkbox" checked={punctuation} onChange={(e) => update({ punctuation: e.target.checked })} /> punctuation</label>
+        <label><input type="checkbox" checked={numbers} onChange={(e) => update({ numbers: e.target.checked })} /> numbers</label>
       </div>
 
-      <button
-        onClick={restartTest}
-        className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300"
-      >
-        Restart
-      </button>
+      {done ? (
+        <div className="tt-result">
+          <h3>Results — {modeLabel(settings)}</h3>
+          <div>WPM: <b>{stats.wpm}</b> <span className="tt-muted">(raw {stats.rawWpm})</span></div>
+          <div>Accuracy: <b>{stats.accuracy}%</b> · Consistency: <b>{stats.consistency}%</b></div>
+          <div>Errors: <b>{stats.correctedErrors}</b> corrected / <b>{stats.uncorrectedErrors}</b> left</div>
+          <div>Characters: <b>{stats.correct}</b> correct / <b>{stats.typed - stats.correct}</b> incorrect</div>
+          <div>Words: <b>{wordCount}</b> in <b>{Math.round(stats.elapsedMs / 1000)}s</b></div>
+          {!getToken() && <div className="tt-muted">Sign in to save your result to the leaderboard.</div>}
+          {submissionId && <SyncBadge id={submissionId} />}
+          <button onClick={() => newTest(true)} style={{ marginTop: 12 }}>Next test</button>
+          {/* remounts (and reloads) once the result has been stored */}
+          <Leaderboard key={submission?.status === "synced" ? submission.id : "live"} mode={mode} />
+        </div>
+      ) : (
+        <>
+          <div className="tt-status">
+            {kind === "time" ? `${Math.ceil((amount * 1000 - stats.elapsedMs) / 1000)}s` : `${wordCount}/${amount}`}
+            <span style={{ marginLeft: 12 }}>{stats.wpm} wpm</span>
+          </div>
+          <div className="tt-prompt" ref={promptRef}>
+            {state.chars.map((c, i) => {
+              let cls = "tt-char";
+              if (i < state.typed.length) cls += state.typed[i] === c ? " correct" : " incorrect";
+              if (i === state.typed.length) cls += " cursor";
+              return (
+                <span key={i} className={cls}>
+                  {c}
+                </span>
+              );
+            })}
+          </div>
+          <input
+            ref={inputRef}
+            onKeyDown={onKeyDown}
+            onPaste={(e) => e.preventDefault()}
+            style={{ position: "absolute", opacity: 0, left: -9999 }}
+            autoComplete="off"
+            spellCheck="false"
+          />
+          <div className="tt-muted">Click the text and start typing. Esc restarts.</div>
+        </>
+      )}
+
+      <style>{`
+        .tt-root { text-align: left; }
+        .tt-modes { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 12px; }
+        .tt-modes button { padding: 4px 10px; }
+        .tt-modes button.active { border-color: #7dd3fc; color: #7dd3fc; }
+        .tt-sep { width: 12px; }
+        .tt-status { color: #7dd3fc; font-family: ui-monospace, Menlo, Monaco, 'Courier New', monospace; margin-bottom: 6px; }
+        .tt-prompt { font-family: ui-monospace, Menlo, Monaco, 'Courier New', monospace; font-size: 20px; line-height: 1.6; color: #64748b; max-height: 200px; overflow-y: auto; }
+        .tt-char.correct { color: #e6eef3; }
+        .tt-char.incorrect { color: #f87171; text-decoration: underline; }
+        .tt-char.cursor { box-shadow: inset 2px 0 0 #7dd3fc; }
+        .tt-result { background: #1e293b; color: #e6eef3; border-radius: 8px; padding: 20px; }
+        .tt-muted { color: #9aa6b2; font-size: 13px; margin-top: 6px; }
+      `}</style>
     </div>
   );
 }
+
+// leaderboard key, e.g. "time-30" or "words-25+punctuation+numbers"
+function modeId({ kind, amount, punctuation, numbers }) {
+  return `${kind}-${amount}${punctuation ? "+punctuation" : ""}${numbers ? "+numbers" : ""}`;
+}
+
+function modeLabel({ kind, amount, punctuation, numbers }) {
+  const extras = [punctuation && "punctuation", numbers && "numbers"].filter(Boolean);
+  return `${kind === "time" ? `${amount}s` : `${amount} words`}${extras.length ? ` + ${extras.join(" + ")}` : ""}`;
+}
+
+function loadSettings() {
+  const defaults = { kind: "time", amount: 30, punctuation: false, numbers: false };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return defaults;
+  }
+}
@@ -0,0 +1,108 @@
+// client/src/a11y.js
+// What the accessible typing mode reads out: the next expected word or character, and
+// what went wrong after a mistyped key. Pure functions over the engine's chars/typed.
+
+const CHAR_NAMES = {
+  " ": "space",
+  "\n": "new line",
+  "\t": "tab",
+  "(": "open paren",
+  ")": "close paren",
+  "[": "open bracket",
+  "]": "close bracket",
+  "{": "open brace",
+  "}": "close brace",
+  "<": "less than",
+  ">": "greater than",
+  "=": "equals",
+  ".": "dot",
+  ",": "comma",
+  ";": "semicolon",
+  ":": "colon",
+  "'": "quote",
+  '"': "double quote",
+  "`": "backtick",
+  _: "underscore",
+  "-": "dash",
+  "+": "plus",
+  "*": "star",
+  "/": "slash",
+  "\\": "backslash",
+  "|": "pipe",
+  "&": "ampersand",
+  "!": "bang",
+  "?": "question mark",
+  "#": "hash",
+  "%": "percent",
+  "^": "caret",
+  "~": "tilde",
+  "@": "at",
+  $: "dollar",
+};
+
+const isSpace = (ch) => ch === " " || ch === "\n" || ch === "\t";
+
+// "(" → "open paren", "A" → "capital A", "a" → "a"
+export function charName(ch) {
+  if (ch === undefined) return "end";
+  return CHAR_NAMES[ch] ?? (/^[A-Z]$/.test(ch) ? `capital ${ch}` : ch);
+}
+
+// letters/digits are left for the screen reader to pronounce; symbols are named
+export function spell(word) {
+  return (word.match(/[A-Za-z0-9]+|[^A-Za-z0-9]/g) || []).map((part) => (part.length > 1 || /[A-Za-z0-9]/.test(part) ? part : charName(part))).join(" ");
+}
+
+export function lineOf(chars, pos) {
+  let line = 1;
+  for (let i = 0; i < pos && i < chars.length; i++) if (chars[i] === "\n") line++;
+  return line;
+}
+
+/**
+ * The next thing to type at `pos`, as text to announce.
+ * unit "char": one character ("open paren"). unit "word": the run of non-space
+ * characters starting at pos, spelled out, or the run of spaces ("4 spaces").
+ */
+export function describeNext(chars, pos, unit = "word") {
+  if (pos >= chars.length) return "end of code";
+  const ch = chars[pos];
+  if (unit === "char") return charName(ch);
+  if (ch === "\n") return "new line";
+  if (isSpace(ch)) {
+    let end = pos;
+    while (end < chars.length && chars[end] === ch) end++;
+    const n = end - pos;
+    return n === 1 ? charName(ch) : `${n} ${ch === " " ? "spaces" : "tabs"}`;
+  }
+  let end = pos;
+  while (end < chars.length && !isSpace(chars[end])) end++;
+  return spell(chars.slice(pos, end).join(""));
+}
+
+/**
+ * Announcements for a caret move from `prev` to `next` (both { pos, typed }; next.rejected
+ * is the key stop-on-error just refused, if any).
+ * Returns { polite, assertive }: errors go out assertively, the next word or
+ * character politely. In word mode nothing is said mid-word unless a key was wrong.
+ */
+export function announce(prev, next, chars, unit = "word") {
+  const { pos, typed, rejected } = next;
+  if (pos === prev.pos) {
+    const assertive = rejected === undefined ? "" : `Error: typed ${charName(rejected)}, expected ${charName(chars[pos])}`;
+    return { polite: "", assertive };
+  }
+  if (pos < prev.pos) return { polite: `Deleted. Next: ${describeNext(chars, pos, "char")}`, assertive: "" };
+
+  // one key can write several chars (Tab, Enter + auto-indent): report the first bad one
+  let bad = prev.pos;
+  while (bad < pos && typed[bad] === chars[bad]) bad++;
+  const wrong = bad < pos;
+  const assertive = wrong ? `Error: typed ${charName(typed[bad])}, expected ${charName(chars[bad])}` : "";
+  if (pos >= chars.length) return { polite: "End of code", assertive };
+
+  const atBoundary = isSpace(chars[pos - 1]) !== isSpace(chars[pos]) || chars[pos - 1] === "\n";
+  if (unit === "word" && !atBoundary && !wrong) return { polite: "", assertive };
+  const newLine = chars[pos - 1] === "\n" ? `Line ${lineOf(chars, pos)}. ` : "";
+  return { polite: `${newLine}${describeNext(chars, pos, unit)}`, assertive };
+}
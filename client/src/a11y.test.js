@@ -0,0 +1,61 @@
+// client/src/a11y.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { announce, charName, describeNext, lineOf, spell } from "./a11y.js";
+
+const chars = [..."def f(s):\n    return s"];
+const at = (pos, typed = chars.slice(0, pos)) => ({ pos, typed });
+
+test("characters are named so punctuation isn't skipped", () => {
+  assert.equal(charName("("), "open paren");
+  assert.equal(charName(" "), "space");
+  assert.equal(charName("R"), "capital R");
+  assert.equal(charName("r"), "r");
+  assert.equal(spell("reverse_string(s):"), "reverse underscore string open paren s close paren colon");
+});
+
+test("the next word or run of spaces is described", () => {
+  assert.equal(describeNext(chars, 0), "def");
+  assert.equal(describeNext(chars, 4), "f open paren s close paren colon");
+  assert.equal(describeNext(chars, 9), "new line");
+  assert.equal(describeNext(chars, 10), "4 spaces");
+  assert.equal(describeNext(chars, 3, "char"), "space");
+  assert.equal(describeNext(chars, chars.length), "end of code");
+});
+
+test("word mode speaks at word boundaries only", () => {
+  assert.deepEqual(announce(at(0), at(1), chars), { polite: "", assertive: "" });
+  assert.deepEqual(announce(at(2), at(3), chars), { polite: "space", assertive: "" });
+  assert.deepEqual(announce(at(3), at(4), chars), { polite: "f open paren s close paren colon", assertive: "" });
+});
+
+test("char mode speaks every character", () => {
+  assert.equal(announce(at(0), at(1), chars, "char").polite, "e");
+});
+
+test("a new line announces its line number", () => {
+  assert.equal(lineOf(chars, 10), 2);
+  assert.equal(announce(at(9), at(10), chars).polite, "Line 2. 4 spaces");
+});
+
+test("a wrong key is reported assertively", () => {
+  const typed = [..."dx"];
+  assert.deepEqual(announce(at(1), { pos: 2, typed }, chars), { polite: "f", assertive: "Error: typed x, expected e" });
+});
+
+test("a key refused by stop-on-error is reported without moving on", () => {
+  assert.deepEqual(announce(at(1), { ...at(1), rejected: "x" }, chars), { polite: "", assertive: "Error: typed x, expected e" });
+});
+
+test("backspace names the character to retype", () => {
+  assert.equal(announce(at(2), at(1), chars).polite, "Deleted. Next: e");
+});
+
+test("finishing says so", () => {
+  assert.equal(announce(at(chars.length - 1), at(chars.length), chars).polite, "End of code");
+});
+
+test("a key that writes several chars reports its first mistake", () => {
+  const typed = [..."def f(s):", " ", " "];
+  assert.equal(announce(at(9), { pos: 11, typed }, chars).assertive, "Error: typed space, expected new line");
+});
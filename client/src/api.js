@@ -0,0 +1,90 @@
+// client/src/api.js
+// The one place that talks to the server. VITE_API_URL sets the server's base URL;
+// left empty, requests go to the page's own origin, where the Vite dev/preview proxy
+// forwards /api and /ws to the API server (see vite.config.js).
+import { authHeaders } from "./auth.js";
+
+export const API_BASE = (import.meta.env?.VITE_API_URL ?? "").replace(/\/+$/, "");
+
+/**
+ * A failed request. `status` is the HTTP status (0 when the server couldn't be
+ * reached) and `code` the server's `error` field, e.g. "name_taken", or
+ * "network" / "http_<status>" when there is none.
+ */
+export class ApiError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// true for the rejection of a request cancelled through its AbortSignal
+export function isAbort(err) {
+  return err?.name === "AbortError";
+}
+
+// "/api/x" + { a: 1, b: undefined } → "<base>/api/x?a=1"; null/undefined/"" values are dropped
+export function apiUrl(path, query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null && value !== "") params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return `${API_BASE}${path}${qs ? `?${qs}` : ""}`;
+}
+
+// WebSocket URL for a server path, following the same base URL as HTTP calls
+export function wsUrl(path, query) {
+  const url = apiUrl(path, query);
+  if (API_BASE) return url.replace(/^http/, "ws");
+  return `${window.location.protocol === "https:" ? "wss" : "ws"}://${window.location.host}${url}`;
+}
+
+/**
+ * Send a request and parse the JSON reply.
+ * options: method, query (object), body (sent as JSON), headers, signal.
+ * The session's Authorization header is added unless `headers` overrides it.
+ * Resolves to the parsed body (null for 204); rejects with ApiError, or with the
+ * AbortError of a cancelled request.
+ */
+export async function request(path, options) {
+  return (await send(path, options)).data;
+}
+
+/**
+ * GET a paged list: resolves to { items, total }, where total is the server's
+ * X-Total-Count header (the number of matches across all pages).
+ */
+export async function requestList(path, options) {
+  const { res, data } = await send(path, options);
+  return { items: data, total: Number(res.headers.get("X-Total-Count") ?? data.length) };
+}
+
+async function send(path, { method = "GET", query, body, headers, signal } = {}) {
+  let res;
+  try {
+    res = await fetch(apiUrl(path, query), {
+      method,
+      signal,
+      headers: { ...(body !== undefined && { "Content-Type": "application/json" }), ...authHeaders(), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (err) {
+    if (isAbort(err)) throw err;
+    throw new ApiError(0, "network");
+  }
+  if (res.status === 204) return { res, data: null };
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(res.status, data?.error || `http_${res.status}`);
+  return { res, data };
+}
+
+export const api = {
+  get: (path, options) => request(path, options),
+  list: (path, options) => requestList(path, options),
+  post: (path, body, options) => request(path, { ...options, method: "POST", body }),
+  put: (path, body, options) => request(path, { ...options, method: "PUT", body }),
+  delete: (path, options) => request(path, { ...options, method: "DELETE" }),
+};
@@ -0,0 +1,71 @@
+// client/src/api.test.js — run with `npm test`
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// auth.js reads the token from localStorage, which node doesn't have
+const storage = new Map();
+globalThis.localStorage = { getItem: (k) => storage.get(k) ?? null };
+const { ApiError, api, apiUrl, isAbort } = await import("./api.js");
+
+let calls;
+let reply; // (url, init) => Response
+globalThis.fetch = async (url, init) => {
+  calls.push({ url, init });
+  return reply(url, init);
+};
+const json = (status, body) => new Response(JSON.stringify(body), { status });
+
+beforeEach(() => {
+  storage.clear();
+  calls = [];
+});
+
+test("apiUrl adds a query string and drops empty values", () => {
+  assert.equal(apiUrl("/api/leaderboard"), "/api/leaderboard");
+  assert.equal(apiUrl("/api/leaderboard", { problemId: "p1", language: "", cursor: null, limit: 10 }), "/api/leaderboard?problemId=p1&limit=10");
+});
+
+test("JSON bodies and the session token are sent", async () => {
+  storage.set("token", "tok");
+  reply = () => json(200, { ok: 1 });
+  assert.deepEqual(await api.post("/api/attempts", { wpm: 1 }), { ok: 1 });
+  const { init } = calls[0];
+  assert.equal(init.method, "POST");
+  assert.equal(init.body, '{"wpm":1}');
+  assert.equal(init.headers["Content-Type"], "application/json");
+  assert.equal(init.headers.Authorization, "Bearer tok");
+});
+
+test("error replies reject with the server's error code", async () => {
+  reply = () => json(409, { error: "name_taken" });
+  await assert.rejects(api.post("/api/auth/register", {}), (err) => err instanceof ApiError && err.status === 409 && err.code === "name_taken");
+  reply = () => new Response("<html>", { status: 502 });
+  await assert.rejects(api.get("/api/problems"), { status: 502, code: "http_502" });
+});
+
+test("an unreachable server is status 0, a 204 is null", async () => {
+  reply = () => {
+    throw new TypeError("Failed to fetch");
+  };
+  await assert.rejects(api.get("/api/problems"), { status: 0, code: "network" });
+  reply = () => new Response(null, { status: 204 });
+  assert.equal(await api.delete("/api/problems/p1"), null);
+});
+
+test("list requests read the total from X-Total-Count", async () => {
+  reply = () => new Response(JSON.stringify([{ id: "p1" }]), { status: 200, headers: { "X-Total-Count": "12" } });
+  assert.deepEqual(await api.list("/api/problems", { query: { limit: 1 } }), { items: [{ id: "p1" }], total: 12 });
+  assert.equal(calls[0].url, "/api/problems?limit=1");
+  reply = () => json(200, [{ id: "p1" }, { id: "p2" }]);
+  assert.equal((await api.list("/api/problems")).total, 2);
+});
+
+test("a cancelled request rejects with its AbortError", async () => {
+  reply = (url, init) => {
+    init.signal.throwIfAborted();
+    return json(200, {});
+  };
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(api.get("/api/problems", { signal: controller.signal }), (err) => isAbort(err));
+});
@@ -0,0 +1,31 @@
+// client/src/auth.js
+// Session token storage. The token is sent as a Bearer header; "nick" keeps the
+// signed-in name around for display.
+
+const TOKEN_KEY = "token";
+const NICK_KEY = "nick";
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+// name of the signed-in user, or null
+export function getNick() {
+  return getToken() ? localStorage.getItem(NICK_KEY) : null;
+}
+
+export function saveSession({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(NICK_KEY, user.name);
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(NICK_KEY);
+}
+
+// headers to merge into any request that needs the signed-in user
+export function authHeaders() {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -0,0 +1,124 @@
+// client/src/highlight.js
+// Small offline tokenizer for the prompt. It only needs to be good enough to colour
+// code while typing, so it is a single-pass scanner rather than a real grammar.
+
+const KEYWORDS = {
+  python: [
+    "and", "as", "assert", "async", "await", "break", "class", "continue", "def", "del", "elif", "else",
+    "except", "finally", "for", "from", "global", "if", "import", "in", "is", "lambda", "nonlocal", "not",
+    "or", "pass", "raise", "return", "try", "while", "with", "yield", "True", "False", "None", "self",
+  ],
+  javascript: [
+    "async", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+    "do", "else", "export", "extends", "finally", "for", "function", "if", "import", "in", "instanceof", "let",
+    "new", "of", "return", "super", "switch", "this", "throw", "try", "typeof", "var", "void", "while", "yield",
+    "true", "false", "null", "undefined",
+  ],
+  java: [
+    "abstract", "boolean", "break", "byte", "case", "catch", "char", "class", "continue", "default", "do",
+    "double", "else", "enum", "extends", "final", "finally", "float", "for", "if", "implements", "import",
+    "instanceof", "int", "interface", "long", "new", "package", "private", "protected", "public", "return",
+    "short", "static", "super", "switch", "this", "throw", "throws", "try", "void", "while", "var",
+    "true", "false", "null",
+  ],
+  go: [
+    "break", "case", "chan", "const", "continue", "default", "defer", "else", "fallthrough", "for", "func",
+    "go", "goto", "if", "import", "interface", "map", "package", "range", "return", "select", "struct",
+    "switch", "type", "var", "true", "false", "nil", "int", "string", "bool", "rune", "byte", "float64", "error",
+  ],
+};
+
+// per-language comment and string delimiters
+const SYNTAX = {
+  python: { line: "#", block: null, quotes: ['"""', "'''", '"', "'"] },
+  javascript: { line: "//", block: ["/*", "*/"], quotes: ['"', "'", "`"] },
+  java: { line: "//", block: ["/*", "*/"], quotes: ['"', "'"] },
+  go: { line: "//", block: ["/*", "*/"], quotes: ['"', "'", "`"] },
+};
+
+const KEYWORD_SETS = Object.fromEntries(Object.entries(KEYWORDS).map(([lang, words]) => [lang, new Set(words)]));
+
+const IDENT_START = /[A-Za-z_$]/;
+const IDENT_PART = /[\w$]/;
+const DIGIT = /[0-9]/;
+const NUMBER_PART = /[0-9A-Fa-fxXoObB_.]/;
+const PUNCTUATION = /[{}()[\];,.:<>=+\-*/%!&|^~?@]/;
+
+function startsWith(chars, i, s) {
+  for (let k = 0; k < s.length; k++) if (chars[i + k] !== s[k]) return false;
+  return true;
+}
+
+/**
+ * Token type for every char of `chars` (an array of code points, as the typing
+ * views split their prompt): "keyword", "string", "comment", "number",
+ * "punctuation", or null for plain text. Unknown languages (or null) come
+ * back all-null.
+ */
+export function tokenize(chars, language) {
+  const types = new Array(chars.length).fill(null);
+  const syntax = SYNTAX[language];
+  if (!syntax) return types;
+  const keywords = KEYWORD_SETS[language];
+
+  const mark = (from, to, type) => {
+    for (let k = from; k < to; k++) types[k] = type;
+  };
+
+  let i = 0;
+  while (i < chars.length) {
+    const c = chars[i];
+
+    if (startsWith(chars, i, syntax.line)) {
+      let j = i;
+      while (j < chars.length && chars[j] !== "\n") j++;
+      mark(i, j, "comment");
+      i = j;
+      continue;
+    }
+
+    if (syntax.block && startsWith(chars, i, syntax.block[0])) {
+      let j = i + syntax.block[0].length;
+      while (j < chars.length && !startsWith(chars, j, syntax.block[1])) j++;
+      j = Math.min(chars.length, j + syntax.block[1].length);
+      mark(i, j, "comment");
+      i = j;
+      continue;
+    }
+
+    const quote = syntax.quotes.find((q) => startsWith(chars, i, q));
+    if (quote) {
+      // single-char quotes stop at end of line (except template/raw backticks)
+      const multiline = quote.length === 3 || quote === "`";
+      let j = i + quote.length;
+      while (j < chars.length && !startsWith(chars, j, quote)) {
+        if (chars[j] === "\n" && !multiline) break;
+        j += chars[j] === "\\" ? 2 : 1;
+      }
+      j = Math.min(chars.length, startsWith(chars, j, quote) ? j + quote.length : j);
+      mark(i, j, "string");
+      i = j;
+      continue;
+    }
+
+    if (DIGIT.test(c)) {
+      let j = i + 1;
+      while (j < chars.length && NUMBER_PART.test(chars[j])) j++;
+      mark(i, j, "number");
+      i = j;
+      continue;
+    }
+
+    if (IDENT_START.test(c)) {
+      let j = i + 1;
+      while (j < chars.length && IDENT_PART.test(chars[j])) j++;
+      if (keywords.has(chars.slice(i, j).join(""))) mark(i, j, "keyword");
+      i = j;
+      continue;
+    }
+
+    if (PUNCTUATION.test(c)) types[i] = "punctuation";
+    i++;
+  }
+  return types;
+}
@@ -0,0 +1,73 @@
+// client/src/highlight.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize } from "./highlight.js";
+
+// the prompt as [type, text] runs of equally-typed chars, which is how it reads when coloured
+function runs(text, language) {
+  const chars = [...text];
+  const types = tokenize(chars, language);
+  const out = [];
+  chars.forEach((ch, i) => {
+    const last = out[out.length - 1];
+    if (last && last[0] === types[i]) last[1] += ch;
+    else out.push([types[i], ch]);
+  });
+  return out;
+}
+const typed = (text, language, type) => runs(text, language).filter(([t]) => t === type).map(([, s]) => s);
+
+test("strings run to their closing quote, skipping escaped ones", () => {
+  assert.deepEqual(typed('x = "a\\"b" + \'c\\\\\' + d', "python", "string"), ['"a\\"b"', "'c\\\\'"]);
+  assert.deepEqual(typed('s := `raw\nstring` + "x"', "go", "string"), ["`raw\nstring`", '"x"']);
+  // a single-quoted string stops at the end of its line; a triple-quoted one doesn't
+  assert.deepEqual(typed('a = "open\nb = 1', "python", "string"), ['"open']);
+  assert.deepEqual(typed('"""doc\n"quoted" here"""\nx', "python", "string"), ['"""doc\n"quoted" here"""']);
+  // unterminated, or ending in a backslash, runs to the end of the text
+  assert.deepEqual(typed('"abc\\', "javascript", "string"), ['"abc\\']);
+});
+
+test("line comments run to the end of the line and block comments to their close", () => {
+  assert.deepEqual(typed("x = 1 # note \"not a string\"\ny", "python", "comment"), ['# note "not a string"']);
+  assert.deepEqual(typed("a /* one\ntwo */ b // end", "java", "comment"), ["/* one\ntwo */", "// end"]);
+  assert.deepEqual(typed("x /* never closed", "go", "comment"), ["/* never closed"]);
+  // comment markers inside a string are part of the string
+  assert.deepEqual(typed('url = "http://x" // y', "javascript", "comment"), ["// y"]);
+  // python has no block comments
+  assert.deepEqual(typed("a /* b */", "python", "comment"), []);
+});
+
+test("numbers start with a digit; digits inside a name belong to the name", () => {
+  assert.deepEqual(typed("x1 = 42 + 0xFF - 3.14 + 1_000", "python", "number"), ["42", "0xFF", "3.14", "1_000"]);
+  assert.deepEqual(runs("var2", "go"), [[null, "var2"]]);
+  assert.deepEqual(runs("for $el of 2", "javascript"), [["keyword", "for"], [null, " $el "], ["keyword", "of"], [null, " "], ["number", "2"]]);
+});
+
+test("keywords are whole words of the language", () => {
+  assert.deepEqual(typed("def define(self): return None", "python", "keyword"), ["def", "self", "return", "None"]);
+  assert.deepEqual(typed("func main() { defer f() }", "go", "keyword"), ["func", "defer"]);
+  // not a keyword in java
+  assert.deepEqual(typed("def x", "java", "keyword"), []);
+});
+
+test("an unknown or missing language is all plain text", () => {
+  for (const language of ["cobol", null, undefined]) {
+    assert.deepEqual(tokenize([...'if x: "y" # z'], language), new Array(13).fill(null));
+  }
+  assert.deepEqual(tokenize([], "python"), []);
+});
+
+test("the runs join back into exactly the prompt", () => {
+  const samples = [
+    ["def f(s):\n    return s[::-1]  # reverse\n", "python"],
+    ["const a = `t ${b}` /* c */ + 'd' // e\n", "javascript"],
+    ['public static void main(String[] a) { System.out.println("héllo 👋"); }', "java"],
+    ["package main\n\nfunc main() {\n\tfmt.Println(\"\\\"\")\n}", "go"],
+    ['"unterminated \\', "python"],
+    ["emoji 🎉 and tabs\t\tend", "cobol"],
+  ];
+  for (const [text, language] of samples) {
+    assert.equal(tokenize([...text], language).length, [...text].length, text);
+    assert.equal(runs(text, language).map(([, s]) => s).join(""), text, text);
+  }
+});
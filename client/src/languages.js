@@ -0,0 +1,41 @@
+// client/src/languages.js
+// Languages a problem can have a code variant in (mirrors server/problems.js).
+
+export const LANGUAGES = [
+  { id: "python", label: "Python" },
+  { id: "javascript", label: "JavaScript" },
+  { id: "java", label: "Java" },
+  { id: "go", label: "Go" },
+];
+
+const LANGUAGE_KEY = "language";
+
+export function languageLabel(id) {
+  return LANGUAGES.find((l) => l.id === id)?.label ?? "Text";
+}
+
+// languages `problem` actually has a snippet for, in LANGUAGES order
+export function availableLanguages(problem) {
+  const variants = problem?.variants || {};
+  return LANGUAGES.filter((l) => typeof variants[l.id] === "string").map((l) => l.id);
+}
+
+/**
+ * The text to type for `problem` in `language`: that variant if present, else
+ * the first available one, else the description with language null.
+ */
+export function resolveVariant(problem, language) {
+  const variants = problem?.variants || {};
+  if (typeof variants[language] === "string") return { language, text: variants[language] };
+  const [first] = availableLanguages(problem);
+  if (first) return { language: first, text: variants[first] };
+  return { language: null, text: problem?.text ?? "" };
+}
+
+export function getPreferredLanguage() {
+  return localStorage.getItem(LANGUAGE_KEY) || LANGUAGES[0].id;
+}
+
+export function savePreferredLanguage(id) {
+  localStorage.setItem(LANGUAGE_KEY, id);
+}
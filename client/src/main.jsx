@@ -2,6 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { startOutbox } from './outbox'
+
+startOutbox()
+
+// the service worker would cache dev-server modules, so it only runs in builds
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.error('service worker', err))
+  })
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
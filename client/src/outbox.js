@@ -0,0 +1,225 @@
+// client/src/outbox.js
+// Finished attempts are written to an IndexedDB outbox before anything is sent, then
+// POSTed to /api/attempts in the background. Network errors and 5xx/429/413 responses are
+// retried with exponential backoff; other 4xx responses (rejected attempts) mark the entry
+// failed, where it stays until the user retries, downloads or discards it. Sync resumes on
+// load, whenever the browser comes back online and when someone signs in.
+//
+// An entry belongs to the user who typed it and is sent with that user's current session,
+// read at send time. While they are signed out (or their session has expired) it waits
+// as "needs_sign_in" instead of retrying a token the server no longer knows.
+//
+// Entry: { id, attempt, user, status: "pending" | "needs_sign_in" | "synced" | "failed",
+//          tries, nextTryAt, createdAt, attemptId?, error?, rejectedToken? }
+// `id` doubles as the attempt's clientId so a retried POST can't create a duplicate.
+import { useSyncExternalStore } from "react";
+import { ApiError, api } from "./api.js";
+import { getNick, getToken } from "./auth.js";
+
+const DB_NAME = "typing-outbox";
+const STORE = "attempts";
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const KEEP_SYNCED_MS = 24 * 60 * 60 * 1000; // synced entries stay visible for a day
+
+// delay before retry number `tries` (1-based): 2s, 4s, 8s … capped at 5 min, ±20% jitter
+export function retryDelay(tries, random = Math.random) {
+  const base = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (tries - 1));
+  return Math.round(base * (0.8 + random() * 0.4));
+}
+
+// IndexedDB when the browser has it, otherwise (tests, some private modes) memory only
+function openBackend() {
+  if (typeof indexedDB === "undefined") {
+    const rows = new Map();
+    return {
+      all: async () => [...rows.values()],
+      put: async (entry) => void rows.set(entry.id, entry),
+      remove: async (id) => void rows.delete(id),
+    };
+  }
+  const ready = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = (mode, fn) =>
+    ready.then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        })
+    );
+  return {
+    all: () => run("readonly", (s) => s.getAll()),
+    put: (entry) => run("readwrite", (s) => s.put(entry)),
+    remove: (id) => run("readwrite", (s) => s.delete(id)),
+  };
+}
+
+let backend = null;
+let entries = []; // newest first; replaced (never mutated) so it can be a snapshot
+const listeners = new Set();
+let loaded = null;
+let syncing = false;
+let timer = null;
+
+function db() {
+  backend ||= openBackend();
+  return backend;
+}
+
+function publish(next) {
+  entries = next.sort((a, b) => b.createdAt - a.createdAt);
+  for (const fn of listeners) fn();
+}
+
+async function save(entry) {
+  await db().put(entry);
+  publish([...entries.filter((e) => e.id !== entry.id), entry]);
+}
+
+function load() {
+  loaded ||= db()
+    .all()
+    .then(async (rows) => {
+      const cutoff = Date.now() - KEEP_SYNCED_MS;
+      const stale = rows.filter((e) => e.status === "synced" && e.createdAt < cutoff);
+      await Promise.all(stale.map((e) => db().remove(e.id)));
+      publish(rows.filter((e) => !stale.includes(e)));
+    });
+  return loaded;
+}
+
+function schedule() {
+  clearTimeout(timer);
+  const next = entries.filter((e) => e.status === "pending").map((e) => e.nextTryAt);
+  if (!next.length) return;
+  timer = setTimeout(syncOutbox, Math.max(0, Math.min(...next) - Date.now()));
+  timer?.unref?.(); // don't hold node (tests) open
+}
+
+// worth another try: offline, server trouble, rate limited, or a body over the server's
+// size limit (the limit can be raised; the run must not be dropped for it)
+function retryable(status) {
+  return status === 0 || status === 413 || status === 429 || status >= 500;
+}
+
+// the signed-in session's token when it is the entry's user's and hasn't already been
+// turned away for it, otherwise null
+function tokenFor(entry) {
+  const nick = getNick();
+  const token = nick && nick.toLowerCase() === entry.user.toLowerCase() ? getToken() : null;
+  return token && token !== entry.rejectedToken ? token : null;
+}
+
+async function send(entry) {
+  // the attempt belongs to whoever typed it, so it only goes up under their session
+  const token = tokenFor(entry);
+  if (!token) return { ...entry, status: "needs_sign_in" };
+  try {
+    const { attempt } = await api.post("/api/attempts", { ...entry.attempt, clientId: entry.id }, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return { ...entry, status: "synced", attemptId: attempt.id, error: undefined };
+  } catch (err) {
+    if (!(err instanceof ApiError)) throw err;
+    const { status, code } = err;
+    // signed out elsewhere or expired: wait for the next sign-in
+    if (status === 401) return { ...entry, status: "needs_sign_in", rejectedToken: token, error: undefined };
+    if (!retryable(status)) return { ...entry, status: "failed", error: code };
+    const tries = entry.tries + 1;
+    return { ...entry, tries, nextTryAt: Date.now() + retryDelay(tries), error: status ? code : "offline" };
+  }
+}
+
+/**
+ * Send every pending entry that is due, and those waiting for the user who is now
+ * signed in. Safe to call at any time; overlapping calls are folded into the running one.
+ */
+export async function syncOutbox({ force = false } = {}) {
+  await load();
+  if (syncing) return;
+  syncing = true;
+  try {
+    const now = Date.now();
+    for (const entry of entries.filter((e) => e.status === "needs_sign_in" && tokenFor(e))) {
+      await save({ ...entry, status: "pending", nextTryAt: now });
+    }
+    const due = entries.filter((e) => e.status === "pending" && (force || e.nextTryAt <= now));
+    for (const entry of due) {
+      if (typeof navigator !== "undefined" && navigator.onLine === false) break;
+      await save(await send(entry));
+    }
+  } finally {
+    syncing = false;
+    schedule();
+  }
+}
+
+/**
+ * Queue a finished attempt for the signed-in user and start syncing it.
+ * Returns the entry id, or null when signed out (the server needs a session).
+ */
+export async function enqueueAttempt(attempt) {
+  const user = getNick();
+  if (!user) return null;
+  await load();
+  const now = Date.now();
+  // randomUUID needs a secure context; plain-http LAN addresses don't have one
+  const id = crypto.randomUUID?.() ?? `${now.toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const entry = { id, attempt, user, status: "pending", tries: 0, nextTryAt: now, createdAt: now };
+  await save(entry);
+  syncOutbox();
+  return entry.id;
+}
+
+// put a failed or waiting entry back in the queue (the user asked; the server may take it now)
+export async function retryEntry(id) {
+  const entry = entries.find((e) => e.id === id);
+  if (!entry || (entry.status !== "failed" && entry.status !== "needs_sign_in")) return;
+  await save({ ...entry, status: "pending", tries: 0, nextTryAt: Date.now(), error: undefined });
+  await syncOutbox({ force: true });
+}
+
+// save the entry's attempt as a JSON file, so a run the server won't take isn't lost
+export function downloadEntry(entry) {
+  const blob = new Blob([JSON.stringify({ ...entry.attempt, clientId: entry.id }, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `attempt-${entry.id}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export async function discardEntry(id) {
+  await db().remove(id);
+  publish(entries.filter((e) => e.id !== id));
+}
+
+// resumes syncing after a reload and whenever the connection comes back
+export function startOutbox() {
+  window.addEventListener("online", () => syncOutbox({ force: true }));
+  syncOutbox();
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  load();
+  return () => listeners.delete(fn);
+}
+
+// all outbox entries, newest first
+export function useOutbox() {
+  return useSyncExternalStore(subscribe, () => entries);
+}
+
+// the entry `id` returned by enqueueAttempt, or null
+export function useOutboxEntry(id) {
+  const all = useOutbox();
+  return (id && all.find((e) => e.id === id)) || null;
+}
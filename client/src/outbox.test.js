@@ -0,0 +1,118 @@
+// client/src/outbox.test.js — run with `npm test`
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// outbox.js reads the session through auth.js; node has no localStorage or IndexedDB
+// (the outbox falls back to memory)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (k) => storage.get(k) ?? null,
+  setItem: (k, v) => storage.set(k, String(v)),
+  removeItem: (k) => storage.delete(k),
+};
+const { enqueueAttempt, retryDelay, retryEntry, syncOutbox } = await import("./outbox.js");
+
+let responses; // queued fetch results: a status number, or "offline"
+let requests; // sent bodies, with the session they were sent under as `auth`
+globalThis.fetch = async (url, init) => {
+  requests.push({ ...JSON.parse(init.body), auth: init.headers.Authorization });
+  const next = responses.shift();
+  if (next === "offline") throw new TypeError("Failed to fetch");
+  return new Response(JSON.stringify(next === 200 ? { attempt: { id: "server-1" } } : { error: "cheat_detected" }), { status: next });
+};
+
+// enqueueAttempt kicks off a sync without awaiting it; let it finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+beforeEach(() => {
+  storage.set("token", "tok");
+  storage.set("nick", "ann");
+  responses = [];
+  requests = [];
+});
+
+test("retry delay doubles, is jittered and capped", () => {
+  const mid = () => 0.5; // no jitter
+  assert.equal(retryDelay(1, mid), 2000);
+  assert.equal(retryDelay(2, mid), 4000);
+  assert.equal(retryDelay(20, mid), 5 * 60 * 1000);
+  assert.equal(retryDelay(1, () => 0), 1600);
+  assert.equal(retryDelay(1, () => 1), 2400);
+});
+
+test("nothing is queued when signed out", async () => {
+  storage.delete("token");
+  assert.equal(await enqueueAttempt({ problemId: "p1", wpm: 50 }), null);
+});
+
+test("an attempt sent while offline stays pending and syncs later with its client id", async () => {
+  responses = ["offline", 200];
+  const id = await enqueueAttempt({ problemId: "p1", wpm: 50 });
+  await settle();
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].clientId, id);
+
+  await syncOutbox({ force: true });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].clientId, id);
+  await syncOutbox({ force: true }); // already synced: not sent again
+  assert.equal(requests.length, 2);
+});
+
+test("a rejected attempt is not retried", async () => {
+  responses = [400];
+  await enqueueAttempt({ problemId: "p1", wpm: 5000 });
+  await settle();
+  await syncOutbox({ force: true });
+  assert.equal(requests.length, 1);
+});
+
+test("a body too large for the server is kept and retried, not dropped", async () => {
+  responses = [413, 200];
+  const id = await enqueueAttempt({ problemId: "p1", wpm: 50 });
+  await settle();
+  await syncOutbox({ force: true });
+  assert.deepEqual(requests.map((r) => r.clientId), [id, id]);
+});
+
+test("a failed attempt is sent again when the user retries it", async () => {
+  responses = [400, 200];
+  const id = await enqueueAttempt({ problemId: "p1", wpm: 50 });
+  await settle();
+  await retryEntry(id);
+  assert.deepEqual(requests.map((r) => r.clientId), [id, id]);
+});
+
+test("an entry is sent with its user's current session, not the one it was queued under", async () => {
+  responses = ["offline", 200];
+  const id = await enqueueAttempt({ problemId: "p1", wpm: 50 });
+  await settle();
+  storage.set("token", "tok2"); // signed out and back in
+  await syncOutbox({ force: true });
+  assert.deepEqual(requests.map((r) => [r.clientId, r.auth]), [
+    [id, "Bearer tok"],
+    [id, "Bearer tok2"],
+  ]);
+});
+
+test("a dead session parks the entry until its user signs in again", async () => {
+  responses = [401, 200];
+  const id = await enqueueAttempt({ problemId: "p1", wpm: 50 });
+  await settle();
+  await syncOutbox({ force: true });
+  assert.equal(requests.length, 1, "a 401 is not retried");
+
+  // someone else signing in doesn't send it under their name
+  storage.set("token", "bob-token");
+  storage.set("nick", "bob");
+  await syncOutbox({ force: true });
+  assert.equal(requests.length, 1);
+
+  storage.set("token", "ann-token");
+  storage.set("nick", "Ann");
+  await syncOutbox({ force: true });
+  assert.deepEqual(requests.map((r) => [r.clientId, r.auth]), [
+    [id, "Bearer tok"],
+    [id, "Bearer ann-token"],
+  ]);
+});
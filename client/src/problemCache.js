@@ -0,0 +1,21 @@
+// client/src/problemCache.js
+// Last problem list fetched from the server, so practice still works offline.
+
+const KEY = "problems";
+
+export function saveProblems(list) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(list));
+  } catch {
+    // quota exceeded: the app still works online
+  }
+}
+
+export function cachedProblems() {
+  try {
+    const list = JSON.parse(localStorage.getItem(KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,76 @@
+// client/src/router.js
+// Minimal History API router: the app's URL patterns, navigate() and a hook that
+// re-renders on back/forward and on navigate().
+import { useSyncExternalStore } from "react";
+
+const NAVIGATE_EVENT = "app:navigate";
+
+export const ROUTES = [
+  { name: "home", path: "/" },
+  { name: "problem", path: "/problems/:id" },
+  { name: "leaderboard", path: "/leaderboard" },
+  { name: "daily", path: "/daily" },
+  { name: "user", path: "/users/:name" },
+  { name: "attempt", path: "/attempts/:id" },
+  { name: "race", path: "/race" },
+  { name: "manage", path: "/manage" },
+];
+
+/**
+ * Match a pathname against ROUTES.
+ * Returns { name, params } with decoded params, or { name: "notFound", params: {} }.
+ * A trailing slash is ignored.
+ */
+export function matchRoute(pathname, routes = ROUTES) {
+  const parts = pathname.split("/").filter(Boolean);
+  for (const route of routes) {
+    const pattern = route.path.split("/").filter(Boolean);
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        try {
+          params[seg.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return false; // malformed escape such as "%E0"
+        }
+        return true;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { name: route.name, params };
+  }
+  return { name: "notFound", params: {} };
+}
+
+// builds "/problems/p1" from ("problem", { id: "p1" })
+export function routePath(name, params = {}) {
+  const route = ROUTES.find((r) => r.name === name);
+  if (!route) throw new Error(`unknown route ${name}`);
+  return route.path.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === window.location.pathname + window.location.search) return;
+  if (replace) window.history.replaceState(null, "", to);
+  else window.history.pushState(null, "", to);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+const getSnapshot = () => window.location.pathname + window.location.search;
+
+// { pathname, search } of the current URL (search without the leading "?")
+export function useLocation() {
+  const href = useSyncExternalStore(subscribe, getSnapshot);
+  const [pathname, search = ""] = href.split("?");
+  return { pathname, search };
+}
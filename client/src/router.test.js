@@ -0,0 +1,28 @@
+// client/src/router.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchRoute, routePath } from "./router.js";
+
+test("matches static and parameterised routes", () => {
+  assert.deepEqual(matchRoute("/"), { name: "home", params: {} });
+  assert.deepEqual(matchRoute("/leaderboard"), { name: "leaderboard", params: {} });
+  assert.deepEqual(matchRoute("/daily"), { name: "daily", params: {} });
+  assert.deepEqual(matchRoute("/problems/p1"), { name: "problem", params: { id: "p1" } });
+  assert.deepEqual(matchRoute("/attempts/abc_123"), { name: "attempt", params: { id: "abc_123" } });
+});
+
+test("decodes params and ignores a trailing slash", () => {
+  assert.deepEqual(matchRoute("/users/Jo%20Doe/"), { name: "user", params: { name: "Jo Doe" } });
+});
+
+test("unknown paths and malformed escapes are not found", () => {
+  assert.equal(matchRoute("/problems").name, "notFound");
+  assert.equal(matchRoute("/problems/p1/extra").name, "notFound");
+  assert.equal(matchRoute("/users/%E0").name, "notFound");
+});
+
+test("routePath encodes params and round-trips through matchRoute", () => {
+  const path = routePath("user", { name: "a/b c" });
+  assert.equal(path, "/users/a%2Fb%20c");
+  assert.deepEqual(matchRoute(path), { name: "user", params: { name: "a/b c" } });
+});
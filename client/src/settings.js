@@ -0,0 +1,146 @@
+// client/src/settings.js
+// Appearance of the typing view: theme, code font and caret. Applied as CSS variables
+// (settingsStyle) on the typing root. Saved in localStorage, and for a signed-in user
+// also on the server (GET/PUT /api/settings) so they follow the account around.
+import { useSyncExternalStore } from "react";
+import { api } from "./api.js";
+import { getToken } from "./auth.js";
+
+const KEY = "typingSettings";
+const SAVE_DELAY_MS = 500; // a dragged slider fires many changes; the server gets the last
+
+export const THEMES = {
+  dark: {
+    label: "Dark",
+    vars: {
+      bg: "#0f1720", fg: "#e6eef3", border: "#1f2933", muted: "#9aa6b2", panel: "#1e293b",
+      caret: "#7dd3fc", ghost: "#c4b5fd", focus: "#7dd3fc",
+      correct: "#86efac", correctBg: "rgba(16,185,129,0.06)", incorrect: "#ffb4b4", incorrectBg: "rgba(248,113,113,0.04)", errorMark: "#f87171",
+      keyword: "#c4b5fd", string: "#fcd34d", comment: "#64748b", number: "#fdba74", punctuation: "#94a3b8",
+      buttonBg: "#111827", buttonFg: "#fff", buttonBorder: "#1f2933",
+    },
+  },
+  light: {
+    label: "Light",
+    vars: {
+      bg: "#fafafa", fg: "#1f2937", border: "#d1d5db", muted: "#6b7280", panel: "#f1f5f9",
+      caret: "#2563eb", ghost: "#7c3aed", focus: "#2563eb",
+      correct: "#15803d", correctBg: "rgba(22,163,74,0.08)", incorrect: "#b91c1c", incorrectBg: "rgba(220,38,38,0.08)", errorMark: "#dc2626",
+      keyword: "#7c3aed", string: "#a16207", comment: "#6b7280", number: "#c2410c", punctuation: "#475569",
+      buttonBg: "#fff", buttonFg: "#111827", buttonBorder: "#d1d5db",
+    },
+  },
+  // white on black, typed text yellow, errors inverted (see also the CSS in TypingFastCached)
+  "high-contrast": {
+    label: "High contrast",
+    vars: {
+      bg: "#000", fg: "#fff", border: "#fff", muted: "#fff", panel: "#000",
+      caret: "#ffff00", ghost: "#00ffff", focus: "#ffff00",
+      correct: "#ffff00", correctBg: "transparent", incorrect: "#000", incorrectBg: "#fff", errorMark: "#000",
+      keyword: "#fff", string: "#fff", comment: "#fff", number: "#fff", punctuation: "#fff",
+      buttonBg: "#000", buttonFg: "#fff", buttonBorder: "#fff",
+    },
+  },
+};
+
+export const FONTS = [
+  { id: "system", label: "System monospace", css: "ui-monospace, Menlo, Monaco, 'Courier New', monospace" },
+  { id: "jetbrains-mono", label: "JetBrains Mono", css: "'JetBrains Mono', ui-monospace, monospace" },
+  { id: "fira-code", label: "Fira Code", css: "'Fira Code', ui-monospace, monospace" },
+  { id: "source-code-pro", label: "Source Code Pro", css: "'Source Code Pro', ui-monospace, monospace" },
+  { id: "courier", label: "Courier", css: "'Courier New', Courier, monospace" },
+];
+
+export const CARET_STYLES = ["line", "block", "underline"];
+export const CARET_MOTIONS = ["smooth", "instant"];
+export const FONT_SIZES = [12, 28];
+export const LINE_HEIGHTS = [1.2, 2.2];
+
+export const DEFAULT_SETTINGS = {
+  theme: "dark",
+  fontFamily: "system",
+  fontSize: 15,
+  lineHeight: 1.5,
+  caretStyle: "line",
+  caretMotion: "smooth",
+};
+
+const inRange = (value, [min, max]) => typeof value === "number" && value >= min && value <= max;
+
+// keeps the valid known fields of `raw` (stored or from the server) and defaults the rest
+export function normalizeSettings(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  return {
+    theme: Object.hasOwn(THEMES, s.theme) ? s.theme : DEFAULT_SETTINGS.theme,
+    fontFamily: FONTS.some((f) => f.id === s.fontFamily) ? s.fontFamily : DEFAULT_SETTINGS.fontFamily,
+    fontSize: Number.isInteger(s.fontSize) && inRange(s.fontSize, FONT_SIZES) ? s.fontSize : DEFAULT_SETTINGS.fontSize,
+    lineHeight: inRange(s.lineHeight, LINE_HEIGHTS) ? s.lineHeight : DEFAULT_SETTINGS.lineHeight,
+    caretStyle: CARET_STYLES.includes(s.caretStyle) ? s.caretStyle : DEFAULT_SETTINGS.caretStyle,
+    caretMotion: CARET_MOTIONS.includes(s.caretMotion) ? s.caretMotion : DEFAULT_SETTINGS.caretMotion,
+  };
+}
+
+// { "--typing-bg": "#0f1720", …, "--typing-font": "…" } for a style attribute
+export function settingsStyle(settings) {
+  const style = {};
+  for (const [name, value] of Object.entries(THEMES[settings.theme].vars)) {
+    style[`--typing-${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`] = value;
+  }
+  style["--typing-font"] = FONTS.find((f) => f.id === settings.fontFamily).css;
+  style["--typing-font-size"] = `${settings.fontSize}px`;
+  style["--typing-line-height"] = String(settings.lineHeight);
+  return style;
+}
+
+function loadLocal() {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(KEY)));
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+let current = null;
+let saveTimer = null;
+const listeners = new Set();
+
+export function getSettings() {
+  current ||= loadLocal();
+  return current;
+}
+
+function publish(next) {
+  current = next;
+  localStorage.setItem(KEY, JSON.stringify(next));
+  for (const fn of listeners) fn();
+}
+
+// apply a change locally right away and push it to the account when signed in
+export function updateSettings(patch) {
+  const next = normalizeSettings({ ...getSettings(), ...patch });
+  publish(next);
+  if (!getToken()) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    api.put("/api/settings", getSettings()).catch((err) => console.error("save settings failed", err));
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * After sign-in: the account's saved settings win; an account that has none yet
+ * takes this browser's.
+ */
+export async function syncSettings() {
+  const saved = await api.get("/api/settings");
+  if (Object.keys(saved).length) publish(normalizeSettings(saved));
+  else await api.put("/api/settings", getSettings());
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function useSettings() {
+  return useSyncExternalStore(subscribe, getSettings);
+}
@@ -0,0 +1,26 @@
+// client/src/settings.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS, normalizeSettings, settingsStyle } from "./settings.js";
+
+test("missing or invalid settings fall back to the defaults", () => {
+  assert.deepEqual(normalizeSettings(null), DEFAULT_SETTINGS);
+  assert.deepEqual(
+    normalizeSettings({ theme: "neon", fontFamily: "comic", fontSize: 15.5, lineHeight: 9, caretStyle: "beam", caretMotion: 1 }),
+    DEFAULT_SETTINGS
+  );
+  assert.equal(normalizeSettings({ theme: "constructor" }).theme, "dark");
+});
+
+test("valid settings are kept and unknown fields dropped", () => {
+  const s = { theme: "light", fontFamily: "fira-code", fontSize: 20, lineHeight: 1.8, caretStyle: "block", caretMotion: "instant" };
+  assert.deepEqual(normalizeSettings({ ...s, extra: true }), s);
+});
+
+test("settings become CSS variables", () => {
+  const style = settingsStyle({ ...DEFAULT_SETTINGS, theme: "high-contrast", fontSize: 18 });
+  assert.equal(style["--typing-bg"], "#000");
+  assert.equal(style["--typing-correct-bg"], "transparent");
+  assert.equal(style["--typing-font-size"], "18px");
+  assert.match(style["--typing-font"], /monospace/);
+});
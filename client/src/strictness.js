@@ -0,0 +1,21 @@
+// client/src/strictness.js
+// Labels for the engine's strictness modes (see STRICTNESS in typingEngine.js) and the
+// mode this browser last practised in.
+import { STRICTNESS } from "./typingEngine.js";
+
+const KEY = "strictness";
+
+export const STRICTNESS_LABELS = {
+  free: "Free",
+  "stop-on-error": "Stop on error",
+  "must-correct": "Must correct",
+};
+
+export function getPreferredStrictness() {
+  const stored = localStorage.getItem(KEY);
+  return STRICTNESS.includes(stored) ? stored : STRICTNESS[0];
+}
+
+export function savePreferredStrictness(id) {
+  localStorage.setItem(KEY, id);
+}
@@ -0,0 +1,277 @@
+// client/src/typingEngine.js
+// Framework-independent typing state machine shared by every renderer.
+// Pure: events carry their own timestamps, nothing here touches the DOM or the clock.
+//
+// State:
+//  - chars: prompt as an array of chars (surrogate pairs kept together)
+//  - typed: typed chars, one per position before the caret (typed.length === pos)
+//  - auto: parallel booleans, true where auto-indent filled the char in
+//  - strictness: what a wrong key does (see STRICTNESS)
+//  - timeLimitMs: a timed attempt ends this long after the first key (null: at the prompt's end)
+//  - startedAt / finishedAt: timestamps of the first key and the finishing key (null until then)
+//  - keystrokes: [{ t, key, idx, expected, auto?, rejected? }], t = ms since the first key;
+//    the log format the server verifies and replays
+//
+// Events:
+//  - { type: "key", key, time, word? }: key is a KeyboardEvent.key value; printable chars,
+//    "Enter", "Tab" (four spaces) and "Backspace" are handled, anything else is ignored.
+//    The clock starts on the first key that types or deletes something.
+//    word: true on a Backspace deletes back to the start of the word (Ctrl/Alt+Backspace)
+//  - { type: "tick", time }: the clock moved on; ends a timed attempt once its limit is up
+//  - { type: "extend", text }: append to the prompt (timed tests add words as they go)
+//  - { type: "reset", text?, autoIndent?, strictness?, timeLimitMs? }: start over, optionally
+//    with a new prompt/mode
+
+export const TAB_SPACES = 4;
+
+// "free": wrong chars are written and the caret moves on
+// "stop-on-error": a wrong key is refused and the caret waits for the right one
+// "must-correct": like free, but the attempt only finishes once every char is right
+export const STRICTNESS = ["free", "stop-on-error", "must-correct"];
+
+export function createState(text = "", { autoIndent = false, strictness = "free", timeLimitMs = null } = {}) {
+  return {
+    chars: [...text],
+    autoIndent,
+    strictness,
+    timeLimitMs,
+    typed: [],
+    auto: [],
+    startedAt: null,
+    finishedAt: null,
+    keystrokes: [],
+  };
+}
+
+export function reduce(state, event) {
+  if (event.type === "reset") {
+    return createState(event.text ?? state.chars.join(""), {
+      autoIndent: event.autoIndent ?? state.autoIndent,
+      strictness: event.strictness ?? state.strictness,
+      timeLimitMs: event.timeLimitMs !== undefined ? event.timeLimitMs : state.timeLimitMs,
+    });
+  }
+  if (state.finishedAt !== null) return state;
+  if (event.type === "extend") return { ...state, chars: [...state.chars, ...event.text] };
+  if (event.type !== "key" && event.type !== "tick") return state;
+
+  const { key, time } = event;
+  // whichever comes first, a key or the clock, ends a timed attempt at exactly its limit
+  if (state.timeLimitMs !== null && state.startedAt !== null && time - state.startedAt >= state.timeLimitMs) {
+    return { ...state, finishedAt: state.startedAt + state.timeLimitMs };
+  }
+  if (event.type === "tick") return state;
+  if (key === "Backspace") {
+    // nothing to delete: not a start
+    if (!state.typed.length) return state;
+    return event.word ? deleteWord(start(state, time), time) : deleteBack(start(state, time), time);
+  }
+  if (key === "Enter") return typeChars(start(state, time), ["\n"], time);
+  if (key === "Tab") return typeChars(start(state, time), Array(TAB_SPACES).fill(" "), time);
+  if ([...key].length === 1) return typeChars(start(state, time), [key], time);
+  return state;
+}
+
+function start(state, time) {
+  return state.startedAt === null ? { ...state, startedAt: time } : state;
+}
+
+function logEntry(state, key, idx, time, auto, rejected = false) {
+  const entry = { t: time - state.startedAt, key, idx, expected: idx < state.chars.length ? state.chars[idx] : null };
+  if (auto) entry.auto = true;
+  if (rejected) entry.rejected = true;
+  return entry;
+}
+
+// one key press may write several chars (Tab = spaces, Enter + auto-indent)
+function typeChars(state, list, time) {
+  const { chars } = state;
+  const typed = [...state.typed];
+  const auto = [...state.auto];
+  const keystrokes = [...state.keystrokes];
+  const write = (ch, isAuto) => {
+    keystrokes.push(logEntry(state, ch, typed.length, time, isAuto));
+    typed.push(ch);
+    auto.push(isAuto);
+  };
+
+  const enterAt = typed.length;
+  // the prompt ends the attempt, so nothing is written past its last char
+  for (const ch of list) {
+    if (typed.length >= chars.length) break;
+    if (state.strictness === "stop-on-error" && ch !== chars[typed.length]) {
+      // logged so the miss counts, but the caret stays; the rest of a Tab's spaces are dropped
+      keystrokes.push(logEntry(state, ch, typed.length, time, false, true));
+      break;
+    }
+    write(ch, false);
+  }
+  // auto-indent only follows an Enter that matched a real newline
+  if (state.autoIndent && list[0] === "\n" && chars[enterAt] === "\n") {
+    while (chars[typed.length] === " " || chars[typed.length] === "\t") write(chars[typed.length], true);
+  }
+
+  const done = typed.length >= chars.length && (state.strictness !== "must-correct" || countErrors({ chars, typed }) === 0);
+  return { ...state, typed, auto, keystrokes, finishedAt: done ? time : null };
+}
+
+// wrong chars left in the text (what "must-correct" waits on)
+export function countErrors(state) {
+  let errors = 0;
+  state.typed.forEach((ch, i) => {
+    if (ch !== state.chars[i]) errors++;
+  });
+  return errors;
+}
+
+// removes the char before the caret; an auto-indented run goes in one press
+function deleteBack(state, time) {
+  let from = state.typed.length - 1;
+  if (from < 0) return state;
+  if (state.auto[from]) {
+    while (from > 0 && state.auto[from - 1]) from--;
+  }
+  const keystrokes = [...state.keystrokes];
+  for (let i = state.typed.length - 1; i >= from; i--) keystrokes.push(logEntry(state, "Backspace", i, time, false));
+  return { ...state, typed: state.typed.slice(0, from), auto: state.auto.slice(0, from), keystrokes };
+}
+
+// Ctrl/Alt+Backspace: whitespace before the caret, then the word before that, one
+// logged Backspace per char so the server's replay needs no new key
+function deleteWord(state, time) {
+  const { typed } = state;
+  const isSpace = (ch) => ch === " " || ch === "\t" || ch === "\n";
+  let from = typed.length;
+  while (from > 0 && isSpace(typed[from - 1])) from--;
+  while (from > 0 && !isSpace(typed[from - 1])) from--;
+  if (from === typed.length) return state;
+  const keystrokes = [...state.keystrokes];
+  for (let i = typed.length - 1; i >= from; i--) keystrokes.push(logEntry(state, "Backspace", i, time, false));
+  return { ...state, typed: typed.slice(0, from), auto: state.auto.slice(0, from), keystrokes };
+}
+
+// --- scoring (auto-indented chars are not the user's keystrokes and don't count) ---
+// Everything is derived from the keystroke log, the same way the server does it
+// (server/verify.js), so fixed mistakes still count against accuracy:
+//  - rawWpm: every typed char, right or wrong, kept or deleted, per 5 chars a minute
+//  - wpm (net): raw minus the errors left in the text, per minute
+//  - accuracy: share of typed chars that were right when typed
+//  - correctedErrors / uncorrectedErrors: wrong keys later fixed / still in the text
+//  - consistency: 100 minus the coefficient of variation of per-second speed, 0–100
+
+export function calcWPM(charsCount, ms) {
+  const words = charsCount / 5;
+  const minutes = ms / 60000;
+  return minutes > 0 ? Math.round(words / minutes) : 0;
+}
+
+export function calcAccuracy({ typed, correct }) {
+  if (!typed) return 100;
+  return Math.round((correct / typed) * 100);
+}
+
+// the typed entries of a log: char keys the user pressed (rejected ones included)
+function typedEntries(keystrokes) {
+  return keystrokes.filter((k) => k.key !== "Backspace" && !k.auto);
+}
+
+/**
+ * Per-second raw WPM and wrong keys, [{ second, wpm, errors }] for each second of
+ * `durationMs` (the last one may be partial).
+ */
+export function speedTimeline(expected, keystrokes, durationMs) {
+  const seconds = Math.max(1, Math.ceil(durationMs / 1000));
+  const timeline = Array.from({ length: seconds }, (_, i) => ({ second: i + 1, chars: 0, errors: 0 }));
+  for (const k of typedEntries(keystrokes)) {
+    const bucket = timeline[Math.min(seconds - 1, Math.floor(k.t / 1000))];
+    bucket.chars++;
+    if (k.rejected || k.key !== expected[k.idx]) bucket.errors++;
+  }
+  return timeline.map(({ second, chars, errors }) => ({ second, wpm: chars * 12, errors }));
+}
+
+export function calcConsistency(timeline) {
+  if (timeline.length < 2) return 100;
+  const speeds = timeline.map((s) => s.wpm);
+  const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+  if (!mean) return 0;
+  const sd = Math.sqrt(speeds.reduce((a, b) => a + (b - mean) ** 2, 0) / speeds.length);
+  return Math.round(Math.max(0, 1 - sd / mean) * 100);
+}
+
+/**
+ * Score a keystroke log typed against `expected` (array of chars) over `durationMs`.
+ * Returns { rawWpm, wpm, accuracy, correctedErrors, uncorrectedErrors, consistency }.
+ */
+export function scoreKeystrokes(expected, keystrokes, durationMs) {
+  const entries = typedEntries(keystrokes);
+  const wrong = entries.filter((k) => k.rejected || k.key !== expected[k.idx]).length;
+
+  // replay to the final text: what is wrong there was never corrected
+  const typed = [];
+  const auto = [];
+  for (const k of keystrokes) {
+    if (k.rejected) continue;
+    typed[k.idx] = k.key === "Backspace" ? undefined : k.key;
+    auto[k.idx] = k.key !== "Backspace" && !!k.auto;
+  }
+  let uncorrectedErrors = 0;
+  typed.forEach((ch, i) => {
+    if (ch !== undefined && !auto[i] && ch !== expected[i]) uncorrectedErrors++;
+  });
+
+  const minutes = durationMs / 60000;
+  return {
+    rawWpm: calcWPM(entries.length, durationMs),
+    wpm: minutes > 0 ? Math.max(0, Math.round((entries.length / 5 - uncorrectedErrors) / minutes)) : 0,
+    accuracy: calcAccuracy({ typed: entries.length, correct: entries.length - wrong }),
+    correctedErrors: Math.max(0, wrong - uncorrectedErrors),
+    uncorrectedErrors,
+    consistency: calcConsistency(speedTimeline(expected, keystrokes, durationMs)),
+  };
+}
+
+// chars in the current text (not auto-filled) and how many of them are right
+export function countTyped(state) {
+  let typed = 0;
+  let correct = 0;
+  state.typed.forEach((ch, i) => {
+    if (state.auto[i]) return;
+    typed++;
+    if (ch === state.chars[i]) correct++;
+  });
+  return { typed, correct };
+}
+
+// live numbers; `now` is only used while the attempt is still running
+export function getStats(state, now) {
+  const counts = countTyped(state);
+  const end = state.finishedAt ?? now;
+  let elapsedMs = state.startedAt === null ? 0 : end - state.startedAt;
+  // between ticks the clock may already be past a time limit
+  if (state.timeLimitMs !== null) elapsedMs = Math.min(elapsedMs, state.timeLimitMs);
+  return {
+    ...counts,
+    ...scoreKeystrokes(state.chars, state.keystrokes, elapsedMs),
+    pos: state.typed.length,
+    elapsedMs,
+  };
+}
+
+// body for POST /api/attempts once finished (the caller adds problemId/language or mode)
+export function toAttempt(state) {
+  const { wpm, rawWpm, accuracy, correctedErrors, uncorrectedErrors, consistency, elapsedMs } = getStats(state, state.finishedAt);
+  return {
+    autoIndent: state.autoIndent,
+    strictness: state.strictness,
+    wpm,
+    rawWpm,
+    accuracy,
+    correctedErrors,
+    uncorrectedErrors,
+    consistency,
+    rawText: state.typed.join(""),
+    durationMs: elapsedMs,
+    keystrokes: state.keystrokes,
+  };
+}
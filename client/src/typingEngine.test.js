@@ -0,0 +1,219 @@
+// client/src/typingEngine.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createState, reduce, getStats, toAttempt, scoreKeystrokes, speedTimeline, calcConsistency } from "./typingEngine.js";
+
+// feeds keys one at a time, 100ms apart, starting at t=1000
+function type(state, keys) {
+  return keys.reduce((s, key, i) => reduce(s, { type: "key", key, time: 1000 + i * 100 }), state);
+}
+
+test("correct chars advance the caret and finish the attempt", () => {
+  const s = type(createState("ab"), ["a", "b"]);
+  assert.deepEqual(s.typed, ["a", "b"]);
+  assert.equal(s.startedAt, 1000);
+  assert.equal(s.finishedAt, 1100);
+  assert.deepEqual(s.keystrokes, [
+    { t: 0, key: "a", idx: 0, expected: "a" },
+    { t: 100, key: "b", idx: 1, expected: "b" },
+  ]);
+});
+
+test("overtyping a wrong char marks it and still advances", () => {
+  const s = type(createState("abc"), ["a", "x"]);
+  assert.deepEqual(s.typed, ["a", "x"]);
+  const stats = getStats(s, s.startedAt + 60000);
+  assert.equal(stats.pos, 2);
+  assert.equal(stats.correct, 1);
+  assert.equal(stats.accuracy, 50);
+});
+
+test("keys after the finish are ignored", () => {
+  const done = type(createState("a"), ["a"]);
+  assert.equal(type(done, ["b", "Backspace"]), done);
+});
+
+test("backspace removes the last char and is logged", () => {
+  const s = type(createState("abc"), ["a", "x", "Backspace", "b"]);
+  assert.deepEqual(s.typed, ["a", "b"]);
+  assert.deepEqual(
+    s.keystrokes.map((k) => [k.key, k.idx]),
+    [["a", 0], ["x", 1], ["Backspace", 1], ["b", 1]]
+  );
+});
+
+test("backspace at the start does nothing and doesn't start the clock", () => {
+  const s = type(createState("ab"), ["Backspace"]);
+  assert.deepEqual(s.typed, []);
+  assert.deepEqual(s.keystrokes, []);
+  assert.equal(s.startedAt, null);
+  assert.equal(reduce(s, { type: "key", key: "Backspace", word: true, time: 1000 }).startedAt, null);
+});
+
+test("tab types four spaces", () => {
+  const s = type(createState("    x"), ["Tab"]);
+  assert.deepEqual(s.typed, [" ", " ", " ", " "]);
+  assert.equal(s.keystrokes.length, 4);
+  assert.ok(s.keystrokes.every((k) => k.key === " " && k.t === 0));
+});
+
+test("tab near the end stops at the last char", () => {
+  const s = type(createState("a  "), ["a", "Tab"]);
+  assert.deepEqual(s.typed, ["a", " ", " "]);
+  assert.equal(s.finishedAt, 1100);
+});
+
+test("enter types a newline", () => {
+  const s = type(createState("a\nb"), ["a", "Enter"]);
+  assert.deepEqual(s.typed, ["a", "\n"]);
+  assert.equal(s.keystrokes[1].expected, "\n");
+});
+
+test("auto-indent fills the next line's indentation after a correct Enter", () => {
+  const s = type(createState("a\n  b", { autoIndent: true }), ["a", "Enter"]);
+  assert.deepEqual(s.typed, ["a", "\n", " ", " "]);
+  assert.deepEqual(s.auto, [false, false, true, true]);
+  assert.deepEqual(s.keystrokes.slice(2).map((k) => k.auto), [true, true]);
+  // filled whitespace is not scored
+  assert.equal(getStats(s, 2000).typed, 2);
+});
+
+test("auto-indent does not fill after an Enter typed in the wrong place", () => {
+  const s = type(createState("ab\n  c", { autoIndent: true }), ["a", "Enter"]);
+  assert.deepEqual(s.typed, ["a", "\n"]);
+});
+
+test("one backspace removes a whole auto-indented run", () => {
+  const s = type(createState("a\n  b", { autoIndent: true }), ["a", "Enter", "Backspace"]);
+  assert.deepEqual(s.typed, ["a", "\n"]);
+  assert.deepEqual(
+    s.keystrokes.slice(4).map((k) => [k.key, k.idx]),
+    [["Backspace", 3], ["Backspace", 2]]
+  );
+});
+
+test("non-character keys are ignored and do not start the clock", () => {
+  const s = type(createState("ab"), ["Shift", "ArrowLeft"]);
+  assert.equal(s.startedAt, null);
+});
+
+test("reset starts over, optionally with new text", () => {
+  const s = type(createState("ab"), ["a"]);
+  const again = reduce(s, { type: "reset" });
+  assert.deepEqual(again, createState("ab"));
+  assert.deepEqual(reduce(s, { type: "reset", text: "xyz" }).chars, ["x", "y", "z"]);
+});
+
+test("stop-on-error refuses a wrong key and counts it against accuracy", () => {
+  const s = type(createState("ab", { strictness: "stop-on-error" }), ["a", "x", "b"]);
+  assert.deepEqual(s.typed, ["a", "b"]);
+  assert.equal(s.finishedAt, 1200);
+  assert.deepEqual(s.keystrokes[1], { t: 100, key: "x", idx: 1, expected: "b", rejected: true });
+  assert.equal(getStats(s).correctedErrors, 1);
+  assert.equal(getStats(s).accuracy, 67);
+});
+
+test("stop-on-error drops the rest of a tab at the first wrong space", () => {
+  const s = type(createState("  x", { strictness: "stop-on-error" }), ["Tab"]);
+  assert.deepEqual(s.typed, [" ", " "]);
+  assert.equal(s.keystrokes.at(-1).rejected, true);
+});
+
+test("must-correct only finishes once every char is right", () => {
+  let s = type(createState("ab", { strictness: "must-correct" }), ["a", "x"]);
+  assert.equal(s.finishedAt, null);
+  s = type(s, ["Backspace", "b"]);
+  assert.notEqual(s.finishedAt, null);
+  assert.equal(toAttempt(s).strictness, "must-correct");
+});
+
+test("word backspace deletes back over spaces and one word", () => {
+  const s = type(createState("foo bar  baz"), [..."foo bar  "]);
+  const deleted = reduce(s, { type: "key", key: "Backspace", word: true, time: 5000 });
+  assert.deepEqual(deleted.typed, [..."foo "]);
+  assert.deepEqual(
+    deleted.keystrokes.slice(s.keystrokes.length).map((k) => k.idx),
+    [8, 7, 6, 5, 4]
+  );
+  assert.ok(deleted.keystrokes.slice(s.keystrokes.length).every((k) => k.key === "Backspace"));
+});
+
+test("toAttempt scores the finished attempt", () => {
+  // 10 chars in 6 seconds = 2 words in 0.1 min = 20 wpm
+  const keys = [..."abcdefghij"];
+  const s = keys.reduce((st, key, i) => reduce(st, { type: "key", key, time: i === 9 ? 6000 : i * 100 }), createState("abcdefghij"));
+  const attempt = toAttempt(s);
+  assert.equal(attempt.durationMs, 6000);
+  assert.equal(attempt.wpm, 20);
+  assert.equal(attempt.accuracy, 100);
+  assert.equal(attempt.rawText, "abcdefghij");
+  assert.equal(attempt.keystrokes.at(-1).t, attempt.durationMs);
+});
+
+test("a fixed mistake still costs accuracy but not net wpm", () => {
+  // "abcde" with one wrong key fixed: 6 typed entries over one minute
+  const log = [
+    { t: 0, key: "a", idx: 0 },
+    { t: 10000, key: "x", idx: 1 },
+    { t: 20000, key: "Backspace", idx: 1 },
+    { t: 30000, key: "b", idx: 1 },
+    { t: 40000, key: "c", idx: 2 },
+    { t: 50000, key: "d", idx: 3 },
+    { t: 60000, key: "e", idx: 4 },
+  ];
+  const score = scoreKeystrokes([..."abcde"], log, 60000);
+  assert.equal(score.rawWpm, 1);
+  assert.equal(score.accuracy, 83);
+  assert.equal(score.correctedErrors, 1);
+  assert.equal(score.uncorrectedErrors, 0);
+});
+
+test("errors left in the text come off net wpm", () => {
+  // 10 entries, 2 still wrong, in 6s: raw 20 wpm, net (2 - 2) words = 0
+  const log = [..."abcdefgxyj"].map((key, idx) => ({ t: idx * 600, key, idx }));
+  const score = scoreKeystrokes([..."abcdefghij"], log, 6000);
+  assert.equal(score.rawWpm, 20);
+  assert.equal(score.uncorrectedErrors, 2);
+  assert.equal(score.wpm, 0);
+  assert.equal(score.accuracy, 80);
+});
+
+test("per-second timeline and consistency", () => {
+  const log = [
+    { t: 100, key: "a", idx: 0 },
+    { t: 500, key: "x", idx: 1 },
+    { t: 1200, key: "c", idx: 2 },
+  ];
+  assert.deepEqual(speedTimeline([..."abc"], log, 2000), [
+    { second: 1, wpm: 24, errors: 1 },
+    { second: 2, wpm: 12, errors: 0 },
+  ]);
+  assert.equal(calcConsistency([{ wpm: 60 }, { wpm: 60 }]), 100);
+  assert.equal(calcConsistency([{ wpm: 24 }, { wpm: 12 }]), 67);
+  assert.equal(calcConsistency([{ wpm: 0 }, { wpm: 0 }]), 0);
+});
+
+test("a timed attempt ends at its limit on a tick or a late key", () => {
+  const started = type(createState("abcdef", { timeLimitMs: 1000 }), ["a", "b"]);
+  assert.equal(reduce(started, { type: "tick", time: 1900 }), started);
+  const ticked = reduce(started, { type: "tick", time: 2050 });
+  assert.equal(ticked.finishedAt, 2000);
+  assert.equal(getStats(ticked, 9999).elapsedMs, 1000);
+
+  const late = reduce(started, { type: "key", key: "c", time: 2300 });
+  assert.equal(late.finishedAt, 2000);
+  assert.deepEqual(late.typed, ["a", "b"]);
+  assert.equal(toAttempt(late).durationMs, 1000);
+});
+
+test("the clock doesn't tick before the first key", () => {
+  const s = createState("ab", { timeLimitMs: 1000 });
+  assert.equal(reduce(s, { type: "tick", time: 5000 }), s);
+});
+
+test("extending the prompt keeps what was typed", () => {
+  const s = reduce(type(createState("ab"), ["a"]), { type: "extend", text: " cd" });
+  assert.equal(s.chars.join(""), "ab cd");
+  assert.deepEqual(s.typed, ["a"]);
+  assert.equal(type(s, ["b"]).finishedAt, null); // "ab" alone no longer finishes it
+});
@@ -0,0 +1,116 @@
+// client/src/useTypingEngine.js
+import { useEffect, useReducer, useRef, useState } from "react";
+import { createState, getStats, reduce, toAttempt } from "./typingEngine";
+import { enqueueAttempt } from "./outbox";
+
+/**
+ * React wrapper around typingEngine: keeps the state in a reducer, turns keydown
+ * events into engine events and handles the end of an attempt.
+ *
+ * Options:
+ *  - autoIndent: engine auto-indent mode
+ *  - strictness: engine strictness mode, "free" by default (see STRICTNESS)
+ *  - timeLimitMs: end the attempt this long after the first key (timed tests)
+ *  - attemptFields: merged into the finished attempt, e.g. { problemId, language }, or a
+ *    function of the finished engine state returning them
+ *  - autoSubmit: queue the finished attempt in the outbox when signed in (default true)
+ *  - allowRestart: Escape starts over (default true)
+ *  - onFinish(attempt): called once per finished attempt
+ *
+ * Returns { state, stats, handleKeyDown, reset, extend, submissionId }; submissionId is
+ * the outbox entry of the last finished attempt (see SyncBadge), null until it is queued;
+ * extend(text) appends to the prompt mid-attempt. The prompt, auto-indent, strictness or
+ * time limit changing starts a fresh attempt.
+ */
+export default function useTypingEngine(
+  text,
+  {
+    autoIndent = false,
+    strictness = "free",
+    timeLimitMs = null,
+    attemptFields = {},
+    autoSubmit = true,
+    allowRestart = true,
+    onFinish,
+  } = {}
+) {
+  const [state, dispatch] = useReducer(reduce, undefined, () => createState(text, { autoIndent, strictness, timeLimitMs }));
+  const [submissionId, setSubmissionId] = useState(null);
+  const [, setNow] = useState(0);
+
+  // skip the first run: the initial state already matches
+  const mountedRef = useRef(false);
+  useEffect(() => {
+    if (mountedRef.current) dispatch({ type: "reset", text, autoIndent, strictness, timeLimitMs });
+    mountedRef.current = true;
+  }, [text, autoIndent, strictness, timeLimitMs]);
+
+  // a timed attempt can end without a key; tick the clock (and the live stats) while it runs
+  const running = state.startedAt !== null && state.finishedAt === null;
+  useEffect(() => {
+    if (timeLimitMs === null || !running) return;
+    const id = setInterval(() => {
+      const now = Date.now();
+      setNow(now);
+      dispatch({ type: "tick", time: now });
+    }, 100);
+    return () => clearInterval(id);
+  }, [timeLimitMs, running]);
+
+  // latest options for the finish effect, without re-running it when they change
+  const optionsRef = useRef();
+  optionsRef.current = { attemptFields, autoSubmit, onFinish };
+  useEffect(() => {
+    if (state.finishedAt === null) {
+      setSubmissionId(null);
+      return;
+    }
+    const { attemptFields, autoSubmit, onFinish } = optionsRef.current;
+    const fields = typeof attemptFields === "function" ? attemptFields(state) : attemptFields;
+    const attempt = { ...fields, ...toAttempt(state) };
+    // the server takes the user from the session, so enqueueAttempt skips it when signed out
+    if (autoSubmit) {
+      enqueueAttempt(attempt)
+        .then(setSubmissionId)
+        .catch((e) => console.error("queue attempt failed", e));
+    }
+    if (onFinish) onFinish(attempt);
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- fires once per finished attempt
+  }, [state.finishedAt]);
+
+  function handleKeyDown(e) {
+    // Ctrl+Backspace (Alt+Backspace on macOS) deletes a word, as in editors
+    if (e.key === "Backspace" && (e.ctrlKey || e.altKey) && !e.metaKey) {
+      e.preventDefault();
+      dispatch({ type: "key", key: "Backspace", word: true, time: Date.now() });
+      return;
+    }
+    // block paste via shortcuts; other modified keys belong to the browser
+    if (e.ctrlKey || e.metaKey) {
+      if (e.key.toLowerCase() === "v") e.preventDefault();
+      return;
+    }
+    // Tab types indentation; Shift+Tab is left alone so keyboard users can move focus out
+    if (e.key === "Tab" && e.shiftKey) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      if (allowRestart) dispatch({ type: "reset" });
+      return;
+    }
+    if (e.key === "Backspace" || e.key === "Enter" || e.key === "Tab" || e.key.length === 1) {
+      e.preventDefault();
+      dispatch({ type: "key", key: e.key, time: Date.now() });
+    }
+    // arrows, Home/End, modifiers alone etc. are ignored
+  }
+
+  function reset() {
+    dispatch({ type: "reset" });
+  }
+
+  function extend(more) {
+    dispatch({ type: "extend", text: more });
+  }
+
+  return { state, stats: getStats(state, Date.now()), handleKeyDown, reset, extend, submissionId };
+}
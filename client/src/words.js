@@ -0,0 +1,55 @@
+// client/src/words.js
+// Bundled word list and generator for the plain-English TypingTest. The server checks
+// prompts against its copy of the list (server/words.js): keep the two the same.
+
+export const WORDS = [
+  "the", "be", "of", "and", "a", "to", "in", "he", "have", "it", "that", "for", "they", "with", "as", "not",
+  "on", "she", "at", "by", "this", "we", "you", "do", "but", "from", "or", "which", "one", "would", "all",
+  "will", "there", "say", "who", "make", "when", "can", "more", "if", "no", "man", "out", "other", "so",
+  "what", "time", "up", "go", "about", "than", "into", "could", "state", "only", "new", "year", "some",
+  "take", "come", "these", "know", "see", "use", "get", "like", "then", "first", "any", "work", "now",
+  "may", "such", "give", "over", "think", "most", "even", "find", "day", "also", "after", "way", "many",
+  "must", "look", "before", "great", "back", "through", "long", "where", "much", "should", "well",
+  "people", "down", "own", "just", "because", "good", "each", "those", "feel", "seem", "how", "high",
+  "too", "place", "little", "world", "very", "still", "nation", "hand", "old", "life", "tell", "write",
+  "become", "here", "show", "house", "both", "between", "need", "mean", "call", "develop", "under",
+  "last", "right", "move", "thing", "general", "school", "never", "same", "another", "begin", "while",
+  "number", "part", "turn", "real", "leave", "might", "want", "point", "form", "off", "child", "few",
+  "small", "since", "against", "ask", "late", "home", "interest", "large", "person", "end", "open",
+  "public", "follow", "during", "present", "without", "again", "hold", "govern", "around", "possible",
+  "head", "consider", "word", "program", "problem", "however", "lead", "system", "set", "order", "eye",
+  "plan", "run", "keep", "face", "fact", "group", "play", "stand", "increase", "early", "course",
+  "change", "help", "line",
+];
+
+const SENTENCE_END = [".", ".", ".", "?", "!"];
+const CLAUSE_MARKS = [",", ",", ";", ":"];
+
+/**
+ * Space-separated words from WORDS.
+ * Options:
+ *  - punctuation: capitalised sentences with commas and end marks
+ *  - numbers: roughly one word in ten replaced by a number
+ *  - random: () => [0, 1) source, for tests/seeding (defaults to Math.random)
+ */
+export function generateWords(count, { punctuation = false, numbers = false, random = Math.random } = {}) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const out = [];
+  let sentenceStart = true;
+  for (let i = 0; i < count; i++) {
+    let word = numbers && random() < 0.1 ? String(Math.floor(random() * 10000)) : pick(WORDS);
+    if (punctuation) {
+      if (sentenceStart) word = word[0].toUpperCase() + word.slice(1);
+      sentenceStart = false;
+      const r = random();
+      if (i === count - 1 || r < 0.12) {
+        word += pick(SENTENCE_END);
+        sentenceStart = true;
+      } else if (r < 0.22) {
+        word += pick(CLAUSE_MARKS);
+      }
+    }
+    out.push(word);
+  }
+  return out.join(" ");
+}
@@ -1,7 +1,19 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, fileURLToPath(new URL('.', import.meta.url)), '')
+  // the API server that /api and /ws are forwarded to when VITE_API_URL is left empty
+  const target = env.API_PROXY_TARGET || 'http://localhost:4001'
+  const proxy = {
+    '/api': { target, changeOrigin: true },
+    '/ws': { target: target.replace(/^http/, 'ws'), ws: true },
+  }
+  return {
+    plugins: [react()],
+    server: { proxy },
+    preview: { proxy },
+  }
 })
@@ -0,0 +1,80 @@
+// server/analytics.js
+// Per-key and per-bigram error/speed stats, derived once when an attempt is stored
+// and summed across attempts for GET /api/users/:user/analytics.
+
+function bump(table, key, isError, ms) {
+  const entry = (table[key] ||= { count: 0, errors: 0, timeMs: 0, timed: 0 });
+  entry.count++;
+  if (isError) entry.errors++;
+  if (ms !== null) {
+    entry.timeMs += ms;
+    entry.timed++;
+  }
+}
+
+/**
+ * Stats for one attempt, keyed by the *expected* char (keys) and the expected
+ * pair ending at that char (bigrams). Every typed (non-auto) keystroke counts, so
+ * a fixed mistake still shows up as an error. Timing is the gap since the
+ * previous keystroke; without a keystroke log only the final text is scored.
+ * Returns { keys: { [char]: entry }, bigrams: { [pair]: entry } } where
+ * entry = { count, errors, timeMs, timed }.
+ */
+export function deriveAnalytics(expected, keystrokes, rawText = "") {
+  const keys = {};
+  const bigrams = {};
+  const record = (idx, key, ms) => {
+    const want = expected[idx];
+    if (want === undefined) return;
+    const isError = key !== want;
+    bump(keys, want, isError, ms);
+    if (idx > 0) bump(bigrams, expected[idx - 1] + want, isError, ms);
+  };
+
+  if (keystrokes.length) {
+    let prevT = null;
+    for (const k of keystrokes) {
+      if (k.key !== "Backspace" && !k.auto) record(k.idx, k.key, prevT === null ? null : k.t - prevT);
+      prevT = k.t;
+    }
+  } else {
+    [...rawText].forEach((c, i) => record(i, c, null));
+  }
+  return { keys, bigrams };
+}
+
+function addInto(total, table) {
+  for (const [key, e] of Object.entries(table || {})) {
+    const t = (total[key] ||= { count: 0, errors: 0, timeMs: 0, timed: 0 });
+    t.count += e.count;
+    t.errors += e.errors;
+    t.timeMs += e.timeMs;
+    t.timed += e.timed;
+  }
+}
+
+function toRows(table) {
+  return Object.entries(table).map(([key, e]) => ({
+    key,
+    count: e.count,
+    errors: e.errors,
+    errorRate: e.count ? Math.round((e.errors / e.count) * 1000) / 10 : 0, // percent, 1 decimal
+    avgMs: e.timed ? Math.round(e.timeMs / e.timed) : null
+  }));
+}
+
+// sum the stored per-attempt stats into sorted rows (worst error rate first)
+export function aggregateAnalytics(attempts) {
+  const keys = {};
+  const bigrams = {};
+  for (const a of attempts) {
+    addInto(keys, a.analytics?.keys);
+    addInto(bigrams, a.analytics?.bigrams);
+  }
+  const worstFirst = (x, y) => y.errorRate - x.errorRate || (y.avgMs ?? 0) - (x.avgMs ?? 0);
+  return {
+    attempts: attempts.length,
+    keys: toRows(keys).sort(worstFirst),
+    bigrams: toRows(bigrams).sort(worstFirst)
+  };
+}
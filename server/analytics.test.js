@@ -0,0 +1,85 @@
+// server/analytics.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aggregateAnalytics, deriveAnalytics } from "./analytics.js";
+
+const entry = (count, errors, timeMs, timed) => ({ count, errors, timeMs, timed });
+
+test("every keystroke is counted under the char that was expected, with the gap before it", () => {
+  const { keys, bigrams } = deriveAnalytics([..."abab"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 100, key: "b", idx: 1 },
+    { t: 300, key: "a", idx: 2 },
+    { t: 350, key: "b", idx: 3 }
+  ]);
+  assert.deepEqual(keys, { a: entry(2, 0, 200, 1), b: entry(2, 0, 150, 2) });
+  assert.deepEqual(bigrams, { ab: entry(2, 0, 150, 2), ba: entry(1, 0, 200, 1) });
+});
+
+test("a mistake that was fixed still counts as an error", () => {
+  const { keys, bigrams } = deriveAnalytics([..."ab"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 100, key: "x", idx: 1 },
+    { t: 200, key: "Backspace", idx: 1 },
+    { t: 300, key: "b", idx: 1 }
+  ]);
+  // the retyped "b" is timed from the Backspace, not from the mistake
+  assert.deepEqual(keys.b, entry(2, 1, 200, 2));
+  assert.deepEqual(bigrams.ab, entry(2, 1, 200, 2));
+  assert.deepEqual(keys.a, entry(1, 0, 0, 0));
+});
+
+test("auto-indented keystrokes are skipped", () => {
+  const { keys, bigrams } = deriveAnalytics([..."a\n  b"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 100, key: "\n", idx: 1 },
+    { t: 100, key: " ", idx: 2, auto: true },
+    { t: 100, key: " ", idx: 3, auto: true },
+    { t: 400, key: "b", idx: 4 }
+  ]);
+  assert.equal(keys[" "], undefined);
+  assert.equal(bigrams["\n "], undefined);
+  assert.deepEqual(keys.b, entry(1, 0, 300, 1));
+  assert.deepEqual(bigrams[" b"], entry(1, 0, 300, 1));
+});
+
+test("keys typed past the end of the text are ignored", () => {
+  const { keys } = deriveAnalytics([..."a"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 100, key: "z", idx: 1 }
+  ]);
+  assert.deepEqual(Object.keys(keys), ["a"]);
+});
+
+test("an attempt without a keystroke log is scored from its final text, untimed", () => {
+  const { keys, bigrams } = deriveAnalytics([..."abc"], [], "axc");
+  assert.deepEqual(keys, { a: entry(1, 0, 0, 0), b: entry(1, 1, 0, 0), c: entry(1, 0, 0, 0) });
+  assert.deepEqual(bigrams, { ab: entry(1, 1, 0, 0), bc: entry(1, 0, 0, 0) });
+  assert.deepEqual(deriveAnalytics([..."abc"], []), { keys: {}, bigrams: {} });
+});
+
+test("aggregation sums attempts into rows, worst error rate first", () => {
+  const first = deriveAnalytics([..."ab"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 100, key: "x", idx: 1 },
+    { t: 200, key: "Backspace", idx: 1 },
+    { t: 300, key: "b", idx: 1 }
+  ]);
+  const second = deriveAnalytics([..."ab"], [
+    { t: 0, key: "a", idx: 0 },
+    { t: 300, key: "b", idx: 1 }
+  ]);
+  const older = deriveAnalytics([..."ab"], [], "ab");
+  const result = aggregateAnalytics([{ analytics: first }, { analytics: second }, { analytics: older }, {}]);
+  assert.equal(result.attempts, 4);
+  assert.deepEqual(result.keys, [
+    { key: "b", count: 4, errors: 1, errorRate: 25, avgMs: 167 },
+    { key: "a", count: 3, errors: 0, errorRate: 0, avgMs: null }
+  ]);
+  assert.deepEqual(result.bigrams, [{ key: "ab", count: 4, errors: 1, errorRate: 25, avgMs: 167 }]);
+});
+
+test("rows with equal error rates put the slowest first", () => {
+  const { keys } = aggregateAnalytics([{ analytics: { keys: { a: entry(3, 1, 300, 3), b: entry(3, 1, 900, 3), c: entry(1, 0, 0, 0) }, bigrams: {} } }]);
+  assert.deepEqual(keys.map(r => [r.key, r.errorRate, r.avgMs]), [["b", 33.3, 300], ["a", 33.3, 100], ["c", 0, null]]);
+});
@@ -0,0 +1,108 @@
+// server/attempts.test.js — run with `npm test`
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./testServer.js";
+import { MAX_CODE } from "./problems.js";
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startTestServer();
+  // the first account is the admin
+  admin = (await api.request("POST", "/api/auth/register", { body: { name: "admin", password: "password123" } })).body.token;
+});
+
+after(() => api.close());
+
+// a log for typing `code` a key every 100 ms, with `fixes` mistakes typed and deleted at the start
+function typingLog(code, fixes) {
+  const log = [];
+  let t = 0;
+  for (let i = 0; i < fixes; i++) {
+    log.push({ t: (t += 100), key: "#", idx: 0, expected: code[0] });
+    log.push({ t: (t += 100), key: "Backspace", idx: 0, expected: code[0] });
+  }
+  [...code].forEach((key, idx) => log.push({ t: (t += 100), key, idx, expected: key }));
+  return log;
+}
+
+test("an attempt at the largest allowed size is accepted and verified", async () => {
+  const { MAX_KEYSTROKES } = await import("./index.js");
+  const code = "abcdefghi\n".repeat(MAX_CODE / 10);
+  const created = await api.request("POST", "/api/problems", {
+    token: admin,
+    body: { title: "Longest", text: "As long as a problem gets.", variants: { python: code }, difficulty: "hard" }
+  });
+  assert.equal(created.status, 201);
+
+  const keystrokes = typingLog(code, (MAX_KEYSTROKES - code.length) / 2);
+  assert.equal(keystrokes.length, MAX_KEYSTROKES);
+  const durationMs = keystrokes[keystrokes.length - 1].t;
+  const typedKeys = keystrokes.filter(k => k.key !== "Backspace").length;
+  const body = {
+    problemId: created.body.id,
+    language: "python",
+    rawText: code,
+    durationMs,
+    wpm: Math.round(typedKeys / 5 / (durationMs / 60000)),
+    accuracy: Math.round((code.length / typedKeys) * 100),
+    keystrokes
+  };
+  assert.ok(JSON.stringify(body).length > 1_000_000, "well past express's default 100 kB");
+
+  const res = await api.request("POST", "/api/attempts", { token: admin, body });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.attempt.verifyIssues, []);
+  assert.equal(res.body.attempt.verified, true);
+  const stored = await api.request("GET", `/api/attempts/${res.body.attempt.id}`);
+  assert.equal(stored.body.keystrokes.length, MAX_KEYSTROKES);
+});
+
+test("an attempt without a keystroke log is stored but not ranked", async () => {
+  const { body: p } = await api.request("GET", "/api/problems/p1");
+  const rawText = p.variants.python;
+  const wpm = Math.round([...rawText].length / 5); // over one minute
+  const res = await api.request("POST", "/api/attempts", {
+    token: admin,
+    body: { problemId: "p1", language: "python", rawText, durationMs: 60000, wpm, accuracy: 100 }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attempt.verified, false);
+  assert.deepEqual(res.body.attempt.verifyIssues, ["missing_keystrokes"]);
+  const board = await api.request("GET", "/api/leaderboard?problemId=p1");
+  assert.ok(!board.body.items.some(a => a.id === res.body.attempt.id));
+});
+
+test("an attempt keeps the text it was typed against when its problem is edited or deleted", async () => {
+  const { body: p } = await api.request("GET", "/api/problems/p2");
+  const code = p.variants.python;
+  const keystrokes = typingLog(code, 0);
+  const durationMs = keystrokes[keystrokes.length - 1].t;
+  const res = await api.request("POST", "/api/attempts", {
+    token: admin,
+    body: {
+      problemId: "p2",
+      language: "python",
+      rawText: code,
+      durationMs,
+      wpm: Math.round(code.length / 5 / (durationMs / 60000)),
+      accuracy: 100,
+      keystrokes
+    }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attempt.prompt, code);
+
+  const edited = await api.request("PUT", "/api/problems/p2", {
+    token: admin,
+    body: { ...p, variants: { ...p.variants, python: `# edited\n${code}` } }
+  });
+  assert.equal(edited.status, 200);
+  assert.equal((await api.request("GET", `/api/attempts/${res.body.attempt.id}`)).body.prompt, code);
+
+  assert.equal((await api.request("DELETE", "/api/problems/p2", { token: admin })).status, 204);
+  const stored = await api.request("GET", `/api/attempts/${res.body.attempt.id}`);
+  assert.equal(stored.body.prompt, code);
+  assert.equal(stored.body.keystrokes.length, keystrokes.length);
+});
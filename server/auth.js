@@ -0,0 +1,44 @@
+// server/auth.js
+// Password hashing and session tokens (node:crypto only, no native deps).
+import crypto from "crypto";
+
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const NAME_RE = /^[A-Za-z0-9_-]{3,24}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// returns an error code, or null when the credentials are acceptable for registration
+export function validateCredentials(name, password) {
+  if (typeof name !== "string" || !NAME_RE.test(name)) return "invalid_name";
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) return "weak_password";
+  return null;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return { salt, hash };
+}
+
+export function checkPassword(password, { salt, hash }) {
+  const candidate = crypto.scryptSync(password, salt, KEY_LENGTH);
+  const stored = Buffer.from(hash, "hex");
+  return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+}
+
+export function newSessionToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// pull the token out of "Authorization: Bearer <token>"
+export function readBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// what the API is allowed to reveal about a user
+export function publicUser(user) {
+  return { id: user.id, name: user.name, role: user.role || "user", createdAt: user.createdAt };
+}
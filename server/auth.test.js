@@ -0,0 +1,113 @@
+// server/auth.test.js — run with `npm test`
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_TTL_MS } from "./auth.js";
+import { startTestServer } from "./testServer.js";
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(() => {
+  mock.restoreAll();
+  return api.close();
+});
+
+const register = (name, password = "password123") => api.request("POST", "/api/auth/register", { body: { name, password } });
+const login = (name, password) => api.request("POST", "/api/auth/login", { body: { name, password } });
+
+test("the first account is the admin, later ones are users, and names are taken case-insensitively", async () => {
+  const first = await register("Alice");
+  assert.equal(first.status, 201);
+  assert.equal(first.body.user.role, "admin");
+  assert.ok(first.body.token);
+  assert.equal(first.body.user.passwordHash, undefined);
+  admin = first.body.token;
+
+  const second = await register("bob");
+  assert.equal(second.status, 201);
+  assert.equal(second.body.user.role, "user");
+
+  const taken = await register("ALICE");
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error, "name_taken");
+});
+
+test("registration rejects weak passwords and bad names", async () => {
+  const weak = await register("carol", "short");
+  assert.equal(weak.status, 400);
+  assert.equal(weak.body.error, "weak_password");
+  assert.equal((await register("a b", "password123")).body.error, "invalid_name");
+  assert.equal((await login("carol", "short")).status, 401, "nothing was created");
+});
+
+test("login needs the right password", async () => {
+  const wrong = await login("bob", "password124");
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error, "invalid_credentials");
+  assert.equal((await login("nobody", "password123")).status, 401);
+
+  const ok = await login("BOB", "password123");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.name, "bob");
+  const me = await api.request("GET", "/api/auth/me", { token: ok.body.token });
+  assert.equal(me.body.name, "bob");
+});
+
+test("logging out invalidates that token only", async () => {
+  const a = (await login("bob", "password123")).body.token;
+  const b = (await login("bob", "password123")).body.token;
+  assert.equal((await api.request("POST", "/api/auth/logout", { token: a })).status, 200);
+  assert.equal((await api.request("GET", "/api/auth/me", { token: a })).status, 401);
+  assert.equal((await api.request("POST", "/api/auth/logout", { token: a })).status, 401);
+  assert.equal((await api.request("GET", "/api/auth/me", { token: b })).status, 200);
+});
+
+test("a session stops working once it expires", async () => {
+  const token = (await login("bob", "password123")).body.token;
+  const issued = Date.now();
+  mock.method(Date, "now", () => issued + SESSION_TTL_MS + 1000);
+  try {
+    const me = await api.request("GET", "/api/auth/me", { token });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.error, "unauthorized");
+  } finally {
+    mock.restoreAll();
+  }
+  assert.equal((await api.request("GET", "/api/auth/me")).status, 401, "no token at all");
+  assert.equal((await api.request("GET", "/api/auth/me", { token: "made-up" })).status, 401);
+});
+
+test("an attempt belongs to the session's user, whatever the body says", async () => {
+  const bob = (await login("bob", "password123")).body.token;
+  const { body: p } = await api.request("GET", "/api/problems/p1");
+  const rawText = p.variants.python;
+  const body = { user: "Alice", problemId: "p1", language: "python", rawText, durationMs: 60000, wpm: Math.round(rawText.length / 5), accuracy: 100 };
+
+  const res = await api.request("POST", "/api/attempts", { token: bob, body });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attempt.user, "bob");
+  assert.equal((await api.request("POST", "/api/attempts", { body })).status, 401);
+});
+
+test("only admins can change problems", async () => {
+  const bob = (await login("bob", "password123")).body.token;
+  const problem = { title: "New", text: "Type it.", variants: { python: "print('hi there')" }, difficulty: "easy" };
+  const calls = [
+    ["POST", "/api/problems", problem],
+    ["PUT", "/api/problems/p1", problem],
+    ["DELETE", "/api/problems/p1"],
+    ["POST", "/api/problems/import", { dir: "." }]
+  ];
+  for (const [method, url, body] of calls) {
+    assert.equal((await api.request(method, url, { token: bob, body })).status, 403, `${method} ${url} as a user`);
+    assert.equal((await api.request(method, url, { body })).status, 401, `${method} ${url} signed out`);
+  }
+  assert.equal((await api.request("GET", "/api/problems/p1")).status, 200, "p1 is still there");
+
+  const created = await api.request("POST", "/api/problems", { token: admin, body: problem });
+  assert.equal(created.status, 201);
+});
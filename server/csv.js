@@ -0,0 +1,19 @@
+// server/csv.js
+// RFC 4180 CSV for spreadsheet exports.
+
+// text that a spreadsheet would evaluate as a formula is prefixed with '
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => any }]
+export function toCsv(columns, rows) {
+  const lines = [columns.map(c => cell(c.header)).join(",")];
+  for (const row of rows) lines.push(columns.map(c => cell(c.value(row))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,107 @@
+// server/csv.test.js — run with `npm test`
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "./csv.js";
+import { startTestServer } from "./testServer.js";
+
+const columns = [
+  { header: "name", value: r => r.name },
+  { header: "value", value: r => r.value }
+];
+
+test("rows are comma-separated lines ending in CRLF, with empty cells for missing values", () => {
+  const csv = toCsv(columns, [{ name: "ann", value: 42 }, { name: "bob", value: null }, { name: "cy" }, { name: true, value: 0 }]);
+  assert.equal(csv, "name,value\r\nann,42\r\nbob,\r\ncy,\r\ntrue,0\r\n");
+  assert.equal(toCsv(columns, []), "name,value\r\n");
+});
+
+test("cells with commas, quotes or line breaks are quoted, doubling inner quotes", () => {
+  const csv = toCsv(columns, [
+    { name: "a,b", value: 'say "hi"' },
+    { name: "two\nlines", value: "crlf\r\nhere" },
+    { name: "plain", value: { nested: "x,y" } }
+  ]);
+  assert.equal(
+    csv,
+    'name,value\r\n"a,b","say ""hi"""\r\n"two\nlines","crlf\r\nhere"\r\nplain,"{""nested"":""x,y""}"\r\n'
+  );
+});
+
+test("text a spreadsheet would run as a formula is escaped with a leading '", () => {
+  const rows = ["=1+1", "+cmd", "-2+3", "@SUM(A1)", "\t=x", "\r=x"].map(name => ({ name }));
+  const cells = toCsv([columns[0]], rows).split("\r\n").slice(1, -1);
+  assert.deepEqual(cells, ["'=1+1", "'+cmd", "'-2+3", "'@SUM(A1)", "'\t=x", '"\'\r=x"']);
+  // numbers are data, and the marker only matters at the start
+  assert.equal(toCsv([columns[1]], [{ value: -5 }, { value: "a=b" }]), "value\r\n-5\r\na=b\r\n");
+});
+
+let api;
+let admin;
+const DAY = 24 * 60 * 60 * 1000;
+const JAN_10 = Date.UTC(2026, 0, 10, 12);
+
+before(async () => {
+  api = await startTestServer();
+  admin = (await api.request("POST", "/api/auth/register", { body: { name: "admin", password: "password123" } })).body.token;
+  // "-1-1" is a valid name that a spreadsheet would compute
+  const other = (await api.request("POST", "/api/auth/register", { body: { name: "-1-1", password: "password123" } })).body.token;
+  const { body: p } = await api.request("GET", "/api/problems/p1");
+  const rawText = p.variants.python;
+  const post = async (token, day) => {
+    mock.method(Date, "now", () => JAN_10 + day * DAY);
+    const body = { problemId: "p1", language: "python", rawText, durationMs: 60000, wpm: Math.round(rawText.length / 5), accuracy: 100 };
+    const res = await api.request("POST", "/api/attempts", { token, body });
+    mock.restoreAll();
+    assert.equal(res.status, 200);
+  };
+  await post(admin, 0);
+  await post(other, 1);
+  await post(admin, 2);
+});
+
+after(() => {
+  mock.restoreAll();
+  return api.close();
+});
+
+test("the export needs a session", async () => {
+  for (const format of ["json", "csv"]) {
+    const res = await api.request("GET", `/api/attempts/export?format=${format}`);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "unauthorized");
+  }
+  const forged = await api.request("GET", "/api/attempts/export", { token: "not-a-session" });
+  assert.equal(forged.status, 401);
+});
+
+test("the export filters by user and by date, inclusive", async () => {
+  const exported = async query => {
+    const res = await api.request("GET", `/api/attempts/export?${query}`, { token: admin });
+    assert.equal(res.status, 200, query);
+    return res.body.map(a => [a.user, new Date(a.createdAt).toISOString().slice(0, 10)]);
+  };
+  // the seed data has older attempts of its own
+  assert.deepEqual(await exported("from=2026-01-01"), [["admin", "2026-01-10"], ["-1-1", "2026-01-11"], ["admin", "2026-01-12"]]);
+  assert.deepEqual(await exported("user=ADMIN&from=2026-01-01"), [["admin", "2026-01-10"], ["admin", "2026-01-12"]]);
+  assert.deepEqual(await exported(`from=${JAN_10 + DAY}&to=${JAN_10 + 2 * DAY}`), [["-1-1", "2026-01-11"], ["admin", "2026-01-12"]]);
+  assert.deepEqual(await exported("user=admin&from=2026-01-11"), [["admin", "2026-01-12"]]);
+  // a bare date is midnight UTC
+  assert.deepEqual(await exported("from=2026-01-01&to=2026-01-10"), []);
+  const bad = await api.request("GET", "/api/attempts/export?from=someday", { token: admin });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_date");
+});
+
+test("the CSV export is a download with one escaped row per attempt", async () => {
+  const res = await api.request("GET", "/api/attempts/export?format=csv&user=-1-1", { token: admin });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("Content-Type"), /^text\/csv/);
+  assert.match(res.headers.get("Content-Disposition"), /attachment; filename="attempts\.csv"/);
+  const [header, row, end, ...rest] = res.body.split("\r\n");
+  assert.deepEqual([end, rest], ["", []]);
+  const cells = Object.fromEntries(header.split(",").map((h, i) => [h, row.split(",")[i]]));
+  assert.equal(cells.user, "'-1-1");
+  assert.equal(cells.problemId, "p1");
+  assert.equal(cells.createdAt, "2026-01-11T12:00:00.000Z");
+  assert.equal(cells.verified, "false");
+});
@@ -0,0 +1,42 @@
+// server/daily.js
+// The daily challenge: one problem per calendar day (UTC), the same for everyone.
+// A day nobody scheduled gets a deterministic pick the first time it is asked for,
+// which is then stored so later problem edits can't change it mid-day.
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2025-01-31" for the UTC day `now` falls in
+export function dayKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// true for a real calendar date in dayKey's format
+export function isDayKey(value) {
+  return typeof value === "string" && DAY_RE.test(value) && dayKey(Date.parse(`${value}T00:00:00Z`) || 0) === value;
+}
+
+export function previousDay(day) {
+  return dayKey(Date.parse(`${day}T00:00:00Z`) - DAY_MS);
+}
+
+// FNV-1a, so a day's pick doesn't depend on the platform or Node version
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * The problem for `day` among `problems`, ordered by id so that adding a problem only
+ * moves picks that land on it; skips the previous day's problem when there is a choice.
+ * Returns the problem, or null when there are none.
+ */
+export function pickDaily(problems, day, previousProblemId = null) {
+  const pool = [...problems].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const candidates = pool.length > 1 ? pool.filter(p => p.id !== previousProblemId) : pool;
+  return candidates.length ? candidates[hash(day) % candidates.length] : null;
+}
@@ -0,0 +1,129 @@
+// server/daily.test.js — run with `npm test`
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { dayKey, isDayKey, pickDaily, previousDay } from "./daily.js";
+import { startTestServer } from "./testServer.js";
+
+test("day keys are UTC calendar dates", () => {
+  assert.equal(dayKey(Date.parse("2026-03-01T23:59:59Z")), "2026-03-01");
+  assert.equal(dayKey(Date.parse("2026-03-02T00:00:00Z")), "2026-03-02");
+  assert.ok(isDayKey("2024-02-29"));
+  assert.ok(!isDayKey("2026-02-29"));
+  assert.ok(!isDayKey("2026-3-1"));
+  assert.ok(!isDayKey(20260301));
+  assert.equal(previousDay("2026-03-01"), "2026-02-28");
+  assert.equal(previousDay("2026-01-01"), "2025-12-31");
+});
+
+test("a day's pick is stable, skips yesterday's problem and needs problems", () => {
+  const problems = [{ id: "b" }, { id: "a" }, { id: "c" }];
+  const pick = pickDaily(problems, "2026-03-01");
+  assert.equal(pickDaily([...problems].reverse(), "2026-03-01"), pick, "input order doesn't matter");
+  for (let d = 1; d <= 28; d++) {
+    const day = `2026-02-${String(d).padStart(2, "0")}`;
+    assert.notEqual(pickDaily(problems, day, "a").id, "a");
+  }
+  assert.equal(pickDaily([{ id: "a" }], "2026-03-01", "a").id, "a", "a lone problem repeats");
+  assert.equal(pickDaily([], "2026-03-01"), null);
+});
+
+let api;
+let admin;
+let bob;
+let now = Date.parse("2026-03-01T12:00:00Z"); // the server's clock; each test sets its own
+
+before(async () => {
+  api = await startTestServer();
+  mock.method(Date, "now", () => now);
+  // the first account is the admin
+  admin = (await api.request("POST", "/api/auth/register", { body: { name: "admin", password: "password123" } })).body.token;
+  bob = (await api.request("POST", "/api/auth/register", { body: { name: "bob", password: "password123" } })).body.token;
+});
+
+after(() => {
+  mock.restoreAll();
+  return api.close();
+});
+
+// a clean, verifiable run at the python variant of `problem`, a key every 150 ms
+function typedAttempt(problem, fields) {
+  const code = problem.variants.python;
+  const keystrokes = [...code].map((key, idx) => ({ t: idx * 150, key, idx, expected: key }));
+  const durationMs = keystrokes[keystrokes.length - 1].t;
+  const wpm = Math.round([...code].length / 5 / (durationMs / 60000));
+  return { problemId: problem.id, language: "python", rawText: code, durationMs, wpm, accuracy: 100, keystrokes, ...fields };
+}
+
+async function boardIds(day) {
+  const { body } = await api.request("GET", `/api/leaderboard?daily=${day}`);
+  return body.items.map(a => a.id);
+}
+
+test("the challenge rolls over at UTC midnight with a new problem and an empty board", async () => {
+  now = Date.parse("2026-03-01T23:59:00Z");
+  const { body: first } = await api.request("GET", "/api/daily");
+  assert.equal(first.date, "2026-03-01");
+  assert.equal(first.endsAt, Date.parse("2026-03-02T00:00:00Z"));
+  assert.equal(first.scheduled, false);
+  const entry = await api.request("POST", "/api/attempts", { token: admin, body: typedAttempt(first.problem, { daily: first.date }) });
+  assert.equal(entry.body.attempt.daily, "2026-03-01");
+  assert.deepEqual(await boardIds("2026-03-01"), [entry.body.attempt.id]);
+
+  now = Date.parse("2026-03-02T00:01:00Z");
+  const { body: second } = await api.request("GET", "/api/daily");
+  assert.equal(second.date, "2026-03-02");
+  assert.notEqual(second.problem.id, first.problem.id);
+  assert.deepEqual(await boardIds("2026-03-02"), []);
+
+  // finished before midnight, uploaded after: kept, but off yesterday's board
+  const late = await api.request("POST", "/api/attempts", { token: bob, body: typedAttempt(first.problem, { daily: first.date }) });
+  assert.equal(late.status, 200);
+  assert.equal(late.body.attempt.daily, undefined);
+  assert.deepEqual(await boardIds("2026-03-01"), [entry.body.attempt.id]);
+
+  const { body: archive } = await api.request("GET", "/api/daily/archive");
+  assert.equal(archive[0].date, "2026-03-01");
+  assert.equal(archive[0].players, 1);
+  assert.equal(archive[0].winner.user, "admin");
+  assert.equal(archive[0].winner.attemptId, entry.body.attempt.id);
+});
+
+test("rescheduling today swaps the problem and starts its board over", async () => {
+  now = Date.parse("2026-03-05T09:00:00Z");
+  const { body: today } = await api.request("GET", "/api/daily");
+  const entry = await api.request("POST", "/api/attempts", { token: bob, body: typedAttempt(today.problem, { daily: today.date }) });
+  assert.deepEqual(await boardIds(today.date), [entry.body.attempt.id]);
+
+  const other = ["p1", "p2", "p3"].find(id => id !== today.problem.id);
+  const denied = await api.request("PUT", `/api/daily/${today.date}`, { token: bob, body: { problemId: other } });
+  assert.equal(denied.status, 403);
+  const past = await api.request("PUT", "/api/daily/2026-03-04", { token: admin, body: { problemId: other } });
+  assert.equal(past.status, 400);
+
+  const moved = await api.request("PUT", `/api/daily/${today.date}`, { token: admin, body: { problemId: other } });
+  assert.equal(moved.status, 200);
+  const { body: rescheduled } = await api.request("GET", "/api/daily");
+  assert.equal(rescheduled.problem.id, other);
+  assert.equal(rescheduled.scheduled, true);
+  assert.deepEqual(await boardIds(today.date), []);
+
+  // an entry for the old problem is no longer a daily entry at all
+  const stale = await api.request("POST", "/api/attempts", { token: bob, body: typedAttempt(today.problem, { daily: today.date }) });
+  assert.equal(stale.status, 400);
+  assert.equal(stale.body.error, "invalid_daily");
+});
+
+test("an archive day nobody played has no winner", async () => {
+  now = Date.parse("2026-03-10T08:00:00Z");
+  await api.request("GET", "/api/daily");
+  now = Date.parse("2026-03-11T08:00:00Z");
+  const { body: archive } = await api.request("GET", "/api/daily/archive?limit=1");
+  assert.equal(archive.length, 1);
+  assert.equal(archive[0].date, "2026-03-10");
+  assert.equal(archive[0].players, 0);
+  assert.equal(archive[0].winner, null);
+  assert.ok(archive[0].title);
+
+  const older = await api.request("GET", "/api/daily/archive?before=2026-03-02");
+  assert.deepEqual(older.body.map(d => d.date), ["2026-03-01"]);
+});
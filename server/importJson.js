@@ -0,0 +1,51 @@
+// server/importJson.js
+// One-time import of the old lowdb db.json into the store. Runs on startup (a no-op once
+// done) and by hand with `npm run import-json [path/to/db.json]`.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { migrateProblem } from "./problems.js";
+import { openStore } from "./store.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const JSON_FILE = path.join(__dirname, "db.json");
+const MARKER = "json_imported";
+
+// returns the imported counts, or null when already imported / nothing to import
+export async function importJson(store, file = JSON_FILE) {
+  if (await store.getMeta(MARKER)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  // same upgrades lowdb's startup used to apply in place
+  const problems = Array.isArray(data.problems) ? data.problems : [];
+  for (const p of problems) migrateProblem(p);
+  const users = Array.isArray(data.users) ? data.users : [];
+  const userIds = new Set(users.map(u => u.id));
+  const now = Date.now();
+  const sessions = (Array.isArray(data.sessions) ? data.sessions : []).filter(
+    s => s.expiresAt > now && userIds.has(s.userId)
+  );
+  const attempts = Array.isArray(data.attempts) ? data.attempts : [];
+
+  // the store may already hold the seed problems if it was started before db.json appeared
+  const existing = new Set((await store.listProblems()).map(p => p.id));
+  const fresh = problems.filter(p => !existing.has(p.id));
+
+  await store.importData({ problems: fresh, users, sessions, attempts });
+  await store.setMeta(MARKER, String(now));
+  return { problems: fresh.length, users: users.length, sessions: sessions.length, attempts: attempts.length };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const store = openStore();
+  const counts = await importJson(store, process.argv[2] ? path.resolve(process.argv[2]) : JSON_FILE);
+  console.log(counts ? `Imported ${JSON.stringify(counts)}` : "Nothing to import (already imported or no db.json)");
+  await store.close();
+}
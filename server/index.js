@@ -1,86 +1,469 @@
 // server/index.js
 import express from "express";
+import { fileURLToPath } from "url";
 import cors from "cors";
-import { Low } from "lowdb";
-import { JSONFile } from "lowdb/node";
 import { nanoid } from "nanoid";
-import path from "path";
-import { fileURLToPath } from "url";
+import { verifyAttempt, verifyModeAttempt, progressTrack, MAX_WPM, STRICTNESS } from "./verify.js";
+import { parseMode, validPrompt } from "./modes.js";
+import {
+  SESSION_TTL_MS,
+  validateCredentials,
+  hashPassword,
+  checkPassword,
+  newSessionToken,
+  readBearerToken,
+  publicUser
+} from "./auth.js";
+import { LANGUAGES, validateProblem, resolveVariant } from "./problems.js";
+import { parseProblemQuery, queryProblems } from "./problemSearch.js";
+import { validateSettings } from "./settings.js";
+import { deriveAnalytics, aggregateAnalytics } from "./analytics.js";
+import { WINDOWS, SORTS, DEFAULT_LIMIT, MAX_LIMIT, decodeCursor, rankAttempts } from "./leaderboard.js";
+import { SEED_PROBLEMS } from "./seed.js";
+import { attachRaces } from "./races.js";
+import { importProblemDir } from "./problemImport.js";
+import { toCsv } from "./csv.js";
+import { dayKey, isDayKey, pickDaily, previousDay } from "./daily.js";
+import { openStore } from "./store.js";
+import { importJson } from "./importJson.js";
+
+const store = openStore();
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dbFile = path.join(__dirname, "db.json");
-
-// lowdb adapter + default data (required by lowdb v7)
-const adapter = new JSONFile(dbFile);
-const defaultData = { problems: [], attempts: [] };
-const db = new Low(adapter, defaultData);
-
-async function initDB() {
-  await db.read();
-  // db.data is now guaranteed (either existing file content or defaultData)
-  db.data ||= defaultData;
-
-  if (!db.data.problems || db.data.problems.length === 0) {
-    db.data.problems = [
-      { id: "p1", title: "Reverse String", text: "Write a function to reverse a string.", difficulty: "easy" },
-      { id: "p2", title: "Two Sum", text: "Given array nums and target, return indices of the two numbers such that they add up to target.", difficulty: "easy" },
-      { id: "p3", title: "FizzBuzz", text: "Write a program that prints the numbers from 1 to n. For multiples of three print 'Fizz' instead of the number and for the multiples of five print 'Buzz'.", difficulty: "easy" }
-      // add more seed problems if you want
-    ];
-    await db.write();
+async function initStore() {
+  const imported = await importJson(store);
+  if (imported) console.log("Imported db.json:", imported);
+  if ((await store.listProblems()).length === 0) {
+    for (const p of SEED_PROBLEMS) await store.createProblem(structuredClone(p));
   }
 }
 
-await initDB();
+await initStore();
+
+// keystroke logs are stored as [{ t, key, idx, expected, auto?, rejected? }]; drop anything malformed
+const MAX_KEYSTROKES = 20000;
+function sanitizeKeystrokes(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .slice(0, MAX_KEYSTROKES)
+    .filter(k => k && Number.isFinite(k.t) && typeof k.key === "string" && Number.isInteger(k.idx) && k.idx >= 0)
+    .map(k => ({
+      t: k.t,
+      key: k.key,
+      idx: k.idx,
+      expected: typeof k.expected === "string" ? k.expected : null,
+      ...(k.auto === true && { auto: true }),
+      ...(k.rejected === true && { rejected: true })
+    }));
+}
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// X-Total-Count is read by the problem list when the client runs on another origin
+app.use(cors({ exposedHeaders: ["X-Total-Count"] }));
+// an attempt carries its whole keystroke log; an entry is ~50 bytes of JSON, so this leaves
+// room for MAX_KEYSTROKES of them plus the typed text (express's default is 100 kB)
+const MAX_BODY_BYTES = MAX_KEYSTROKES * 100;
+app.use(express.json({ limit: MAX_BODY_BYTES }));
+
+// the user behind a live session token, or null
+function userForToken(token) {
+  return store.findSessionUser(token, Date.now());
+}
+
+function findProblem(id) {
+  return store.getProblem(id);
+}
+
+// resolves the session token to req.user; responds 401 when missing or expired
+async function requireUser(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) return res.status(401).json({ error: "unauthorized" });
+  const user = await userForToken(token);
+  if (!user) return res.status(401).json({ error: "unauthorized" });
+  req.user = user;
+  req.token = token;
+  next();
+}
+
+// must run after requireUser
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin") return res.status(403).json({ error: "forbidden" });
+  next();
+}
+
+function startSession(user) {
+  const now = Date.now();
+  return store.createSession({ token: newSessionToken(), userId: user.id, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+}
+
+// Auth
+app.post("/api/auth/register", async (req, res) => {
+  const { name, password } = req.body || {};
+  const invalid = validateCredentials(name, password);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  if (await store.findUserByName(name)) {
+    return res.status(409).json({ error: "name_taken" });
+  }
+  const { salt, hash } = hashPassword(password);
+  // the first account on a fresh install administers the problem set
+  const role = (await store.countUsers()) === 0 ? "admin" : "user";
+  const user = { id: nanoid(), name, role, passwordHash: hash, passwordSalt: salt, createdAt: Date.now() };
+  await store.createUser(user);
+  const session = await startSession(user);
+  res.status(201).json({ token: session.token, user: publicUser(user) });
+});
+
+app.post("/api/auth/login", async (req, res) => {
+  const { name, password } = req.body || {};
+  if (typeof name !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "invalid" });
+  }
+  const user = await store.findUserByName(name);
+  if (!user || !checkPassword(password, { salt: user.passwordSalt, hash: user.passwordHash })) {
+    return res.status(401).json({ error: "invalid_credentials" });
+  }
+  const session = await startSession(user);
+  res.json({ token: session.token, user: publicUser(user) });
+});
+
+app.post("/api/auth/logout", requireUser, async (req, res) => {
+  await store.deleteSession(req.token);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", requireUser, (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+// the signed-in user's typing view settings; {} until they are first saved
+app.get("/api/settings", requireUser, (req, res) => {
+  res.json(req.user.settings || {});
+});
+
+app.put("/api/settings", requireUser, async (req, res) => {
+  const { error, value } = validateSettings(req.body);
+  if (error) return res.status(400).json({ error });
+  await store.updateUserSettings(req.user.id, value);
+  res.json(value);
+});
 
 // Endpoints
+// query: q (search), tag, difficulty, language, sort (default|title|difficulty|length),
+// offset + limit (everything when absent); responds with the page, X-Total-Count holds all matches
 app.get("/api/problems", async (req, res) => {
-  await db.read();
-  res.json(db.data.problems);
+  const { error, value } = parseProblemQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  const { items, total } = queryProblems(await store.listProblems(), value);
+  res.set("X-Total-Count", String(total));
+  res.json(items);
 });
 
 app.get("/api/problems/:id", async (req, res) => {
-  const id = req.params.id;
-  await db.read();
-  const p = db.data.problems.find(x => x.id === id);
+  const p = await store.getProblem(req.params.id);
   if (!p) return res.status(404).json({ error: "not found" });
   res.json(p);
 });
 
-app.post("/api/attempts", async (req, res) => {
-  const body = req.body;
-  if (!body || !body.problemId) return res.status(400).json({ error: "invalid" });
+app.post("/api/problems", requireUser, requireAdmin, async (req, res) => {
+  const { error, value } = validateProblem(req.body);
+  if (error) return res.status(400).json({ error });
+  const problem = { id: nanoid(10), ...value };
+  await store.createProblem(problem);
+  res.status(201).json(problem);
+});
+
+// imports a directory on the server's disk; body { dir, match?, language?, dryRun? }
+app.post("/api/problems/import", requireUser, requireAdmin, async (req, res) => {
+  const { dir, match, language, dryRun } = req.body || {};
+  if (typeof dir !== "string" || !dir) return res.status(400).json({ error: "invalid_dir" });
+  if (language !== undefined && !LANGUAGES.includes(language)) return res.status(400).json({ error: "invalid_language" });
+  const result = await importProblemDir(store, dir, { match, language, dryRun: dryRun === true });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.status(dryRun === true ? 200 : 201).json(result);
+});
+
+app.put("/api/problems/:id", requireUser, requireAdmin, async (req, res) => {
+  const { error, value } = validateProblem(req.body);
+  if (error) return res.status(400).json({ error });
+  const problem = { id: req.params.id, ...value };
+  if (!(await store.updateProblem(problem))) return res.status(404).json({ error: "not found" });
+  res.json(problem);
+});
+
+// existing attempts are kept so history and replays survive the problem's removal
+app.delete("/api/problems/:id", requireUser, requireAdmin, async (req, res) => {
+  if (!(await store.deleteProblem(req.params.id))) return res.status(404).json({ error: "not found" });
+  res.status(204).end();
+});
+
+// today's challenge, picked and stored on the day's first request unless an admin scheduled one;
+// null when there are no problems
+async function dailyChallenge(day) {
+  const existing = await store.getDaily(day);
+  if (existing) return existing;
+  const previous = await store.getDaily(previousDay(day));
+  const problem = pickDaily(await store.listProblems(), day, previous?.problemId);
+  if (!problem) return null;
+  return store.claimDaily({ date: day, problemId: problem.id, createdAt: Date.now() });
+}
+
+// responds { date, problem, scheduled (picked by an admin), endsAt (epoch ms of the next UTC midnight) }
+app.get("/api/daily", async (req, res) => {
+  const day = dayKey();
+  const challenge = await dailyChallenge(day);
+  const problem = challenge && (await store.getProblem(challenge.problemId));
+  // a deleted problem stays the day's challenge until an admin schedules another
+  if (!problem) return res.status(404).json({ error: "not found" });
+  res.json({ date: day, problem, scheduled: challenge.scheduledBy !== null, endsAt: Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000 });
+});
+
+// past days, newest first, with the winner of each day's default (free, any language) board.
+// query: before (YYYY-MM-DD, default today), limit (default 30)
+app.get("/api/daily/archive", async (req, res) => {
+  const before = req.query.before || dayKey();
+  if (!isDayKey(before)) return res.status(400).json({ error: "invalid_date" });
+  const limit = req.query.limit ? Number(req.query.limit) : 30;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return res.status(400).json({ error: "invalid_limit" });
+
+  const days = await store.listDailies({ before, limit });
+  const archive = [];
+  for (const { date, problemId } of days) {
+    const problem = await store.getProblem(problemId);
+    const attempts = await store.listAttempts({ verified: true, daily: date, problemId });
+    const free = attempts.filter(a => a.strictness === "free");
+    const [winner] = rankAttempts(free, { limit: 1 }).items;
+    archive.push({
+      date,
+      problemId,
+      title: problem?.title ?? null,
+      players: new Set(attempts.map(a => a.user.toLowerCase())).size,
+      winner: winner ? { user: winner.user, wpm: winner.wpm, accuracy: winner.accuracy, attemptId: winner.id } : null
+    });
+  }
+  res.json(archive);
+});
+
+// schedule the challenge for today or a later day; rescheduling today starts its board over
+app.put("/api/daily/:date", requireUser, requireAdmin, async (req, res) => {
+  const { date } = req.params;
+  if (!isDayKey(date) || date < dayKey()) return res.status(400).json({ error: "invalid_date" });
+  const problemId = req.body?.problemId;
+  if (typeof problemId !== "string" || !(await store.getProblem(problemId))) return res.status(400).json({ error: "unknown_problem" });
+  const daily = await store.scheduleDaily({ date, problemId, scheduledBy: req.user.name, createdAt: Date.now() });
+  res.json(daily);
+});
+
+const CLIENT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// an attempt is either for a problem (problemId) or a TypingTest run (mode + prompt). Both
+// keep the text they were typed against in `prompt`, so a replay still works after the
+// problem is edited or deleted.
+// Shared by POST /api/attempts and race results; `extra` is merged into the stored
+// attempt (e.g. { raceId }). Returns { attempt } or { error } (a 400 code).
+async function recordAttempt(user, body, extra = {}) {
+  if (!body || (!body.problemId && !body.mode)) return { error: "invalid" };
+  if (body.clientId !== undefined && !CLIENT_ID_RE.test(body.clientId)) return { error: "invalid_client_id" };
+  if (body.strictness !== undefined && !STRICTNESS.includes(body.strictness)) return { error: "invalid_strictness" };
+
+  // an offline client retries until it hears back, so the same upload can arrive twice
+  if (body.clientId) {
+    const existing = await store.findAttemptByClientId(user.name, body.clientId);
+    if (existing) return { attempt: existing };
+  }
+
+  // a daily entry counts for today's board only; one finished before midnight and uploaded
+  // after it (e.g. from the offline outbox) is kept as a plain attempt
+  let daily = null;
+  if (body.daily !== undefined) {
+    if (!isDayKey(body.daily) || !body.problemId) return { error: "invalid_daily" };
+    if (body.daily === dayKey()) {
+      const challenge = await store.getDaily(body.daily);
+      if (!challenge || challenge.problemId !== body.problemId) return { error: "invalid_daily" };
+      daily = body.daily;
+    }
+  }
 
   // simple anti-cheat: rejects impossibly high WPM
-  if (body.wpm > 300) return res.status(400).json({ error: "cheat_detected" });
+  if (body.wpm > MAX_WPM) return { error: "cheat_detected" };
+
+  const keystrokes = sanitizeKeystrokes(body.keystrokes);
+  let target;
+  let check;
+  let expected;
+  // never trust the client's numbers: score what was typed and flag disagreements
+  if (body.problemId) {
+    const problem = await store.getProblem(body.problemId);
+    if (!problem) return { error: "unknown_problem" };
+    check = verifyAttempt(problem, { ...body, keystrokes });
+    expected = resolveVariant(problem, check.language).text;
+    target = { problemId: body.problemId, language: check.language, autoIndent: body.autoIndent === true, prompt: expected };
+  } else {
+    const mode = parseMode(body.mode);
+    if (!mode) return { error: "unknown_mode" };
+    if (!validPrompt(body.prompt, mode)) return { error: "invalid_prompt" };
+    check = verifyModeAttempt(mode, { ...body, keystrokes });
+    target = { mode: mode.id, prompt: body.prompt };
+    expected = body.prompt;
+  }
+  if (check.wpm > MAX_WPM) return { error: "cheat_detected" };
 
-  await db.read();
   const attempt = {
     id: nanoid(),
-    user: body.user || "anon",
-    problemId: body.problemId,
-    wpm: body.wpm,
-    accuracy: body.accuracy,
+    user: user.name,
+    ...target,
+    ...extra,
+    ...(body.clientId && { clientId: body.clientId }),
+    ...(daily && { daily }),
+    strictness: body.strictness ?? "free",
+    wpm: check.wpm,
+    rawWpm: check.rawWpm,
+    accuracy: check.accuracy,
+    correctedErrors: check.correctedErrors,
+    uncorrectedErrors: check.uncorrectedErrors,
+    ...(check.consistency !== null && { consistency: check.consistency }),
+    claimedWpm: body.wpm,
+    claimedAccuracy: body.accuracy,
+    verified: check.verified,
+    verifyIssues: check.issues,
     rawText: body.rawText || "",
-    durationMs: body.durationMs,
+    durationMs: check.durationMs,
+    keystrokes,
+    analytics: deriveAnalytics([...expected], keystrokes, body.rawText || ""),
     createdAt: Date.now()
   };
-  db.data.attempts.push(attempt);
-  await db.write();
+  await store.addAttempt(attempt);
+  return { attempt };
+}
+
+app.post("/api/attempts", requireUser, async (req, res) => {
+  const { error, attempt } = await recordAttempt(req.user, req.body);
+  if (error) return res.status(400).json({ error });
   res.json({ success: true, attempt });
 });
 
+// query: problemId | mode | daily (a day, YYYY-MM-DD: that day's daily entries), language,
+// strictness, sort (wpm|raw|accuracy|consistency), window (day|week|month|all),
+// best=true (one row per user), minAccuracy, cursor + limit; responds { items, nextCursor }
 app.get("/api/leaderboard", async (req, res) => {
-  const { problemId } = req.query;
-  await db.read();
-  let attempts = db.data.attempts.filter(a => (problemId ? a.problemId === problemId : true));
-  attempts.sort((a, b) => b.wpm - a.wpm || b.accuracy - a.accuracy);
-  res.json(attempts.slice(0, 50));
+  const { language, mode, daily, cursor } = req.query;
+  let { problemId } = req.query;
+  const window = req.query.window || "all";
+  if (!Object.hasOwn(WINDOWS, window)) return res.status(400).json({ error: "invalid_window" });
+  const minAccuracy = req.query.minAccuracy ? Number(req.query.minAccuracy) : 0;
+  if (!Number.isFinite(minAccuracy)) return res.status(400).json({ error: "invalid_min_accuracy" });
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return res.status(400).json({ error: "invalid_limit" });
+  const sort = req.query.sort || "wpm";
+  if (!Object.hasOwn(SORTS, sort)) return res.status(400).json({ error: "invalid_sort" });
+  const after = cursor ? decodeCursor(cursor, sort) : null;
+  if (cursor && !after) return res.status(400).json({ error: "invalid_cursor" });
+  const strictness = req.query.strictness || "free";
+  if (!STRICTNESS.includes(strictness)) return res.status(400).json({ error: "invalid_strictness" });
+  if (daily !== undefined) {
+    if (!isDayKey(daily)) return res.status(400).json({ error: "invalid_daily" });
+    // entries for a problem the day was rescheduled away from drop off the board
+    const challenge = await store.getDaily(daily);
+    if (!challenge) return res.json({ items: [], nextCursor: null });
+    problemId = challenge.problemId;
+  }
+
+  // only server-verified attempts are ranked; languages, strictness and TypingTest modes are ranked separately
+  const attempts = await store.listAttempts({ verified: true, problemId, language, mode, daily, strictness });
+  const { items, nextCursor } = rankAttempts(attempts, {
+    sort,
+    window,
+    best: req.query.best === "true" || req.query.best === "1",
+    minAccuracy,
+    cursor: after,
+    limit
+  });
+  res.json({ items, nextCursor });
+});
+
+// accepts epoch ms or anything Date.parse understands (e.g. "2025-01-31"); null when absent/invalid
+function parseTime(value) {
+  if (value === undefined || value === "") return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// a user's history, oldest first, for the progress dashboard
+app.get("/api/users/:user/attempts", async (req, res) => {
+  const { problemId, mode } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if ((req.query.from && from === null) || (req.query.to && to === null)) {
+    return res.status(400).json({ error: "invalid_date" });
+  }
+  const attempts = await store.listAttempts({ user: req.params.user, problemId, mode, from, to });
+  res.json(attempts);
 });
 
-const PORT = process.env.PORT || 4001;
-app.listen(PORT, () => console.log("Server running on port", PORT));
+// per-key / bigram stats summed over every attempt by the user (optionally one language)
+app.get("/api/users/:user/analytics", async (req, res) => {
+  const { language } = req.query;
+  const attempts = await store.listAttemptAnalytics({ user: req.params.user, language });
+  res.json({ user: req.params.user, ...aggregateAnalytics(attempts) });
+});
+
+const EXPORT_COLUMNS = [
+  { header: "id", value: a => a.id },
+  { header: "user", value: a => a.user },
+  { header: "problemId", value: a => a.problemId },
+  { header: "language", value: a => a.language },
+  { header: "mode", value: a => a.mode },
+  { header: "raceId", value: a => a.raceId },
+  { header: "daily", value: a => a.daily },
+  { header: "strictness", value: a => a.strictness },
+  { header: "wpm", value: a => a.wpm },
+  { header: "rawWpm", value: a => a.rawWpm },
+  { header: "accuracy", value: a => a.accuracy },
+  { header: "correctedErrors", value: a => a.correctedErrors },
+  { header: "uncorrectedErrors", value: a => a.uncorrectedErrors },
+  { header: "consistency", value: a => a.consistency },
+  { header: "claimedWpm", value: a => a.claimedWpm },
+  { header: "claimedAccuracy", value: a => a.claimedAccuracy },
+  { header: "verified", value: a => a.verified },
+  { header: "durationMs", value: a => a.durationMs },
+  { header: "createdAt", value: a => new Date(a.createdAt).toISOString() }
+];
+
+// every attempt matching the filters, oldest first, without keystroke logs; signed-in users only.
+// query: format (csv|json, default json), problemId, user, mode, language, from, to
+app.get("/api/attempts/export", requireUser, async (req, res) => {
+  const format = req.query.format || "json";
+  if (format !== "csv" && format !== "json") return res.status(400).json({ error: "invalid_format" });
+  const { problemId, user, mode, language } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if ((req.query.from && from === null) || (req.query.to && to === null)) {
+    return res.status(400).json({ error: "invalid_date" });
+  }
+  const attempts = await store.listAttempts({ problemId, user, mode, language, from, to });
+  res.attachment(`attempts.${format}`);
+  if (format === "json") return res.json(attempts);
+  res.type("text/csv").send(toCsv(EXPORT_COLUMNS, attempts));
+});
+
+app.get("/api/attempts/:id", async (req, res) => {
+  const a = await store.getAttempt(req.params.id);
+  if (!a) return res.status(404).json({ error: "not found" });
+  res.json(a);
+});
+
+// just enough of an attempt to race against its ghost: the caret's position over time
+app.get("/api/attempts/:id/ghost", async (req, res) => {
+  const a = await store.getAttempt(req.params.id);
+  if (!a) return res.status(404).json({ error: "not found" });
+  const { id, user, problemId, language, wpm, accuracy, durationMs } = a;
+  res.json({ id, user, problemId, language, wpm, accuracy, durationMs, track: progressTrack(a) });
+});
+
+export { app, store, MAX_KEYSTROKES };
+
+// the tests import the app and listen on a port of their own
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const PORT = process.env.PORT || 4001;
+  const server = app.listen(PORT, () => console.log("Server running on port", PORT));
+  attachRaces(server, { userForToken, findProblem, recordAttempt });
+}
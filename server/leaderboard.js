@@ -0,0 +1,84 @@
+// server/leaderboard.js
+// Ranking options for GET /api/leaderboard: time windows, best-per-user and
+// keyset (cursor) pagination over the ranked list.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// rolling windows, so "week" is always the last seven days rather than since Monday
+export const WINDOWS = { day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS, all: null };
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+
+// what a board can be ranked by, highest first. wpm is net speed; attempts from before
+// raw speed was stored rank by their wpm, and ones without consistency are left off that board
+export const SORTS = {
+  wpm: a => a.wpm,
+  raw: a => a.rawWpm ?? a.wpm,
+  accuracy: a => a.accuracy,
+  consistency: a => a.consistency
+};
+
+// highest `sort` value first; ties by speed, accuracy, then whoever got there first,
+// then id so the order is total
+export function compareRank(a, b, sort = "wpm") {
+  return (
+    SORTS[sort](b) - SORTS[sort](a) ||
+    b.wpm - a.wpm ||
+    b.accuracy - a.accuracy ||
+    a.createdAt - b.createdAt ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+}
+
+// the cursor is the last row of the previous page, so pages stay stable as new attempts arrive
+export function encodeCursor({ wpm, rawWpm, accuracy, consistency, createdAt, id }) {
+  return Buffer.from(JSON.stringify({ wpm, rawWpm, accuracy, consistency, createdAt, id })).toString("base64url");
+}
+
+// null unless the cursor carries everything `sort` compares on
+export function decodeCursor(cursor, sort = "wpm") {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      Number.isFinite(c.wpm) &&
+      Number.isFinite(c.accuracy) &&
+      Number.isFinite(SORTS[sort](c)) &&
+      Number.isFinite(c.createdAt) &&
+      typeof c.id === "string"
+    ) {
+      return c;
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Ranks already-filtered attempts.
+ * Options: sort (key of SORTS), window (key of WINDOWS), best (one row per user,
+ * their top attempt by that sort), minAccuracy, cursor (from a previous page's nextCursor), limit.
+ * Returns { items, nextCursor } where items carry their 1-based `rank`
+ * (positions in the full ranking, not just this page); nextCursor is null on the last page.
+ */
+export function rankAttempts(attempts, { sort = "wpm", window = "all", best = false, minAccuracy = 0, cursor = null, limit = DEFAULT_LIMIT, now = Date.now() } = {}) {
+  const since = WINDOWS[window] ? now - WINDOWS[window] : null;
+  let ranked = attempts
+    .filter(a => (since !== null ? a.createdAt >= since : true) && a.accuracy >= minAccuracy && SORTS[sort](a) != null)
+    .sort((a, b) => compareRank(a, b, sort));
+
+  if (best) {
+    const seen = new Set();
+    ranked = ranked.filter(a => {
+      const key = String(a.user).toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  const start = cursor ? ranked.findIndex(a => compareRank(a, cursor, sort) > 0) : 0;
+  if (start === -1) return { items: [], nextCursor: null };
+  const page = ranked.slice(start, start + limit).map((a, i) => ({ ...a, rank: start + i + 1 }));
+  const hasMore = start + limit < ranked.length;
+  return { items: page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+}
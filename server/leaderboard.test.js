@@ -0,0 +1,124 @@
+// server/leaderboard.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WINDOWS, decodeCursor, encodeCursor, rankAttempts } from "./leaderboard.js";
+import { startTestServer } from "./testServer.js";
+
+const NOW = Date.UTC(2026, 0, 15, 12);
+let nextId = 0;
+function attempt(fields) {
+  nextId++;
+  return { id: `a${String(nextId).padStart(3, "0")}`, user: `user${nextId}`, wpm: 60, accuracy: 95, createdAt: NOW - 1000, ...fields };
+}
+
+// every page of `attempts`, following nextCursor the way a client does
+function allPages(attempts, options) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const { items, nextCursor } = rankAttempts(attempts, { ...options, cursor, now: NOW });
+    pages.push(items);
+    cursor = nextCursor && decodeCursor(nextCursor, options.sort);
+  } while (cursor);
+  return pages;
+}
+
+test("tied scores page in a stable order without repeating or skipping anyone", () => {
+  const attempts = [
+    ...Array.from({ length: 7 }, () => attempt({})),
+    ...Array.from({ length: 3 }, () => attempt({ wpm: 70 }))
+  ].reverse();
+  const pages = allPages(attempts, { limit: 3 });
+  assert.deepEqual(pages.map(p => p.length), [3, 3, 3, 1]);
+  // equal on every score and time, so the ids settle the order
+  const idsAt = wpm => attempts.filter(a => a.wpm === wpm).map(a => a.id).sort();
+  assert.deepEqual(pages.flat().map(a => a.id), [...idsAt(70), ...idsAt(60)]);
+  assert.deepEqual(pages.flat().map(a => a.rank), Array.from({ length: 10 }, (_, i) => i + 1));
+});
+
+test("a page after the cursor doesn't move when better attempts arrive", () => {
+  const attempts = Array.from({ length: 4 }, (_, i) => attempt({ wpm: 80 - i }));
+  const first = rankAttempts(attempts, { limit: 2, now: NOW });
+  const later = [...attempts, attempt({ wpm: 99 }), attempt({ wpm: 85, createdAt: NOW })];
+  const second = rankAttempts(later, { limit: 2, cursor: decodeCursor(first.nextCursor), now: NOW });
+  assert.deepEqual(second.items.map(a => a.wpm), [78, 77]);
+  // ranks count the arrivals above them
+  assert.deepEqual(second.items.map(a => a.rank), [5, 6]);
+  assert.equal(second.nextCursor, null);
+});
+
+test("best=true keeps each user's top attempt, matching names case-insensitively", () => {
+  const attempts = [
+    attempt({ user: "Ann", wpm: 50 }),
+    attempt({ user: "ann", wpm: 90 }),
+    attempt({ user: "ANN", wpm: 70 }),
+    attempt({ user: "bob", wpm: 80 }),
+    attempt({ user: "Bob", wpm: 85 })
+  ];
+  const { items } = rankAttempts(attempts, { best: true, now: NOW });
+  assert.deepEqual(items.map(a => [a.user, a.wpm, a.rank]), [["ann", 90, 1], ["Bob", 85, 2]]);
+});
+
+test("best=true pages over users, not attempts", () => {
+  const attempts = ["a", "b", "c", "d"].flatMap((user, i) => [attempt({ user, wpm: 90 - i }), attempt({ user: user.toUpperCase(), wpm: 50 - i })]);
+  const pages = allPages(attempts, { best: true, limit: 3 });
+  assert.deepEqual(pages.map(p => p.map(a => a.user)), [["a", "b", "c"], ["d"]]);
+});
+
+test("a window keeps attempts from its start on, inclusive", () => {
+  const start = NOW - WINDOWS.day;
+  const attempts = [attempt({ createdAt: start }), attempt({ createdAt: start - 1 }), attempt({ createdAt: NOW })];
+  const ids = window => rankAttempts(attempts, { window, now: NOW }).items.map(a => a.id);
+  assert.deepEqual(ids("day").sort(), [attempts[0].id, attempts[2].id].sort());
+  assert.equal(ids("week").length, 3);
+  assert.equal(ids("all").length, 3);
+  const monthOld = attempt({ createdAt: NOW - WINDOWS.month - 1 });
+  assert.ok(!rankAttempts([monthOld], { window: "month", now: NOW }).items.length);
+  assert.ok(rankAttempts([monthOld], { window: "all", now: NOW }).items.length);
+});
+
+test("sorting by consistency leaves off attempts that have none", () => {
+  const attempts = [attempt({ consistency: 70 }), attempt({ wpm: 100 }), attempt({ consistency: 90, wpm: 40 })];
+  const { items } = rankAttempts(attempts, { sort: "consistency", now: NOW });
+  assert.deepEqual(items.map(a => a.consistency), [90, 70]);
+});
+
+test("a cursor round-trips through encodeCursor", () => {
+  const row = attempt({ rawWpm: 66, consistency: 81, rank: 4, keystrokes: [] });
+  const cursor = decodeCursor(encodeCursor(row), "consistency");
+  assert.deepEqual(cursor, { wpm: row.wpm, rawWpm: 66, accuracy: row.accuracy, consistency: 81, createdAt: row.createdAt, id: row.id });
+});
+
+test("a malformed cursor decodes to null instead of throwing", () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const cases = [
+    "",
+    "not base64!",
+    Buffer.from("{not json").toString("base64url"),
+    encode(null),
+    encode([1, 2]),
+    encode({ wpm: "60", accuracy: 95, createdAt: 1, id: "a" }),
+    encode({ wpm: 60, accuracy: 95, createdAt: 1, id: 7 }),
+    encode({ wpm: 60, accuracy: 95, id: "a" })
+  ];
+  for (const cursor of cases) assert.equal(decodeCursor(cursor), null, cursor);
+  // valid for wpm, but a consistency page needs the consistency it left off at
+  const noConsistency = encodeCursor(attempt({}));
+  assert.ok(decodeCursor(noConsistency, "wpm"));
+  assert.equal(decodeCursor(noConsistency, "consistency"), null);
+});
+
+test("GET /api/leaderboard answers a malformed cursor with 400", async () => {
+  const api = await startTestServer();
+  try {
+    for (const cursor of ["garbage", encodeCursor(attempt({})).slice(0, -4)]) {
+      const res = await api.request("GET", `/api/leaderboard?problemId=p1&cursor=${cursor}`);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "invalid_cursor");
+    }
+    const res = await api.request("GET", `/api/leaderboard?problemId=p1&sort=consistency&cursor=${encodeCursor(attempt({}))}`);
+    assert.equal(res.body.error, "invalid_cursor");
+  } finally {
+    api.close();
+  }
+});
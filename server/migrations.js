@@ -0,0 +1,140 @@
+// server/migrations.js
+// Versioned schema for the SQLite store. Each migration runs once, in order, inside a
+// transaction; the applied version is kept in PRAGMA user_version. Never edit a
+// migration that has shipped: append a new one instead.
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial schema",
+    up: `
+      CREATE TABLE problems (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        text TEXT NOT NULL DEFAULT '',
+        variants TEXT NOT NULL DEFAULT '{}', -- JSON { [language]: code }
+        difficulty TEXT NOT NULL DEFAULT 'easy'
+      );
+
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        role TEXT NOT NULL DEFAULT 'user',
+        password_hash TEXT NOT NULL,
+        password_salt TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE sessions (
+        token TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX sessions_expires_at ON sessions(expires_at);
+
+      -- columns for what is filtered or ranked on; everything else lives in the JSON
+      -- "details" column so new attempt fields don't each need a migration
+      CREATE TABLE attempts (
+        id TEXT PRIMARY KEY,
+        user TEXT NOT NULL COLLATE NOCASE,
+        problem_id TEXT,
+        language TEXT,
+        mode TEXT,
+        race_id TEXT,
+        verified INTEGER NOT NULL DEFAULT 0,
+        wpm INTEGER NOT NULL,
+        accuracy INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        details TEXT NOT NULL DEFAULT '{}',
+        keystrokes TEXT NOT NULL DEFAULT '[]',
+        analytics TEXT
+      );
+      CREATE INDEX attempts_problem_id ON attempts(problem_id, created_at);
+      CREATE INDEX attempts_user ON attempts(user, created_at);
+      CREATE INDEX attempts_created_at ON attempts(created_at);
+      CREATE INDEX attempts_mode ON attempts(mode, created_at);
+
+      -- one-off markers such as "db.json imported"
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `
+  },
+  {
+    version: 2,
+    name: "attempt client ids",
+    // set by the client's offline outbox so a retried upload is stored only once
+    up: `
+      ALTER TABLE attempts ADD COLUMN client_id TEXT;
+      CREATE UNIQUE INDEX attempts_client_id ON attempts(user, client_id) WHERE client_id IS NOT NULL;
+    `
+  },
+  {
+    version: 3,
+    name: "user settings",
+    // JSON of the typing view's appearance settings, null until first saved
+    up: `
+      ALTER TABLE users ADD COLUMN settings TEXT;
+    `
+  },
+  {
+    version: 4,
+    name: "attempt strictness",
+    // error-handling mode the attempt was typed in; leaderboards rank each mode apart
+    up: `
+      ALTER TABLE attempts ADD COLUMN strictness TEXT NOT NULL DEFAULT 'free';
+      CREATE INDEX attempts_strictness ON attempts(problem_id, strictness, created_at);
+    `
+  },
+  {
+    version: 5,
+    name: "attempt raw wpm and consistency",
+    // wpm becomes net speed; raw speed and consistency are ranked too, so they get columns.
+    // Older attempts keep null here and rank by wpm (raw) or not at all (consistency)
+    up: `
+      ALTER TABLE attempts ADD COLUMN raw_wpm INTEGER;
+      ALTER TABLE attempts ADD COLUMN consistency INTEGER;
+    `
+  },
+  {
+    version: 6,
+    name: "problem tags",
+    // JSON array of topic tags, e.g. ["strings", "algorithms"]
+    up: `
+      ALTER TABLE problems ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+    `
+  },
+  {
+    version: 7,
+    name: "daily challenge",
+    // one problem per UTC day (see daily.js); scheduled_by is the admin who picked it, null when
+    // it was picked automatically. attempts.daily is the day an attempt was a daily entry for
+    up: `
+      CREATE TABLE daily_challenges (
+        date TEXT PRIMARY KEY,
+        problem_id TEXT NOT NULL,
+        scheduled_by TEXT,
+        created_at INTEGER NOT NULL
+      );
+      ALTER TABLE attempts ADD COLUMN daily TEXT;
+      CREATE INDEX attempts_daily ON attempts(daily, strictness) WHERE daily IS NOT NULL;
+    `
+  }
+];
+
+// brings the database up to the latest version; returns the versions applied
+export function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      db.exec(m.up);
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    applied.push(m.version);
+  }
+  return applied;
+}
@@ -0,0 +1,91 @@
+// server/migrations.test.js — run with `npm test`
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { MIGRATIONS, migrate } from "./migrations.js";
+import { createSqliteStore } from "./sqliteStore.js";
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "typing-migrations-"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// a database as an older release left it: migrations up to `version` and nothing after
+function databaseAt(file, version) {
+  const db = new Database(file);
+  for (const m of MIGRATIONS.filter(m => m.version <= version)) {
+    db.exec(m.up);
+    db.pragma(`user_version = ${m.version}`);
+  }
+  return db;
+}
+
+test("migrations are numbered 1, 2, 3 … with no gaps", () => {
+  assert.deepEqual(
+    MIGRATIONS.map(m => m.version),
+    MIGRATIONS.map((_, i) => i + 1)
+  );
+});
+
+test("a fresh database is migrated to the latest version, once", () => {
+  const db = new Database(path.join(dir, "fresh.sqlite"));
+  assert.deepEqual(migrate(db), MIGRATIONS.map(m => m.version));
+  assert.equal(db.pragma("user_version", { simple: true }), LATEST);
+  assert.deepEqual(migrate(db), []);
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").pluck().all();
+  assert.deepEqual(tables, ["attempts", "daily_challenges", "meta", "problems", "sessions", "users"]);
+  db.close();
+});
+
+test("a version 1 database keeps its rows and gains the later columns' defaults", async () => {
+  const file = path.join(dir, "v1.sqlite");
+  const old = databaseAt(file, 1);
+  old.prepare("INSERT INTO problems (id, title, text, variants, difficulty) VALUES ('p1', 'Old', 'Text', '{\"python\":\"pass\"}', 'easy')").run();
+  old
+    .prepare("INSERT INTO users (id, name, role, password_hash, password_salt, created_at) VALUES ('u1', 'ann', 'admin', 'h', 's', 1)")
+    .run();
+  old
+    .prepare(
+      "INSERT INTO attempts (id, user, problem_id, language, verified, wpm, accuracy, created_at, details) VALUES ('a1', 'ann', 'p1', 'python', 1, 60, 97, 2, '{\"durationMs\":5000}')"
+    )
+    .run();
+  old.close();
+
+  const store = createSqliteStore(file);
+  assert.deepEqual(await store.getProblem("p1"), {
+    id: "p1",
+    title: "Old",
+    text: "Text",
+    variants: { python: "pass" },
+    difficulty: "easy",
+    tags: []
+  });
+  assert.equal((await store.findUserByName("ANN")).settings, null);
+  const attempt = await store.getAttempt("a1");
+  assert.equal(attempt.strictness, "free");
+  assert.equal(attempt.rawWpm, undefined);
+  assert.equal(attempt.consistency, undefined);
+  assert.equal(attempt.daily, undefined);
+  assert.equal(attempt.durationMs, 5000);
+  assert.equal(await store.getDaily("2026-01-01"), null);
+  await store.close();
+
+  const db = new Database(file);
+  assert.equal(db.pragma("user_version", { simple: true }), LATEST);
+  db.close();
+});
+
+test("a database part way through only runs the migrations it is missing", () => {
+  const db = databaseAt(path.join(dir, "v5.sqlite"), 5);
+  db.prepare("INSERT INTO meta (key, value) VALUES ('imported', 'yes')").run();
+  assert.deepEqual(migrate(db), [6, 7]);
+  assert.equal(db.prepare("SELECT value FROM meta WHERE key = 'imported'").pluck().get(), "yes");
+  db.close();
+});
@@ -0,0 +1,51 @@
+// server/modes.js
+// TypingTest modes. A mode id is "time-<seconds>" or "words-<count>", optionally
+// followed by "+punctuation" and/or "+numbers"; each id has its own leaderboard.
+import { WORDS } from "./words.js";
+
+const TIME_LIMITS = [15, 30, 60, 120];
+const WORD_COUNTS = [10, 25, 50, 100];
+const MODE_RE = /^(time|words)-(\d+)(\+punctuation)?(\+numbers)?$/;
+
+const MAX_PROMPT = 10000;
+const PROMPT_RE = /^[\x20-\x7E]+$/; // generated prompts are single-line printable ASCII
+const WORD_SET = new Set(WORDS);
+const NUMBER_RE = /^(0|[1-9]\d{0,3})$/; // the generator's numbers are 0–9999
+const MARK_RE = /[.?!,;:]$/; // sentence and clause marks the generator appends
+
+// returns { id, kind, amount, punctuation, numbers, timeLimitMs } or null when unknown
+export function parseMode(id) {
+  const m = typeof id === "string" && MODE_RE.exec(id);
+  if (!m) return null;
+  const kind = m[1];
+  const amount = Number(m[2]);
+  if (!(kind === "time" ? TIME_LIMITS : WORD_COUNTS).includes(amount)) return null;
+  return {
+    id,
+    kind,
+    amount,
+    punctuation: !!m[3],
+    numbers: !!m[4],
+    timeLimitMs: kind === "time" ? amount * 1000 : null
+  };
+}
+
+// one space-separated word of a generated prompt: a listed word or, with +numbers, a
+// number; with +punctuation it may be capitalised and end in a mark
+function validWord(token, { punctuation, numbers }) {
+  let word = token;
+  if (punctuation) {
+    word = word.replace(MARK_RE, "");
+    word = word.charAt(0).toLowerCase() + word.slice(1);
+  }
+  return WORD_SET.has(word) || (numbers && NUMBER_RE.test(word));
+}
+
+// the client generates the prompt, so hold it to what the generator can produce for the
+// mode: words from the bundled list, and the mode's word count
+export function validPrompt(prompt, mode) {
+  if (typeof prompt !== "string" || prompt.length > MAX_PROMPT || !PROMPT_RE.test(prompt)) return false;
+  const words = prompt.split(" ");
+  if (mode.kind === "words" && words.length !== mode.amount) return false;
+  return words.every(word => validWord(word, mode));
+}
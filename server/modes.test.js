@@ -0,0 +1,48 @@
+// server/modes.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMode, validPrompt } from "./modes.js";
+import { WORDS } from "./words.js";
+import { WORDS as CLIENT_WORDS, generateWords } from "../client/src/words.js";
+
+test("mode ids parse to their kind, amount and options", () => {
+  assert.deepEqual(parseMode("words-25+punctuation"), {
+    id: "words-25+punctuation",
+    kind: "words",
+    amount: 25,
+    punctuation: true,
+    numbers: false,
+    timeLimitMs: null
+  });
+  assert.equal(parseMode("time-30+numbers").timeLimitMs, 30000);
+  assert.equal(parseMode("time-31"), null);
+  assert.equal(parseMode("words-25+numbers+punctuation"), null);
+});
+
+test("the server's word list is the one the client generates prompts from", () => {
+  assert.deepEqual(WORDS, CLIENT_WORDS);
+});
+
+test("every prompt the client can generate is valid for its mode", () => {
+  for (const id of ["words-10", "words-100+punctuation", "words-50+numbers", "time-60+punctuation+numbers"]) {
+    const mode = parseMode(id);
+    const count = mode.kind === "words" ? mode.amount : 120;
+    for (let i = 0; i < 20; i++) {
+      const prompt = generateWords(count, mode);
+      assert.ok(validPrompt(prompt, mode), `${id}: ${prompt}`);
+    }
+  }
+});
+
+test("prompts outside the word list or the mode are rejected", () => {
+  const words = parseMode("words-10");
+  assert.ok(validPrompt("the be of and a to in he have it", words));
+  assert.ok(!validPrompt("the be of and a to in he have", words), "too few words");
+  assert.ok(!validPrompt("aaaa be of and a to in he have it", words), "not a listed word");
+  assert.ok(!validPrompt("The be of and a to in he have it.", words), "punctuation without +punctuation");
+  assert.ok(!validPrompt("the be of and 42 to in he have it", words), "a number without +numbers");
+  assert.ok(validPrompt("The be of, and 42 to in he. Have it!", parseMode("words-10+punctuation+numbers")));
+  assert.ok(!validPrompt("tHE be", parseMode("time-15+punctuation")), "only the first letter is capitalised");
+  assert.ok(!validPrompt("the  be", parseMode("time-15")), "empty word");
+  assert.ok(!validPrompt("e e e", parseMode("time-15")));
+});
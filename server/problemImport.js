@@ -0,0 +1,261 @@
+// server/problemImport.js
+// Turns a directory of source files into problems: one per top-level function/class, or
+// per sized chunk when a definition is too long to type in one go. Used by
+// POST /api/problems/import and by `npm run import-problems -- <dir> [--match text] [--dry-run]`.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { nanoid } from "nanoid";
+import { validateProblem } from "./problems.js";
+import { openStore } from "./store.js";
+
+// extension → one of LANGUAGES; other files are ignored
+export const EXTENSIONS = {
+  ".py": "python",
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".jsx": "javascript",
+  ".java": "java",
+  ".go": "go"
+};
+
+const MAX_FILES = 500;
+const MAX_FILE_BYTES = 200 * 1024;
+// longer definitions are split further; the char cap catches long lines (generated or
+// minified code), and a single line over it is dropped
+export const MAX_LINES = 30;
+export const MAX_CHARS = 1500;
+const MIN_CHARS = 40; // shorter chunks (a lone import, a constant) aren't worth a problem
+const SKIP_DIRS = new Set(["node_modules", "__pycache__", "vendor", "build", "dist", "target"]);
+
+const PREFIX_RE = /^\s*(#|\/\/|\/\*|\*|@)/; // comments and decorators belong to the next definition
+const CLOSING_RE = /^\s*[)\]}]/;
+const BOILERPLATE_RE = /^\s*(import\b|from\s+\S+\s+import\b|package\b|#|\/\/|\/\*|\*|["']use strict["'])/;
+const CONTROL_WORDS = new Set(["if", "for", "while", "switch", "catch", "return", "with", "elif", "print"]);
+
+const isBlank = line => !line.trim();
+const indentOf = line => line.match(/^[ \t]*/)[0].replace(/\t/g, "    ").length;
+const fits = lines => lines.length <= MAX_LINES && lines.join("\n").length <= MAX_CHARS;
+
+function dedent(lines) {
+  const depth = Math.min(...lines.filter(l => !isBlank(l)).map(indentOf));
+  return lines.map(l => l.replace(/\t/g, "    ").slice(depth));
+}
+
+function trimBlank(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && isBlank(lines[start])) start++;
+  while (end > start && isBlank(lines[end - 1])) end--;
+  return lines.slice(start, end);
+}
+
+// groups lines into definitions that start at the shallowest indentation and run
+// through deeper, blank and closing-bracket lines
+function topLevel(lines) {
+  const depth = Math.min(...lines.filter(l => !isBlank(l)).map(indentOf));
+  const groups = [];
+  let current = null;
+  let prefixOnly = false;
+  for (const line of lines) {
+    const starts = !isBlank(line) && indentOf(line) <= depth && !CLOSING_RE.test(line);
+    if (starts && !(current && prefixOnly)) {
+      current = [];
+      groups.push(current);
+      prefixOnly = true;
+    }
+    if (!current) continue;
+    current.push(line);
+    if (!isBlank(line) && !PREFIX_RE.test(line)) prefixOnly = false;
+  }
+  return groups.map(trimBlank).filter(g => g.length);
+}
+
+// cuts a long run of lines into pieces of at most MAX_LINES and MAX_CHARS, preferring blank lines
+function bySize(lines) {
+  const pieces = [];
+  let rest = lines;
+  while (!fits(rest)) {
+    // the most lines that fit, but at least one
+    let limit = 1;
+    while (limit < rest.length && fits(rest.slice(0, limit + 1))) limit++;
+    let cut = limit;
+    for (let i = limit - 1; i >= limit / 2; i--) {
+      if (isBlank(rest[i])) {
+        cut = i;
+        break;
+      }
+    }
+    pieces.push(trimBlank(rest.slice(0, cut)));
+    rest = trimBlank(rest.slice(cut));
+  }
+  if (rest.length) pieces.push(rest);
+  return pieces;
+}
+
+// members worth a snippet each: several multi-line ones (methods) making up most of the
+// body, rather than a run of one-line statements that would each be too short to keep
+function hasDefinitions(body, members) {
+  const nested = members.filter(m => m.length > 1);
+  return nested.length > 1 && nested.flat().length * 2 >= body.length;
+}
+
+// a definition that's too long is split into its members (e.g. a Java class into its
+// methods); when that doesn't help it is cut by size
+function split(lines) {
+  const chunks = [];
+  for (const group of topLevel(lines)) {
+    if (fits(dedent(group))) {
+      chunks.push(dedent(group));
+      continue;
+    }
+    const body = trimBlank(group.slice(1, CLOSING_RE.test(group.at(-1)) ? -1 : undefined));
+    const members = body.length ? topLevel(body) : [];
+    if (hasDefinitions(body, members)) chunks.push(...split(body));
+    else chunks.push(...bySize(dedent(group)));
+  }
+  return chunks;
+}
+
+function nameOf(code) {
+  const first = code.split("\n").find(l => !isBlank(l) && !PREFIX_RE.test(l)) || "";
+  const keyword = first.match(/\b(?:def|function\*?|class|func|interface|enum|type)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)/);
+  if (keyword) return keyword[1];
+  const assigned = first.match(/([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s+)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>)/);
+  if (assigned) return assigned[1];
+  const call = [...first.matchAll(/([A-Za-z_$][\w$]*)\s*\(/g)].find(m => !CONTROL_WORDS.has(m[1]));
+  return call ? call[1] : null;
+}
+
+function difficultyOf(code) {
+  const lines = code.split("\n").length;
+  return lines <= 8 ? "easy" : lines <= 20 ? "medium" : "hard";
+}
+
+// snippets equal up to trailing whitespace count as the same
+const snippetKey = (language, code) => `${language}\n${code.split("\n").map(l => l.trimEnd()).join("\n").trim()}`;
+
+/**
+ * Split one source file into problem snippets.
+ * Returns [{ title, code, difficulty }] with no more than MAX_LINES lines and MAX_CHARS
+ * chars each; boilerplate-only chunks are dropped.
+ */
+export function splitSource(source, fileName) {
+  const lines = source.replace(/\r\n/g, "\n").split("\n");
+  if (!lines.some(l => !isBlank(l))) return [];
+  const base = path.basename(fileName);
+  const chunks = split(lines)
+    .map(chunk => chunk.join("\n"))
+    .filter(code => code.trim().length >= MIN_CHARS && code.length <= MAX_CHARS)
+    .filter(code => code.split("\n").some(l => !isBlank(l) && !BOILERPLATE_RE.test(l)));
+  const seen = new Map();
+  return chunks.map((code, i) => {
+    const name = nameOf(code) || `part ${i + 1}`;
+    // overloads and repeated chunks get a counter so titles stay distinct
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    const title = `${name}${n > 1 ? ` #${n}` : ""} (${base})`;
+    return { title, code, difficulty: difficultyOf(code) };
+  });
+}
+
+async function listSourceFiles(root) {
+  const files = [];
+  async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (files.length >= MAX_FILES) return;
+      if (entry.name.startsWith(".")) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) await walk(full);
+      } else if (entry.isFile() && EXTENSIONS[path.extname(entry.name).toLowerCase()]) {
+        files.push(full);
+      }
+    }
+  }
+  await walk(root);
+  return files;
+}
+
+/**
+ * Import every supported source file under `dir` as problems.
+ * options: match (case-insensitive substring of the relative path or snippet title),
+ * language (only that language), dryRun (report without writing).
+ * Returns { files, imported: [{ id, title, language, source }], duplicates, invalid },
+ * or { error: "invalid_dir" }.
+ */
+export async function importProblemDir(store, dir, { match, language, dryRun = false } = {}) {
+  const root = path.resolve(dir);
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat?.isDirectory()) return { error: "invalid_dir" };
+
+  const known = new Set();
+  for (const p of await store.listProblems()) {
+    for (const [lang, code] of Object.entries(p.variants || {})) known.add(snippetKey(lang, code));
+  }
+
+  const needle = typeof match === "string" && match ? match.toLowerCase() : null;
+  const result = { files: 0, imported: [], duplicates: 0, invalid: 0 };
+  for (const file of await listSourceFiles(root)) {
+    const lang = EXTENSIONS[path.extname(file).toLowerCase()];
+    if (language && lang !== language) continue;
+    const source = path.relative(root, file);
+    if ((await fs.stat(file)).size > MAX_FILE_BYTES) {
+      result.invalid++;
+      continue;
+    }
+    result.files++;
+    for (const snippet of splitSource(await fs.readFile(file, "utf8"), file)) {
+      if (needle && !source.toLowerCase().includes(needle) && !snippet.title.toLowerCase().includes(needle)) continue;
+      const key = snippetKey(lang, snippet.code);
+      if (known.has(key)) {
+        result.duplicates++;
+        continue;
+      }
+      const { error, value } = validateProblem({
+        title: snippet.title.slice(0, 120),
+        text: `Imported from ${source}.`,
+        variants: { [lang]: snippet.code },
+        difficulty: snippet.difficulty
+      });
+      if (error) {
+        result.invalid++;
+        continue;
+      }
+      known.add(key);
+      const problem = { id: nanoid(10), ...value };
+      if (!dryRun) await store.createProblem(problem);
+      result.imported.push({ id: problem.id, title: problem.title, language: lang, source });
+    }
+  }
+  return result;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? undefined : args.splice(i, 2)[1];
+  };
+  const dryRun = args.includes("--dry-run");
+  const options = { match: flag("--match"), language: flag("--language"), dryRun };
+  const dir = args.find(a => !a.startsWith("--"));
+  if (!dir) {
+    console.error("usage: npm run import-problems -- <dir> [--match text] [--language python] [--dry-run]");
+    process.exit(1);
+  }
+  const store = openStore();
+  const result = await importProblemDir(store, dir, options);
+  if (result.error) {
+    console.error(`Not a directory: ${dir}`);
+  } else {
+    for (const p of result.imported) console.log(`${dryRun ? "would import" : "imported"} ${p.title} [${p.language}] from ${p.source}`);
+    console.log(
+      `${result.imported.length} new, ${result.duplicates} already present, ${result.invalid} skipped, ${result.files} files`
+    );
+  }
+  await store.close();
+}
@@ -0,0 +1,127 @@
+// server/problemImport.test.js — run with `npm test`
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { splitSource, importProblemDir, MAX_LINES, MAX_CHARS } from "./problemImport.js";
+import { createSqliteStore } from "./sqliteStore.js";
+
+// a python function with `n` body lines
+function pyFunction(name, n, line = i => `    total = total + ${i}`) {
+  return [`def ${name}(total):`, ...Array.from({ length: n }, (_, i) => line(i)), "    return total"].join("\n");
+}
+
+const lineCount = code => code.split("\n").length;
+
+test("each top-level definition becomes a snippet named after it", () => {
+  const source = `import os\n\n${pyFunction("first", 4)}\n\n\n${pyFunction("second", 12)}\n`;
+  const snippets = splitSource(source, "src/calc.py");
+  assert.deepEqual(
+    snippets.map(s => [s.title, s.difficulty]),
+    [
+      ["first (calc.py)", "easy"],
+      ["second (calc.py)", "medium"]
+    ]
+  );
+  assert.equal(snippets[0].code, pyFunction("first", 4));
+});
+
+test("a class too long to type in one go is split into its methods", () => {
+  const method = (name, n) => pyFunction(name, n).split("\n").map(l => `    ${l}`).join("\n");
+  const source = `class Shapes:\n${method("area", 14)}\n\n${method("perimeter", 14)}\n\n${method("volume", 14)}\n`;
+  const snippets = splitSource(source, "shapes.py");
+  assert.deepEqual(snippets.map(s => s.title), ["area (shapes.py)", "perimeter (shapes.py)", "volume (shapes.py)"]);
+  assert.ok(snippets.every(s => s.code.startsWith("def ")), "methods are dedented");
+});
+
+test(`a long definition is cut into pieces of at most ${MAX_LINES} lines, at blank lines when it can`, () => {
+  const body = Array.from({ length: 70 }, (_, i) => (i % 20 === 19 ? "" : `    total = total + ${i}`));
+  const source = ["def long(total):", ...body, "    return total"].join("\n");
+  const snippets = splitSource(source, "long.py");
+  assert.ok(snippets.length >= 3);
+  assert.ok(snippets.every(s => lineCount(s.code) <= MAX_LINES));
+  assert.equal(lineCount(snippets[0].code), 20); // cut at the first blank line, not at line 30
+  assert.equal(snippets[0].title, "long (long.py)");
+  assert.equal(snippets[1].title, "part 2 (long.py)"); // later pieces have no definition line to name them
+});
+
+test(`pieces are also capped at ${MAX_CHARS} chars, and a single line over it is dropped`, () => {
+  const wide = pyFunction("wide", 20, i => `    total = total + ${String(i).padStart(3, "0")} + ${"x".repeat(150)}`);
+  assert.ok(lineCount(wide) <= MAX_LINES && wide.length > MAX_CHARS);
+  const snippets = splitSource(wide, "wide.py");
+  assert.ok(snippets.length >= 2);
+  assert.ok(snippets.every(s => s.code.length <= MAX_CHARS));
+
+  const minified = `function m(){${"a=a+1;".repeat(400)}}`;
+  assert.deepEqual(splitSource(minified, "bundle.min.js"), []);
+});
+
+test("boilerplate, tiny chunks and empty files give no snippets", () => {
+  assert.deepEqual(splitSource("", "empty.py"), []);
+  assert.deepEqual(splitSource("import os\nimport sys\nfrom x import y\n", "imports.py"), []);
+  assert.deepEqual(splitSource("X = 1\n", "const.py"), []);
+});
+
+test("java methods and go funcs are named from their signatures", () => {
+  const java = `public class Box {\n${Array.from({ length: 3 }, (_, k) =>
+    [`    public int size${k}(int a) {`, ...Array.from({ length: 12 }, (_, i) => `        a = a + ${i};`), "        return a;", "    }"].join("\n")
+  ).join("\n\n")}\n}\n`;
+  assert.deepEqual(splitSource(java, "Box.java").map(s => s.title), ["size0 (Box.java)", "size1 (Box.java)", "size2 (Box.java)"]);
+  const go = "func Sum(xs []int) int {\n\ttotal := 0\n\tfor _, x := range xs {\n\t\ttotal += x\n\t}\n\treturn total\n}\n";
+  assert.equal(splitSource(go, "sum.go")[0].title, "Sum (sum.go)");
+});
+
+let dir;
+let store;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "typing-import-"));
+  await fs.mkdir(path.join(dir, "lib"));
+  await fs.mkdir(path.join(dir, "node_modules"));
+  await fs.writeFile(path.join(dir, "lib", "calc.py"), `${pyFunction("add", 4)}\n\n${pyFunction("sub", 4)}\n`);
+  await fs.writeFile(path.join(dir, "lib", "util.js"), "function twice(x) {\n  const y = x * 2;\n  return y + 0;\n}\n");
+  await fs.writeFile(path.join(dir, "node_modules", "dep.js"), "function dep(x) {\n  return x + 1 + 2 + 3 + 4 + 5;\n}\n");
+  await fs.writeFile(path.join(dir, "notes.txt"), "not source");
+  await fs.writeFile(path.join(dir, "huge.py"), `# ${"x".repeat(210 * 1024)}\n`);
+});
+
+after(async () => {
+  await store?.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("a directory import creates valid problems and skips duplicates, oversize files and vendored code", async () => {
+  store = createSqliteStore(":memory:");
+  await store.createProblem({ id: "p1", title: "Add", text: "", variants: { python: `${pyFunction("add", 4)}   \n` }, difficulty: "easy" });
+
+  const dry = await importProblemDir(store, dir, { dryRun: true });
+  assert.equal((await store.listProblems()).length, 1, "a dry run writes nothing");
+
+  const result = await importProblemDir(store, dir);
+  assert.deepEqual(result.imported.map(p => [p.title, p.language, p.source]), [
+    ["sub (calc.py)", "python", path.join("lib", "calc.py")],
+    ["twice (util.js)", "javascript", path.join("lib", "util.js")]
+  ]);
+  assert.deepEqual(dry.imported.map(p => p.title), result.imported.map(p => p.title));
+  assert.equal(result.duplicates, 1); // add(), equal up to trailing whitespace
+  assert.equal(result.invalid, 1); // huge.py
+  assert.equal(result.files, 2);
+
+  const twice = (await store.listProblems()).find(p => p.title === "twice (util.js)");
+  assert.deepEqual(twice.variants, { javascript: "function twice(x) {\n  const y = x * 2;\n  return y + 0;\n}" });
+  assert.equal(twice.text, `Imported from ${path.join("lib", "util.js")}.`);
+  assert.deepEqual(twice.tags, []);
+
+  assert.equal((await importProblemDir(store, dir)).imported.length, 0, "a second run finds only duplicates");
+});
+
+test("imports can be narrowed by match and language, and need a directory", async () => {
+  const fresh = createSqliteStore(":memory:");
+  assert.deepEqual((await importProblemDir(fresh, dir, { match: "SUB", dryRun: true })).imported.map(p => p.title), ["sub (calc.py)"]);
+  assert.deepEqual((await importProblemDir(fresh, dir, { language: "javascript", dryRun: true })).imported.map(p => p.title), [
+    "twice (util.js)"
+  ]);
+  assert.deepEqual(await importProblemDir(fresh, path.join(dir, "notes.txt")), { error: "invalid_dir" });
+  await fresh.close();
+});
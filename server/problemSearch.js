@@ -0,0 +1,63 @@
+// server/problemSearch.js
+// Search, filters, sorting and offset pagination for GET /api/problems.
+import { DIFFICULTIES, LANGUAGES, resolveVariant } from "./problems.js";
+
+export const SORTS = ["default", "title", "difficulty", "length"];
+export const MAX_LIMIT = 100;
+
+// chars to type for `problem` in `language` (its first variant when it has none of that language)
+export function problemLength(problem, language) {
+  return [...resolveVariant(problem, language).text].length;
+}
+
+// every whitespace-separated term must appear in the title, description or tags
+function matches(problem, terms) {
+  const haystack = [problem.title, problem.text, ...(problem.tags || [])].join("\n").toLowerCase();
+  return terms.every(t => haystack.includes(t));
+}
+
+const COMPARE = {
+  title: (a, b) => a.title.localeCompare(b.title),
+  difficulty: (a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty),
+  length: (a, b) => a.length - b.length
+};
+
+/**
+ * Parse the query string of GET /api/problems.
+ * Returns { error } with a 400 code, or { value } with q, tag, difficulty, language,
+ * sort, offset and limit (null = everything).
+ */
+export function parseProblemQuery(query) {
+  const { q = "", tag = "", difficulty = "", language = "" } = query;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) return { error: "invalid_difficulty" };
+  if (language && !LANGUAGES.includes(language)) return { error: "invalid_language" };
+  const sort = query.sort || "default";
+  if (!SORTS.includes(sort)) return { error: "invalid_sort" };
+  const offset = query.offset ? Number(query.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) return { error: "invalid_offset" };
+  const limit = query.limit ? Number(query.limit) : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) return { error: "invalid_limit" };
+  return { value: { q: String(q), tag: String(tag).toLowerCase(), difficulty, language, sort, offset, limit } };
+}
+
+/**
+ * Filters, sorts and pages `problems` (in insertion order).
+ * Returns { items, total } where total counts every match, not just this page.
+ * Items carry `length`, the chars to type in `language` (or their first variant).
+ */
+export function queryProblems(problems, { q = "", tag = "", difficulty = "", language = "", sort = "default", offset = 0, limit = null } = {}) {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const found = problems
+    .filter(
+      p =>
+        (!terms.length || matches(p, terms)) &&
+        (!tag || (p.tags || []).includes(tag)) &&
+        (!difficulty || p.difficulty === difficulty) &&
+        (!language || typeof p.variants?.[language] === "string")
+    )
+    .map(p => ({ ...p, length: problemLength(p, language) }));
+  // Array#sort is stable, so ties keep insertion order
+  if (sort !== "default") found.sort(COMPARE[sort]);
+  const items = limit === null ? found.slice(offset) : found.slice(offset, offset + limit);
+  return { items, total: found.length };
+}
@@ -0,0 +1,83 @@
+// server/problemSearch.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_LIMIT, parseProblemQuery, queryProblems } from "./problemSearch.js";
+import { startTestServer } from "./testServer.js";
+
+const problems = [
+  { id: "a", title: "Reverse a string", text: "Return it backwards.", variants: { python: "def r(s):\n    return s[::-1]", go: "func r() {}" }, difficulty: "easy", tags: ["strings"] },
+  { id: "b", title: "Binary search", text: "Find the index in a sorted list.", variants: { javascript: "function search() {}" }, difficulty: "medium", tags: ["algorithms", "arrays"] },
+  { id: "c", title: "Anagrams", text: "Group words by their letters.", variants: { python: "x" }, difficulty: "hard", tags: ["strings", "hash-map"] },
+  { id: "d", title: "Describe a string", text: "No code here.", variants: {}, difficulty: "easy", tags: [] }
+];
+const ids = (query = {}) => queryProblems(problems, parseProblemQuery(query).value).items.map(p => p.id);
+
+test("every search term must appear in the title, description or tags", () => {
+  assert.deepEqual(ids({ q: "string" }), ["a", "c", "d"]);
+  assert.deepEqual(ids({ q: "  STRING   reverse " }), ["a"]);
+  assert.deepEqual(ids({ q: "hash-map" }), ["c"]);
+  assert.deepEqual(ids({ q: "sorted list" }), ["b"]);
+  assert.deepEqual(ids({ q: "string sorted" }), []);
+  assert.deepEqual(ids({ q: "" }), ["a", "b", "c", "d"]);
+});
+
+test("tag, difficulty and language filters combine", () => {
+  assert.deepEqual(ids({ tag: "Strings" }), ["a", "c"]);
+  assert.deepEqual(ids({ tag: "string" }), [], "tags match whole");
+  assert.deepEqual(ids({ difficulty: "easy" }), ["a", "d"]);
+  assert.deepEqual(ids({ language: "python" }), ["a", "c"]);
+  assert.deepEqual(ids({ language: "python", tag: "strings", difficulty: "hard" }), ["c"]);
+  assert.deepEqual(ids({ language: "java" }), []);
+});
+
+test("sorts by title, difficulty or length in the chosen language, ties in insertion order", () => {
+  assert.deepEqual(ids({ sort: "title" }), ["c", "b", "d", "a"]);
+  assert.deepEqual(ids({ sort: "difficulty" }), ["a", "d", "b", "c"]);
+  assert.deepEqual(ids({ sort: "length", language: "python" }), ["c", "a"]);
+  assert.deepEqual(queryProblems(problems, { language: "go" }).items.map(p => [p.id, p.length]), [["a", 11]]);
+  // unfiltered, a problem is measured by its first variant, or its description
+  const { items } = queryProblems(problems, { sort: "length" });
+  assert.deepEqual(items.map(p => [p.id, p.length]), [["c", 1], ["d", 13], ["b", 20], ["a", 28]]);
+});
+
+test("offset and limit page the matches; total counts them all", () => {
+  const page = query => queryProblems(problems, parseProblemQuery(query).value);
+  assert.deepEqual(page({ limit: "2" }), { items: page({}).items.slice(0, 2), total: 4 });
+  assert.deepEqual(page({ offset: "2", limit: "2" }).items.map(p => p.id), ["c", "d"]);
+  assert.deepEqual(page({ offset: "3", limit: "2" }).items.map(p => p.id), ["d"]);
+  assert.deepEqual(page({ offset: "10" }), { items: [], total: 4 });
+  assert.equal(page({ q: "string", limit: "1" }).total, 3);
+});
+
+test("bad parameters are rejected with their own error code", () => {
+  assert.deepEqual(parseProblemQuery({}).value, { q: "", tag: "", difficulty: "", language: "", sort: "default", offset: 0, limit: null });
+  assert.equal(parseProblemQuery({ limit: String(MAX_LIMIT) }).value.limit, MAX_LIMIT);
+  const cases = [
+    [{ difficulty: "extreme" }, "invalid_difficulty"],
+    [{ language: "cobol" }, "invalid_language"],
+    [{ sort: "random" }, "invalid_sort"],
+    [{ offset: "-1" }, "invalid_offset"],
+    [{ offset: "1.5" }, "invalid_offset"],
+    [{ offset: "x" }, "invalid_offset"],
+    [{ limit: "0" }, "invalid_limit"],
+    [{ limit: String(MAX_LIMIT + 1) }, "invalid_limit"],
+    [{ limit: "ten" }, "invalid_limit"]
+  ];
+  for (const [query, code] of cases) assert.equal(parseProblemQuery(query).error, code, JSON.stringify(query));
+});
+
+test("GET /api/problems sends the page and the total in X-Total-Count", async () => {
+  const api = await startTestServer();
+  try {
+    const all = await api.request("GET", "/api/problems");
+    const page = await api.request("GET", "/api/problems?limit=2&offset=1");
+    assert.equal(page.status, 200);
+    assert.equal(page.headers.get("X-Total-Count"), String(all.body.length));
+    assert.deepEqual(page.body.map(p => p.id), all.body.slice(1, 3).map(p => p.id));
+    const bad = await api.request("GET", "/api/problems?limit=1000");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "invalid_limit");
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,66 @@
+// server/problems.js
+// Problem validation and per-language variant helpers.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+export const LANGUAGES = ["python", "javascript", "java", "go"];
+
+const MAX_TITLE = 120;
+const MAX_TEXT = 2000;
+export const MAX_CODE = 10000;
+const MAX_TAGS = 8;
+// lowercase words joined by dashes, e.g. "strings", "hash-map", "sql"
+const TAG_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_TAG = 30;
+
+/**
+ * Validate the editable fields of a problem.
+ * `variants` maps a language from LANGUAGES to its code snippet; `tags` is an
+ * optional list of topic tags (trimmed and lowercased, duplicates dropped).
+ * Returns { error } with a field-specific code, or { value } holding only the
+ * accepted fields (trimmed title, blank variants dropped).
+ */
+export function validateProblem(body) {
+  if (!body || typeof body !== "object") return { error: "invalid" };
+  const { title, text, variants = {}, difficulty, tags = [] } = body;
+
+  if (typeof title !== "string" || !title.trim() || title.length > MAX_TITLE) return { error: "invalid_title" };
+  if (typeof text !== "string" || !text.trim() || text.length > MAX_TEXT) return { error: "invalid_text" };
+  if (!variants || typeof variants !== "object" || Array.isArray(variants)) return { error: "invalid_variants" };
+  for (const [language, code] of Object.entries(variants)) {
+    if (!LANGUAGES.includes(language)) return { error: "invalid_language" };
+    if (code !== null && (typeof code !== "string" || code.length > MAX_CODE)) return { error: "invalid_code" };
+  }
+  if (!DIFFICULTIES.includes(difficulty)) return { error: "invalid_difficulty" };
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== "string")) return { error: "invalid_tags" };
+  const keptTags = [...new Set(tags.map(t => t.trim().toLowerCase()))];
+  if (keptTags.length > MAX_TAGS || keptTags.some(t => t.length > MAX_TAG || !TAG_RE.test(t))) return { error: "invalid_tags" };
+
+  // the typing view prefers a variant over `text`, so blank snippets must not be stored
+  const kept = {};
+  for (const language of LANGUAGES) {
+    const code = variants[language];
+    if (typeof code === "string" && code.trim()) kept[language] = code.replace(/\r\n/g, "\n");
+  }
+  return { value: { title: title.trim(), text, variants: kept, difficulty, tags: keptTags } };
+}
+
+/**
+ * The text to type for `problem` in the requested language.
+ * Falls back to the first available variant, then to the plain description
+ * (language null) for problems that have no code at all.
+ */
+export function resolveVariant(problem, language) {
+  const variants = problem.variants || {};
+  if (typeof variants[language] === "string") return { language, text: variants[language] };
+  const first = LANGUAGES.find(l => typeof variants[l] === "string");
+  if (first) return { language: first, text: variants[first] };
+  return { language: null, text: problem.text ?? "" };
+}
+
+// pre-variant problems kept their Python snippet in `code`
+export function migrateProblem(problem) {
+  if (problem.variants) return false;
+  problem.variants = typeof problem.code === "string" && problem.code.trim() ? { python: problem.code } : {};
+  delete problem.code;
+  return true;
+}
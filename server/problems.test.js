@@ -0,0 +1,66 @@
+// server/problems.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_CODE, resolveVariant, validateProblem } from "./problems.js";
+
+const valid = { title: "Two sum", text: "Find two numbers that add up.", variants: { python: "def f():\n    pass" }, difficulty: "easy" };
+
+test("a valid problem keeps only its accepted fields, trimmed", () => {
+  const { error, value } = validateProblem({ ...valid, title: "  Two sum  ", id: "p9", extra: true });
+  assert.equal(error, undefined);
+  assert.deepEqual(value, { title: "Two sum", text: valid.text, variants: valid.variants, difficulty: "easy", tags: [] });
+});
+
+test("each field is checked with its own error code", () => {
+  const cases = [
+    [null, "invalid"],
+    ["Two sum", "invalid"],
+    [{ ...valid, title: "   " }, "invalid_title"],
+    [{ ...valid, title: "x".repeat(121) }, "invalid_title"],
+    [{ ...valid, text: undefined }, "invalid_text"],
+    [{ ...valid, text: "x".repeat(2001) }, "invalid_text"],
+    [{ ...valid, variants: ["def f(): pass"] }, "invalid_variants"],
+    [{ ...valid, variants: null }, "invalid_variants"],
+    [{ ...valid, variants: { cobol: "DISPLAY 'HI'." } }, "invalid_language"],
+    [{ ...valid, variants: { python: 42 } }, "invalid_code"],
+    [{ ...valid, variants: { python: "x".repeat(MAX_CODE + 1) } }, "invalid_code"],
+    [{ ...valid, difficulty: "extreme" }, "invalid_difficulty"],
+    [{ ...valid, tags: "strings" }, "invalid_tags"],
+    [{ ...valid, tags: [1] }, "invalid_tags"],
+    [{ ...valid, tags: ["hash map"] }, "invalid_tags"],
+    [{ ...valid, tags: ["-strings"] }, "invalid_tags"],
+    [{ ...valid, tags: ["t".repeat(31)] }, "invalid_tags"],
+    [{ ...valid, tags: ["a", "b", "c", "d", "e", "f", "g", "h", "i"] }, "invalid_tags"]
+  ];
+  for (const [body, code] of cases) assert.equal(validateProblem(body).error, code, JSON.stringify(body)?.slice(0, 80));
+});
+
+test("the longest allowed title, text and code are accepted", () => {
+  const { error } = validateProblem({
+    ...valid,
+    title: "x".repeat(120),
+    text: "x".repeat(2000),
+    variants: { go: "x".repeat(MAX_CODE) }
+  });
+  assert.equal(error, undefined);
+});
+
+test("blank and null variants are dropped and line endings normalised", () => {
+  const { value } = validateProblem({
+    ...valid,
+    variants: { python: "a = 1\r\nb = 2", javascript: "   \n", java: null, go: "" }
+  });
+  assert.deepEqual(value.variants, { python: "a = 1\nb = 2" });
+});
+
+test("tags are trimmed, lowercased and deduplicated", () => {
+  const { value } = validateProblem({ ...valid, tags: [" Strings", "strings", "hash-map", "HASH-MAP "] });
+  assert.deepEqual(value.tags, ["strings", "hash-map"]);
+});
+
+test("resolveVariant falls back to the first variant, then to the description", () => {
+  const problem = { text: "Describe it.", variants: { java: "class A {}", go: "package a" } };
+  assert.deepEqual(resolveVariant(problem, "go"), { language: "go", text: "package a" });
+  assert.deepEqual(resolveVariant(problem, "python"), { language: "java", text: "class A {}" });
+  assert.deepEqual(resolveVariant({ text: "Describe it.", variants: {} }, "python"), { language: null, text: "Describe it." });
+});
@@ -0,0 +1,241 @@
+// server/races.js
+// Live typing races over WebSockets at /ws/races?token=<session token>.
+//
+// Client -> server: { type: "create", problemId, language } | { type: "join", roomId }
+//   | { type: "leave" } | { type: "start" } (host only) | { type: "progress", pos }
+//   | { type: "finish", attempt } (the typing fields of a POST /api/attempts body: see RACE_FIELDS)
+// Server -> client: { type: "hello", racerId } | { type: "room", room } (full snapshot)
+//   | { type: "countdown", startsIn } | { type: "start", raceId } | { type: "progress", racerId, pos }
+//   | { type: "results", room } | { type: "left" } | { type: "error", error }
+import { WebSocketServer } from "ws";
+import { customAlphabet, nanoid } from "nanoid";
+import { resolveVariant } from "./problems.js";
+
+const COUNTDOWN_MS = 3000;
+const MAX_RACERS = 8;
+const RACE_TIMEOUT_MS = 10 * 60 * 1000; // anyone still typing after this is left unplaced
+const HEARTBEAT_MS = 30000;
+// short, unambiguous join codes that are easy to read out to a teammate
+const newRoomId = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", 5);
+// what a finish may say about the run; the room decides the rest (problem, language), and
+// a race result is never a daily entry or an outbox upload (daily, clientId)
+const RACE_FIELDS = ["wpm", "accuracy", "rawText", "durationMs", "keystrokes", "autoIndent", "strictness"];
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function snapshot(room) {
+  return {
+    id: room.id,
+    problemId: room.problemId,
+    language: room.language,
+    length: room.length,
+    hostId: room.hostId,
+    state: room.state,
+    raceId: room.raceId,
+    racers: [...room.racers.values()].map(r => ({
+      id: r.id,
+      name: r.name,
+      pos: r.pos,
+      finished: r.finished,
+      place: r.place,
+      wpm: r.wpm,
+      accuracy: r.accuracy,
+      verified: r.verified,
+      attemptId: r.attemptId,
+      error: r.error
+    }))
+  };
+}
+
+function broadcast(room, msg) {
+  for (const r of room.racers.values()) send(r.ws, msg);
+}
+
+function resetRacer(racer) {
+  Object.assign(racer, { pos: 0, finished: false, place: null, wpm: null, accuracy: null, verified: null, attemptId: null, error: null });
+}
+
+/**
+ * Attaches the race WebSocket endpoint to the HTTP server.
+ * Storage stays in index.js; this module only needs:
+ *  - userForToken(token) -> user | null
+ *  - findProblem(id) -> problem | null
+ *  - recordAttempt(user, body, extra) -> { attempt } | { error }
+ * Returns the WebSocketServer (closing it stops the heartbeat).
+ */
+export function attachRaces(server, { userForToken, findProblem, recordAttempt }) {
+  const wss = new WebSocketServer({ server, path: "/ws/races" });
+  const rooms = new Map(); // room id -> room
+
+  // drop connections that stopped answering pings (closed laptop lids, lost wifi)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.alive === false) {
+        ws.terminate();
+        continue;
+      }
+      ws.alive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  function clearTimers(room) {
+    clearTimeout(room.countdownTimer);
+    clearTimeout(room.raceTimer);
+  }
+
+  // the race ends once every racer still in the room has finished (or the timeout hits)
+  function endRaceIfDone(room, force = false) {
+    if (room.state !== "racing") return;
+    if (!force && [...room.racers.values()].some(r => !r.finished)) return;
+    clearTimers(room);
+    room.state = "finished";
+    broadcast(room, { type: "results", room: snapshot(room) });
+  }
+
+  function leave(racer) {
+    const room = racer.room;
+    if (!room) return;
+    room.racers.delete(racer.id);
+    racer.room = null;
+    if (room.racers.size === 0) {
+      clearTimers(room);
+      rooms.delete(room.id);
+      return;
+    }
+    if (room.hostId === racer.id) room.hostId = room.racers.keys().next().value;
+    broadcast(room, { type: "room", room: snapshot(room) });
+    endRaceIfDone(room);
+  }
+
+  function join(racer, room) {
+    if (room.state !== "waiting" && room.state !== "finished") return "race_in_progress";
+    if (room.racers.size >= MAX_RACERS) return "room_full";
+    leave(racer);
+    resetRacer(racer);
+    racer.room = room;
+    room.racers.set(racer.id, racer);
+    broadcast(room, { type: "room", room: snapshot(room) });
+    return null;
+  }
+
+  const handlers = {
+    async create(racer, msg) {
+      const problem = typeof msg.problemId === "string" ? await findProblem(msg.problemId) : null;
+      if (!problem) return "unknown_problem";
+      const { language, text } = resolveVariant(problem, msg.language);
+      const room = {
+        id: newRoomId(),
+        problemId: problem.id,
+        language,
+        length: [...text].length,
+        hostId: racer.id,
+        state: "waiting",
+        raceId: null,
+        racers: new Map()
+      };
+      rooms.set(room.id, room);
+      return join(racer, room);
+    },
+
+    join(racer, msg) {
+      const room = rooms.get(String(msg.roomId || "").toUpperCase());
+      if (!room) return "unknown_room";
+      return join(racer, room);
+    },
+
+    leave(racer) {
+      leave(racer);
+      send(racer.ws, { type: "left" });
+    },
+
+    // also starts a rematch once a race has finished
+    start(racer) {
+      const room = racer.room;
+      if (!room) return "not_in_room";
+      if (room.hostId !== racer.id) return "not_host";
+      if (room.state !== "waiting" && room.state !== "finished") return "race_in_progress";
+      room.racers.forEach(resetRacer);
+      room.state = "countdown";
+      room.raceId = nanoid();
+      broadcast(room, { type: "room", room: snapshot(room) });
+      // a relative delay, so skew between the server's and browsers' clocks doesn't matter
+      broadcast(room, { type: "countdown", startsIn: COUNTDOWN_MS });
+      room.countdownTimer = setTimeout(() => {
+        room.state = "racing";
+        broadcast(room, { type: "start", raceId: room.raceId });
+        room.raceTimer = setTimeout(() => endRaceIfDone(room, true), RACE_TIMEOUT_MS);
+      }, COUNTDOWN_MS);
+      return null;
+    },
+
+    progress(racer, msg) {
+      const room = racer.room;
+      if (!room || room.state !== "racing" || racer.finished) return null; // late packets are harmless
+      if (!Number.isInteger(msg.pos) || msg.pos < 0 || msg.pos > room.length) return "invalid_progress";
+      racer.pos = msg.pos;
+      broadcast(room, { type: "progress", racerId: racer.id, pos: racer.pos });
+      return null;
+    },
+
+    async finish(racer, msg) {
+      const room = racer.room;
+      if (!room || room.state !== "racing") return "not_racing";
+      if (racer.finished) return null;
+      racer.finished = true;
+      racer.pos = room.length;
+      const raceId = room.raceId;
+      const body = { problemId: room.problemId, language: room.language };
+      for (const field of RACE_FIELDS) if (Object.hasOwn(msg.attempt ?? {}, field)) body[field] = msg.attempt[field];
+      const { error, attempt } = await recordAttempt(racer.user, body, { raceId });
+      if (room.raceId !== raceId) return null; // the room moved on while saving
+      if (error) {
+        racer.error = error;
+      } else {
+        Object.assign(racer, { wpm: attempt.wpm, accuracy: attempt.accuracy, verified: attempt.verified, attemptId: attempt.id });
+        // only a stored, verified attempt is placed, in the order those saves complete; a
+        // rejected or unverified finish can't take a place ahead of real ones
+        if (attempt.verified) racer.place = [...room.racers.values()].filter(r => r.place).length + 1;
+      }
+      broadcast(room, { type: "room", room: snapshot(room) });
+      endRaceIfDone(room);
+      return null;
+    }
+  };
+
+  wss.on("connection", async (ws, req) => {
+    ws.alive = true;
+    ws.on("pong", () => (ws.alive = true));
+
+    const token = new URL(req.url, "http://localhost").searchParams.get("token");
+    const user = token ? await userForToken(token) : null;
+    if (!user) return ws.close(4001, "unauthorized");
+
+    const racer = { id: nanoid(8), name: user.name, user, ws, room: null };
+    resetRacer(racer);
+    ws.on("close", () => leave(racer));
+    ws.on("message", async data => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch {
+        return send(ws, { type: "error", error: "invalid_message" });
+      }
+      const handler = Object.hasOwn(handlers, msg?.type) && handlers[msg.type];
+      if (!handler) return send(ws, { type: "error", error: "unknown_type" });
+      try {
+        const error = await handler(racer, msg);
+        if (error) send(ws, { type: "error", error });
+      } catch (err) {
+        console.error("race message failed", err);
+        send(ws, { type: "error", error: "server_error" });
+      }
+    });
+    send(ws, { type: "hello", racerId: racer.id });
+  });
+
+  return wss;
+}
@@ -0,0 +1,104 @@
+// server/races.test.js — run with `npm test`
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import WebSocket from "ws";
+import { attachRaces } from "./races.js";
+
+const problem = { id: "p1", title: "F", text: "Write f.", variants: { python: "pass" }, difficulty: "easy" };
+const users = { ann: { id: "u1", name: "ann" }, bob: { id: "u2", name: "bob" } };
+let verdicts; // user name -> what recordAttempt answers for their finish
+let recorded; // the body recordAttempt was called with for each finish
+
+let server;
+let wss;
+let base;
+
+before(async () => {
+  server = http.createServer();
+  wss = attachRaces(server, {
+    userForToken: async token => users[token] || null,
+    findProblem: async id => (id === problem.id ? problem : null),
+    recordAttempt: async (user, body) => {
+      recorded.push(body);
+      return verdicts[user.name];
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `ws://localhost:${server.address().port}/ws/races`;
+});
+
+after(async () => {
+  racers.forEach(ws => ws.terminate());
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const racers = [];
+
+// a connected racer; next(type, match) resolves with the next message of that type (and match)
+async function connect(name) {
+  const ws = new WebSocket(`${base}?token=${name}`);
+  const inbox = [];
+  const waiting = [];
+  ws.on("message", data => {
+    const msg = JSON.parse(data);
+    const i = waiting.findIndex(w => w.type === msg.type && w.match(msg));
+    if (i >= 0) waiting.splice(i, 1)[0].resolve(msg);
+    else inbox.push(msg);
+  });
+  const next = (type, match = () => true) =>
+    new Promise(resolve => {
+      const i = inbox.findIndex(m => m.type === type && match(m));
+      if (i >= 0) resolve(inbox.splice(i, 1)[0]);
+      else waiting.push({ type, match, resolve });
+    });
+  racers.push(ws);
+  await next("hello");
+  return { send: msg => ws.send(JSON.stringify(msg)), next };
+}
+
+test("only verified finishes are placed, whoever reaches the server first", async () => {
+  verdicts = {
+    ann: { attempt: { id: "a1", wpm: 900, accuracy: 100, verified: false } },
+    bob: { attempt: { id: "a2", wpm: 60, accuracy: 98, verified: true } }
+  };
+  recorded = [];
+  const ann = await connect("ann");
+  const bob = await connect("bob");
+  ann.send({ type: "create", problemId: "p1", language: "python" });
+  const { room } = await ann.next("room");
+  bob.send({ type: "join", roomId: room.id });
+  await bob.next("room");
+  ann.send({ type: "start" });
+  await Promise.all([ann.next("start"), bob.next("start")]);
+
+  ann.send({ type: "finish", attempt: {} });
+  const annDone = m => m.room.racers.some(r => r.name === "ann" && r.attemptId);
+  const afterAnn = (await bob.next("room", annDone)).room.racers.find(r => r.name === "ann");
+  assert.equal(afterAnn.finished, true);
+  assert.equal(afterAnn.place, null);
+
+  bob.send({ type: "finish", attempt: {} });
+  const { room: results } = await bob.next("results");
+  const places = Object.fromEntries(results.racers.map(r => [r.name, r.place]));
+  assert.deepEqual(places, { ann: null, bob: 1 });
+});
+
+test("a finish records the room's problem and only the run's own fields", async () => {
+  verdicts = { ann: { attempt: { id: "a3", wpm: 50, accuracy: 100, verified: true } } };
+  recorded = [];
+  const ann = await connect("ann");
+  ann.send({ type: "create", problemId: "p1", language: "python" });
+  const { room } = await ann.next("room");
+  ann.send({ type: "start" });
+  await ann.next("start");
+
+  const run = { wpm: 50, accuracy: 100, rawText: "pass", durationMs: 1000, keystrokes: [], autoIndent: true, strictness: "free" };
+  ann.send({
+    type: "finish",
+    attempt: { ...run, problemId: "p9", language: "go", daily: "2026-01-15", clientId: "reused-id", mode: "words-10", prompt: "a b" }
+  });
+  await ann.next("results");
+  assert.deepEqual(recorded, [{ ...run, problemId: room.problemId, language: "python" }]);
+});
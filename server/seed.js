@@ -0,0 +1,45 @@
+// server/seed.js
+// Problems written to a fresh store. Each has the same task in several languages.
+
+export const SEED_PROBLEMS = [
+  {
+    id: "p1",
+    title: "Reverse String",
+    text: "Write a function to reverse a string.",
+    variants: {
+      python: "def reverse_string(s):\n    return s[::-1]",
+      javascript: "function reverseString(s) {\n  return s.split(\"\").reverse().join(\"\");\n}",
+      java: "public static String reverseString(String s) {\n    return new StringBuilder(s).reverse().toString();\n}",
+      go: "func reverseString(s string) string {\n    r := []rune(s)\n    for i, j := 0, len(r)-1; i < j; i, j = i+1, j-1 {\n        r[i], r[j] = r[j], r[i]\n    }\n    return string(r)\n}"
+    },
+    difficulty: "easy",
+    tags: ["strings"]
+  },
+  {
+    id: "p2",
+    title: "Two Sum",
+    text: "Given array nums and target, return indices of the two numbers such that they add up to target.",
+    variants: {
+      python: "def two_sum(nums, target):\n    lookup = {}\n    for i, num in enumerate(nums):\n        if target - num in lookup:\n            return [lookup[target - num], i]\n        lookup[num] = i",
+      javascript: "function twoSum(nums, target) {\n  const lookup = new Map();\n  for (let i = 0; i < nums.length; i++) {\n    if (lookup.has(target - nums[i])) {\n      return [lookup.get(target - nums[i]), i];\n    }\n    lookup.set(nums[i], i);\n  }\n}",
+      java: "public static int[] twoSum(int[] nums, int target) {\n    Map<Integer, Integer> lookup = new HashMap<>();\n    for (int i = 0; i < nums.length; i++) {\n        if (lookup.containsKey(target - nums[i])) {\n            return new int[] { lookup.get(target - nums[i]), i };\n        }\n        lookup.put(nums[i], i);\n    }\n    return new int[0];\n}",
+      go: "func twoSum(nums []int, target int) []int {\n    lookup := map[int]int{}\n    for i, num := range nums {\n        if j, ok := lookup[target-num]; ok {\n            return []int{j, i}\n        }\n        lookup[num] = i\n    }\n    return nil\n}"
+    },
+    difficulty: "easy",
+    tags: ["arrays", "hash-map", "algorithms"]
+  },
+  {
+    id: "p3",
+    title: "FizzBuzz",
+    text: "Write a program that prints the numbers from 1 to n. For multiples of three print 'Fizz' instead of the number and for the multiples of five print 'Buzz'.",
+    variants: {
+      python: "def fizz_buzz(n):\n    for i in range(1, n+1):\n        if i % 15 == 0:\n            print('FizzBuzz')\n        elif i % 3 == 0:\n            print('Fizz')\n        elif i % 5 == 0:\n            print('Buzz')\n        else:\n            print(i)",
+      javascript: "function fizzBuzz(n) {\n  for (let i = 1; i <= n; i++) {\n    if (i % 15 === 0) console.log(\"FizzBuzz\");\n    else if (i % 3 === 0) console.log(\"Fizz\");\n    else if (i % 5 === 0) console.log(\"Buzz\");\n    else console.log(i);\n  }\n}",
+      java: "public static void fizzBuzz(int n) {\n    for (int i = 1; i <= n; i++) {\n        if (i % 15 == 0) System.out.println(\"FizzBuzz\");\n        else if (i % 3 == 0) System.out.println(\"Fizz\");\n        else if (i % 5 == 0) System.out.println(\"Buzz\");\n        else System.out.println(i);\n    }\n}",
+      go: "func fizzBuzz(n int) {\n    for i := 1; i <= n; i++ {\n        switch {\n        case i%15 == 0:\n            fmt.Println(\"FizzBuzz\")\n        case i%3 == 0:\n            fmt.Println(\"Fizz\")\n        case i%5 == 0:\n            fmt.Println(\"Buzz\")\n        default:\n            fmt.Println(i)\n        }\n    }\n}"
+    },
+    difficulty: "easy",
+    tags: ["loops", "math"]
+  }
+  // add more seed problems if you want
+];
@@ -0,0 +1,36 @@
+// server/settings.js
+// Validation of a user's typing view settings (see client/src/settings.js for what
+// each option looks like). The server only checks values; defaults live in the client.
+
+export const THEMES = ["dark", "light", "high-contrast"];
+export const FONTS = ["system", "jetbrains-mono", "fira-code", "source-code-pro", "courier"];
+export const CARET_STYLES = ["line", "block", "underline"];
+export const CARET_MOTIONS = ["smooth", "instant"];
+
+const oneOf = list => value => list.includes(value);
+const between = (min, max) => value => typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+
+const RULES = {
+  theme: oneOf(THEMES),
+  fontFamily: oneOf(FONTS),
+  fontSize: value => Number.isInteger(value) && between(12, 28)(value),
+  lineHeight: between(1.2, 2.2),
+  caretStyle: oneOf(CARET_STYLES),
+  caretMotion: oneOf(CARET_MOTIONS)
+};
+
+/**
+ * Validate a settings object. Every field is optional; unknown fields are rejected.
+ * Returns { error: "invalid_<field>" } or { value } with the accepted fields.
+ */
+export function validateSettings(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { error: "invalid" };
+  const value = {};
+  for (const [field, v] of Object.entries(body)) {
+    const valid = RULES[field];
+    if (!valid) return { error: "unknown_setting" };
+    if (!valid(v)) return { error: `invalid_${field}` };
+    value[field] = v;
+  }
+  return { value };
+}
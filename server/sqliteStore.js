@@ -0,0 +1,289 @@
+// server/sqliteStore.js
+// SQLite implementation of the repository described in store.js (better-sqlite3).
+import Database from "better-sqlite3";
+import { migrate } from "./migrations.js";
+
+// attempt fields that have their own column; the rest are kept in `details`
+const ATTEMPT_COLUMNS = {
+  id: "id",
+  user: "user",
+  problemId: "problem_id",
+  language: "language",
+  mode: "mode",
+  raceId: "race_id",
+  clientId: "client_id",
+  daily: "daily",
+  strictness: "strictness",
+  verified: "verified",
+  wpm: "wpm",
+  rawWpm: "raw_wpm",
+  accuracy: "accuracy",
+  consistency: "consistency",
+  createdAt: "created_at"
+};
+const SUMMARY_COLUMNS = "id, user, problem_id, language, mode, race_id, client_id, daily, strictness, verified, wpm, raw_wpm, accuracy, consistency, created_at, details";
+
+function toProblem(row) {
+  return (
+    row && {
+      id: row.id,
+      title: row.title,
+      text: row.text,
+      variants: JSON.parse(row.variants),
+      difficulty: row.difficulty,
+      tags: JSON.parse(row.tags)
+    }
+  );
+}
+
+function toUser(row) {
+  return (
+    row && {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      passwordHash: row.password_hash,
+      passwordSalt: row.password_salt,
+      createdAt: row.created_at,
+      settings: row.settings ? JSON.parse(row.settings) : null
+    }
+  );
+}
+
+function toDaily(row) {
+  return row && { date: row.date, problemId: row.problem_id, scheduledBy: row.scheduled_by, createdAt: row.created_at };
+}
+
+// null columns are left out so mode attempts don't grow a `problemId: null` etc.
+function toAttempt(row) {
+  if (!row) return row;
+  const attempt = {};
+  for (const [field, column] of Object.entries(ATTEMPT_COLUMNS)) {
+    if (row[column] !== null && row[column] !== undefined) attempt[field] = row[column];
+  }
+  attempt.verified = row.verified === 1;
+  Object.assign(attempt, JSON.parse(row.details));
+  if (row.keystrokes !== undefined) attempt.keystrokes = JSON.parse(row.keystrokes);
+  if (row.analytics) attempt.analytics = JSON.parse(row.analytics);
+  return attempt;
+}
+
+function attemptParams(attempt) {
+  const { keystrokes = [], analytics = null, ...rest } = attempt;
+  const details = {};
+  for (const [field, value] of Object.entries(rest)) {
+    if (!(field in ATTEMPT_COLUMNS) && value !== undefined) details[field] = value;
+  }
+  return {
+    id: attempt.id,
+    user: attempt.user,
+    problem_id: attempt.problemId ?? null,
+    language: attempt.language ?? null,
+    mode: attempt.mode ?? null,
+    race_id: attempt.raceId ?? null,
+    client_id: attempt.clientId ?? null,
+    daily: attempt.daily ?? null,
+    strictness: attempt.strictness ?? "free",
+    verified: attempt.verified ? 1 : 0,
+    wpm: attempt.wpm,
+    raw_wpm: attempt.rawWpm ?? null,
+    accuracy: attempt.accuracy,
+    consistency: attempt.consistency ?? null,
+    created_at: attempt.createdAt,
+    details: JSON.stringify(details),
+    keystrokes: JSON.stringify(keystrokes),
+    analytics: analytics ? JSON.stringify(analytics) : null
+  };
+}
+
+// WHERE clause for listAttempts-style filters
+function attemptWhere({ user, problemId, language, mode, daily, strictness, verified, from, to } = {}) {
+  const clauses = [];
+  const params = {};
+  const add = (sql, key, value) => {
+    clauses.push(sql);
+    params[key] = value;
+  };
+  if (user) add("user = @user", "user", user);
+  if (problemId) add("problem_id = @problemId", "problemId", problemId);
+  if (language) add("language = @language", "language", language);
+  if (mode) add("mode = @mode", "mode", mode);
+  if (daily) add("daily = @daily", "daily", daily);
+  if (strictness) add("strictness = @strictness", "strictness", strictness);
+  if (verified !== undefined) add("verified = @verified", "verified", verified ? 1 : 0);
+  if (from !== undefined && from !== null) add("created_at >= @from", "from", from);
+  if (to !== undefined && to !== null) add("created_at <= @to", "to", to);
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+export function createSqliteStore(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  const stmt = {
+    listProblems: db.prepare("SELECT * FROM problems ORDER BY rowid"),
+    getProblem: db.prepare("SELECT * FROM problems WHERE id = ?"),
+    insertProblem: db.prepare(
+      "INSERT INTO problems (id, title, text, variants, difficulty, tags) VALUES (@id, @title, @text, @variants, @difficulty, @tags)"
+    ),
+    updateProblem: db.prepare(
+      "UPDATE problems SET title = @title, text = @text, variants = @variants, difficulty = @difficulty, tags = @tags WHERE id = @id"
+    ),
+    deleteProblem: db.prepare("DELETE FROM problems WHERE id = ?"),
+
+    countUsers: db.prepare("SELECT COUNT(*) AS n FROM users"),
+    getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+    findUserByName: db.prepare("SELECT * FROM users WHERE name = ?"),
+    updateUserSettings: db.prepare("UPDATE users SET settings = ? WHERE id = ?"),
+    insertUser: db.prepare(
+      "INSERT INTO users (id, name, role, password_hash, password_salt, created_at) VALUES (@id, @name, @role, @passwordHash, @passwordSalt, @createdAt)"
+    ),
+
+    insertSession: db.prepare(
+      "INSERT INTO sessions (token, user_id, created_at, expires_at) VALUES (@token, @userId, @createdAt, @expiresAt)"
+    ),
+    purgeSessions: db.prepare("DELETE FROM sessions WHERE expires_at <= ?"),
+    sessionUser: db.prepare(
+      "SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id WHERE sessions.token = ? AND sessions.expires_at > ?"
+    ),
+    deleteSession: db.prepare("DELETE FROM sessions WHERE token = ?"),
+
+    insertAttempt: db.prepare(`
+      INSERT INTO attempts (id, user, problem_id, language, mode, race_id, client_id, daily, strictness, verified, wpm, raw_wpm, accuracy, consistency, created_at, details, keystrokes, analytics)
+      VALUES (@id, @user, @problem_id, @language, @mode, @race_id, @client_id, @daily, @strictness, @verified, @wpm, @raw_wpm, @accuracy, @consistency, @created_at, @details, @keystrokes, @analytics)
+    `),
+    getAttempt: db.prepare("SELECT * FROM attempts WHERE id = ?"),
+
+    getDaily: db.prepare("SELECT * FROM daily_challenges WHERE date = ?"),
+    claimDaily: db.prepare(
+      "INSERT INTO daily_challenges (date, problem_id, scheduled_by, created_at) VALUES (@date, @problemId, @scheduledBy, @createdAt) ON CONFLICT(date) DO NOTHING"
+    ),
+    scheduleDaily: db.prepare(`
+      INSERT INTO daily_challenges (date, problem_id, scheduled_by, created_at) VALUES (@date, @problemId, @scheduledBy, @createdAt)
+      ON CONFLICT(date) DO UPDATE SET problem_id = excluded.problem_id, scheduled_by = excluded.scheduled_by, created_at = excluded.created_at
+    `),
+    listDailies: db.prepare("SELECT * FROM daily_challenges WHERE date < @before ORDER BY date DESC LIMIT @limit"),
+    getAttemptByClientId: db.prepare("SELECT * FROM attempts WHERE user = ? AND client_id = ?"),
+
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+  };
+
+  const problemParams = p => ({
+    ...p,
+    text: p.text ?? "",
+    variants: JSON.stringify(p.variants || {}),
+    tags: JSON.stringify(p.tags || [])
+  });
+
+  return {
+    async listProblems() {
+      return stmt.listProblems.all().map(toProblem);
+    },
+    async getProblem(id) {
+      return toProblem(stmt.getProblem.get(id)) || null;
+    },
+    async createProblem(problem) {
+      stmt.insertProblem.run(problemParams(problem));
+      return problem;
+    },
+    async updateProblem(problem) {
+      return stmt.updateProblem.run(problemParams(problem)).changes > 0;
+    },
+    async deleteProblem(id) {
+      return stmt.deleteProblem.run(id).changes > 0;
+    },
+
+    async countUsers() {
+      return stmt.countUsers.get().n;
+    },
+    async getUser(id) {
+      return toUser(stmt.getUser.get(id)) || null;
+    },
+    async findUserByName(name) {
+      return toUser(stmt.findUserByName.get(name)) || null;
+    },
+    async createUser(user) {
+      stmt.insertUser.run(user);
+      return user;
+    },
+    async updateUserSettings(id, settings) {
+      return stmt.updateUserSettings.run(JSON.stringify(settings), id).changes > 0;
+    },
+
+    async createSession(session) {
+      db.transaction(() => {
+        stmt.purgeSessions.run(session.createdAt);
+        stmt.insertSession.run(session);
+      })();
+      return session;
+    },
+    async findSessionUser(token, now) {
+      return toUser(stmt.sessionUser.get(token, now)) || null;
+    },
+    async deleteSession(token) {
+      stmt.deleteSession.run(token);
+    },
+
+    async addAttempt(attempt) {
+      stmt.insertAttempt.run(attemptParams(attempt));
+      return attempt;
+    },
+    async getAttempt(id) {
+      return toAttempt(stmt.getAttempt.get(id)) || null;
+    },
+    async findAttemptByClientId(user, clientId) {
+      return toAttempt(stmt.getAttemptByClientId.get(user, clientId)) || null;
+    },
+    // summaries (no keystroke log or per-key stats), oldest first
+    async listAttempts(filter) {
+      const { where, params } = attemptWhere(filter);
+      return db.prepare(`SELECT ${SUMMARY_COLUMNS} FROM attempts ${where} ORDER BY created_at, rowid`).all(params).map(toAttempt);
+    },
+    // { id, analytics } for attempts that have per-key stats (see analytics.js)
+    async listAttemptAnalytics(filter) {
+      const { where, params } = attemptWhere(filter);
+      const sql = `SELECT id, analytics FROM attempts ${where ? `${where} AND` : "WHERE"} analytics IS NOT NULL`;
+      return db.prepare(sql).all(params).map(row => ({ id: row.id, analytics: JSON.parse(row.analytics) }));
+    },
+
+    async getDaily(date) {
+      return toDaily(stmt.getDaily.get(date)) || null;
+    },
+    // two first requests of a day can race: whichever is stored first is the day's problem
+    async claimDaily(daily) {
+      stmt.claimDaily.run({ scheduledBy: null, ...daily });
+      return toDaily(stmt.getDaily.get(daily.date));
+    },
+    async scheduleDaily(daily) {
+      stmt.scheduleDaily.run({ scheduledBy: null, ...daily });
+      return daily;
+    },
+    async listDailies({ before, limit }) {
+      return stmt.listDailies.all({ before, limit }).map(toDaily);
+    },
+
+    async getMeta(key) {
+      return stmt.getMeta.get(key)?.value ?? null;
+    },
+    async setMeta(key, value) {
+      stmt.setMeta.run(key, value);
+    },
+
+    // bulk load for the db.json importer; all or nothing
+    async importData({ problems = [], users = [], sessions = [], attempts = [] }) {
+      db.transaction(() => {
+        for (const p of problems) stmt.insertProblem.run(problemParams(p));
+        for (const u of users) stmt.insertUser.run({ role: "user", ...u });
+        for (const s of sessions) stmt.insertSession.run(s);
+        for (const a of attempts) stmt.insertAttempt.run(attemptParams(a));
+      })();
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,144 @@
+// server/sqliteStore.test.js — run with `npm test`
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSqliteStore } from "./sqliteStore.js";
+
+let store;
+
+beforeEach(() => {
+  store = createSqliteStore(":memory:");
+});
+
+afterEach(() => store.close());
+
+const problem = { id: "p1", title: "Sum", text: "Add.", variants: { python: "a + b" }, difficulty: "easy", tags: ["math"] };
+const user = { id: "u1", name: "Ann", role: "user", passwordHash: "h", passwordSalt: "s", createdAt: 1 };
+
+function attempt(fields) {
+  return { id: "a1", user: "Ann", problemId: "p1", language: "python", verified: true, wpm: 60, accuracy: 98, createdAt: 1000, ...fields };
+}
+
+test("problems round-trip, in insertion order, with tags and variants", async () => {
+  const second = { id: "p0", title: "Loop", text: "", variants: {}, difficulty: "hard", tags: [] };
+  await store.createProblem(problem);
+  await store.createProblem(second);
+  assert.deepEqual(await store.listProblems(), [problem, second]);
+
+  assert.equal(await store.updateProblem({ ...problem, title: "Sum two", tags: ["math", "basics"] }), true);
+  assert.deepEqual((await store.getProblem("p1")).tags, ["math", "basics"]);
+  assert.equal(await store.updateProblem({ ...problem, id: "nope" }), false);
+
+  assert.equal(await store.deleteProblem("p0"), true);
+  assert.equal(await store.deleteProblem("p0"), false);
+  assert.equal(await store.getProblem("p0"), null);
+});
+
+test("users are found by id or by name in any case, with their settings", async () => {
+  assert.equal(await store.countUsers(), 0);
+  await store.createUser(user);
+  assert.equal(await store.countUsers(), 1);
+  assert.deepEqual(await store.getUser("u1"), { ...user, settings: null });
+  assert.equal((await store.findUserByName("ANN")).id, "u1");
+  await assert.rejects(store.createUser({ ...user, id: "u2", name: "ann" }), /UNIQUE/);
+
+  assert.equal(await store.updateUserSettings("u1", { fontSize: 18 }), true);
+  assert.deepEqual((await store.getUser("u1")).settings, { fontSize: 18 });
+  assert.equal(await store.updateUserSettings("u9", {}), false);
+});
+
+test("sessions resolve to their user until they expire or are deleted", async () => {
+  await store.createUser(user);
+  await store.createSession({ token: "t1", userId: "u1", createdAt: 100, expiresAt: 200 });
+  assert.equal((await store.findSessionUser("t1", 150)).name, "Ann");
+  assert.equal(await store.findSessionUser("t1", 200), null);
+
+  // creating a session drops the expired ones
+  await store.createSession({ token: "t2", userId: "u1", createdAt: 300, expiresAt: 400 });
+  assert.equal(await store.findSessionUser("t1", 150), null);
+  await store.deleteSession("t2");
+  assert.equal(await store.findSessionUser("t2", 350), null);
+});
+
+test("attempts keep their columns, details, log and analytics", async () => {
+  const full = attempt({
+    clientId: "c1",
+    strictness: "must-correct",
+    rawWpm: 64,
+    consistency: 80,
+    daily: "2026-10-19",
+    durationMs: 5000,
+    rawText: "a + b",
+    keystrokes: [{ t: 0, key: "a", idx: 0, expected: "a" }],
+    analytics: { keys: { a: { count: 1 } } }
+  });
+  await store.addAttempt(full);
+  assert.deepEqual(await store.getAttempt("a1"), full);
+  assert.deepEqual(await store.findAttemptByClientId("ann", "c1"), full);
+  assert.equal(await store.findAttemptByClientId("ann", "c2"), null);
+  await assert.rejects(store.addAttempt({ ...full, id: "a2" }), /UNIQUE/); // same user and client id
+
+  // summaries leave the heavy fields out; mode attempts don't grow null problem fields
+  const summary = { ...full };
+  delete summary.keystrokes;
+  delete summary.analytics;
+  assert.deepEqual(await store.listAttempts(), [summary]);
+  await store.addAttempt({ id: "m1", user: "bob", mode: "time-30", verified: false, wpm: 40, accuracy: 90, createdAt: 500 });
+  const [mode] = await store.listAttempts({ mode: "time-30" });
+  assert.deepEqual(mode, { id: "m1", user: "bob", mode: "time-30", strictness: "free", verified: false, wpm: 40, accuracy: 90, createdAt: 500 });
+  assert.deepEqual(await store.listAttemptAnalytics({ user: "ann" }), [{ id: "a1", analytics: full.analytics }]);
+});
+
+test("attempt filters combine, and from/to are inclusive", async () => {
+  await store.addAttempt(attempt({ id: "a1", createdAt: 100 }));
+  await store.addAttempt(attempt({ id: "a2", createdAt: 200, language: "go", verified: false }));
+  await store.addAttempt(attempt({ id: "a3", createdAt: 300, user: "bob", strictness: "stop-on-error", daily: "2026-10-19" }));
+  const ids = async filter => (await store.listAttempts(filter)).map(a => a.id);
+
+  assert.deepEqual(await ids(), ["a1", "a2", "a3"]);
+  assert.deepEqual(await ids({ user: "ANN" }), ["a1", "a2"]);
+  assert.deepEqual(await ids({ language: "go" }), ["a2"]);
+  assert.deepEqual(await ids({ verified: true }), ["a1", "a3"]);
+  assert.deepEqual(await ids({ strictness: "stop-on-error" }), ["a3"]);
+  assert.deepEqual(await ids({ daily: "2026-10-19" }), ["a3"]);
+  assert.deepEqual(await ids({ from: 200, to: 300 }), ["a2", "a3"]);
+  assert.deepEqual(await ids({ problemId: "p1", user: "ann", verified: true, to: 100 }), ["a1"]);
+});
+
+test("a day's challenge is claimed once, rescheduled on demand and listed newest first", async () => {
+  const day = { date: "2026-10-18", problemId: "p1", createdAt: 1 };
+  assert.deepEqual(await store.claimDaily(day), { ...day, scheduledBy: null });
+  // a second claim for the same day gets the stored pick back
+  assert.equal((await store.claimDaily({ ...day, problemId: "p2" })).problemId, "p1");
+
+  await store.scheduleDaily({ date: "2026-10-18", problemId: "p3", scheduledBy: "u1", createdAt: 2 });
+  assert.deepEqual(await store.getDaily("2026-10-18"), { date: "2026-10-18", problemId: "p3", scheduledBy: "u1", createdAt: 2 });
+
+  await store.claimDaily({ date: "2026-10-16", problemId: "p1", createdAt: 1 });
+  await store.claimDaily({ date: "2026-10-19", problemId: "p2", createdAt: 1 });
+  const dates = async query => (await store.listDailies(query)).map(d => d.date);
+  assert.deepEqual(await dates({ before: "2026-10-19", limit: 10 }), ["2026-10-18", "2026-10-16"]);
+  assert.deepEqual(await dates({ before: "2026-10-19", limit: 1 }), ["2026-10-18"]);
+  assert.equal(await store.getDaily("2026-10-17"), null);
+});
+
+test("meta values are set, overwritten and read back", async () => {
+  assert.equal(await store.getMeta("imported"), null);
+  await store.setMeta("imported", "1");
+  await store.setMeta("imported", "2");
+  assert.equal(await store.getMeta("imported"), "2");
+});
+
+test("importData loads everything or nothing", async () => {
+  await store.importData({
+    problems: [problem],
+    users: [{ id: "u1", name: "Ann", passwordHash: "h", passwordSalt: "s", createdAt: 1 }], // role defaults to "user"
+    sessions: [{ token: "t1", userId: "u1", createdAt: 1, expiresAt: 10 }],
+    attempts: [attempt()]
+  });
+  assert.equal((await store.getUser("u1")).role, "user");
+  assert.equal((await store.findSessionUser("t1", 5)).id, "u1");
+  assert.equal((await store.listAttempts()).length, 1);
+
+  await assert.rejects(store.importData({ problems: [{ ...problem, id: "p2" }], attempts: [attempt()] }), /UNIQUE/);
+  assert.equal(await store.getProblem("p2"), null);
+});
@@ -0,0 +1,42 @@
+// server/store.js
+// The repository route handlers talk to. Every method is async so a backend that does
+// real I/O can be dropped in; openStore() is the one place that picks the implementation.
+//
+// Repository:
+//  - listProblems() → problem[]            (insertion order)
+//  - getProblem(id) → problem | null
+//  - createProblem(problem) → problem
+//  - updateProblem(problem) → boolean       (false when the id is unknown)
+//  - deleteProblem(id) → boolean
+//  - countUsers() → number
+//  - getUser(id) / findUserByName(name) → user | null   (names match case-insensitively)
+//  - createUser(user) → user
+//  - updateUserSettings(id, settings) → boolean   (user.settings is null until saved)
+//  - createSession(session) → session       (also drops expired sessions)
+//  - findSessionUser(token, now) → user | null
+//  - deleteSession(token)
+//  - addAttempt(attempt) → attempt
+//  - getAttempt(id) → attempt | null        (with keystrokes and analytics)
+//  - findAttemptByClientId(user, clientId) → attempt | null
+//  - listAttempts(filter) → attempt[]       (oldest first, without keystrokes/analytics)
+//  - listAttemptAnalytics(filter) → { id, analytics }[]
+//  - getDaily(date) → daily | null          (daily: { date, problemId, scheduledBy, createdAt })
+//  - claimDaily(daily) → daily              (stores it unless the date has one; returns the stored one)
+//  - scheduleDaily(daily) → daily           (stores it, replacing the date's problem)
+//  - listDailies({ before, limit }) → daily[]   (dates before `before`, newest first)
+//  - getMeta(key) / setMeta(key, value)
+//  - importData({ problems, users, sessions, attempts })
+//  - close()
+//
+// filter: { user, problemId, language, mode, daily, strictness, verified, from, to } — all optional,
+// from/to are inclusive epoch ms.
+import path from "path";
+import { fileURLToPath } from "url";
+import { createSqliteStore } from "./sqliteStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DB_FILE = process.env.DB_FILE || path.join(__dirname, "db.sqlite");
+
+export function openStore(file = DB_FILE) {
+  return createSqliteStore(file);
+}
@@ -0,0 +1,42 @@
+// server/testServer.js
+// Starts the API for the HTTP tests: a scratch database (DB_FILE) in a temp directory and a
+// random port. index.js opens its store on import, so each test file gets one server.
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+export async function startTestServer() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "typing-server-"));
+  process.env.DB_FILE = path.join(dir, "db.sqlite");
+  const { app, store } = await import("./index.js");
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://localhost:${server.address().port}`;
+
+  // fetch as JSON; resolves to { status, headers, body }, where a body that isn't JSON (a CSV
+  // export) is left as text and an empty one is null
+  async function request(method, url, { body, token } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text || null;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await store.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { store, request, close };
+}
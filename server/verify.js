@@ -0,0 +1,239 @@
+// server/verify.js
+// Recomputes an attempt's score from what was actually typed, so client-reported
+// numbers are only trusted when they agree with the server's own calculation.
+import { resolveVariant } from "./problems.js";
+
+const WPM_TOLERANCE = 2; // absolute wpm slack (rounding, finish-key latency)
+const WPM_TOLERANCE_RATIO = 0.05;
+const ACCURACY_TOLERANCE = 2; // percentage points
+const DURATION_TOLERANCE_MS = 1000;
+const MIN_MEDIAN_INTERVAL_MS = 15; // sustained faster than this is not a human typing
+
+export const MAX_WPM = 300;
+
+// how wrong keys are handled (client typingEngine's STRICTNESS); "free" for older attempts
+export const STRICTNESS = ["free", "stop-on-error", "must-correct"];
+
+export function calcWPM(charsCount, ms) {
+  const words = charsCount / 5;
+  const minutes = ms / 60000;
+  return minutes > 0 ? Math.round(words / minutes) : 0;
+}
+
+// positions in `skip` (auto-indented whitespace) are not the user's keystrokes
+export function calcAccuracy(expected, typed, skip = new Set()) {
+  let typedCount = 0;
+  let correct = 0;
+  typed.forEach((c, i) => {
+    if (c === undefined || skip.has(i)) return;
+    typedCount++;
+    if (c === expected[i]) correct++;
+  });
+  if (!typedCount) return 100;
+  return Math.round((correct / typedCount) * 100);
+}
+
+// --- keystroke scoring, the same definitions as the client's typingEngine ---
+//  - rawWpm: every typed char, right or wrong, kept or deleted, per 5 chars a minute
+//  - wpm (net): raw minus the errors left in the text, per minute
+//  - accuracy: share of typed chars (rejected ones included) that were right when typed
+//  - correctedErrors / uncorrectedErrors: wrong keys later fixed / still in the text
+//  - consistency: 100 minus the coefficient of variation of per-second speed, 0–100
+
+function typedEntries(keystrokes) {
+  return keystrokes.filter(k => k.key !== "Backspace" && !k.auto);
+}
+
+// per-second raw speed (wpm) of a log over durationMs
+export function secondSpeeds(keystrokes, durationMs) {
+  const seconds = Math.max(1, Math.ceil(durationMs / 1000));
+  const chars = new Array(seconds).fill(0);
+  for (const k of typedEntries(keystrokes)) chars[Math.min(seconds - 1, Math.floor(k.t / 1000))]++;
+  return chars.map(n => n * 12);
+}
+
+export function calcConsistency(speeds) {
+  if (speeds.length < 2) return 100;
+  const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+  if (!mean) return 0;
+  const sd = Math.sqrt(speeds.reduce((a, b) => a + (b - mean) ** 2, 0) / speeds.length);
+  return Math.round(Math.max(0, 1 - sd / mean) * 100);
+}
+
+// typed/auto are the replayed final text (replayKeystrokes)
+export function scoreKeystrokes(expected, keystrokes, { typed, auto }, durationMs) {
+  const entries = typedEntries(keystrokes);
+  const wrong = entries.filter(k => k.rejected || k.key !== expected[k.idx]).length;
+  let uncorrectedErrors = 0;
+  typed.forEach((c, i) => {
+    if (c !== undefined && !auto.has(i) && c !== expected[i]) uncorrectedErrors++;
+  });
+  const minutes = durationMs / 60000;
+  return {
+    rawWpm: calcWPM(entries.length, durationMs),
+    wpm: minutes > 0 ? Math.max(0, Math.round((entries.length / 5 - uncorrectedErrors) / minutes)) : 0,
+    accuracy: entries.length ? Math.round(((entries.length - wrong) / entries.length) * 100) : 100,
+    correctedErrors: Math.max(0, wrong - uncorrectedErrors),
+    uncorrectedErrors,
+    consistency: calcConsistency(secondSpeeds(keystrokes, durationMs))
+  };
+}
+
+// replay a keystroke log into the per-position typed chars (same rules as the client)
+export function replayKeystrokes(keystrokes) {
+  const typed = [];
+  const auto = new Set();
+  for (const k of keystrokes) {
+    if (k.rejected) continue;
+    if (k.key === "Backspace") typed[k.idx] = undefined;
+    else typed[k.idx] = k.key;
+    if (k.key !== "Backspace" && k.auto) auto.add(k.idx);
+    else auto.delete(k.idx);
+  }
+  return { typed, auto };
+}
+
+// caret position over time as [[t, pos]], one point per change, for ghost carets.
+// Attempts saved without a log get an evenly paced line from start to end.
+export function progressTrack({ keystrokes = [], rawText = "", durationMs = 0 }) {
+  if (!keystrokes.length) return [[0, 0], [durationMs || 0, [...rawText].length]];
+  const track = [[0, 0]];
+  for (const k of keystrokes) {
+    const pos = k.key === "Backspace" || k.rejected ? k.idx : k.idx + 1;
+    const last = track[track.length - 1];
+    if (k.t === last[0]) last[1] = pos; // auto-indent fills land on the same tick
+    else if (pos !== last[1]) track.push([k.t, pos]);
+  }
+  return track;
+}
+
+// leading whitespace of every line after the first: what auto-indent may fill in
+export function indentPositions(expected) {
+  const positions = new Set();
+  let atLineStart = false;
+  expected.forEach((c, i) => {
+    if (c === "\n") atLineStart = true;
+    else if (atLineStart && (c === " " || c === "\t")) positions.add(i);
+    else atLineStart = false;
+  });
+  return positions;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Score `expected` (array of chars) against a submission and collect disagreements.
+// With a timeLimitMs (timed TypingTest modes) the attempt ends on the clock, so
+// it need not be complete and its duration is the limit itself.
+function checkTyping(expected, submission, { timeLimitMs = null } = {}) {
+  const { keystrokes } = submission;
+  const rawText = typeof submission.rawText === "string" ? submission.rawText : "";
+  const issues = [];
+
+  const indents = indentPositions(expected);
+  let typed;
+  let auto; // positions filled by auto-indent, left out of the score
+  let durationMs = Number(submission.durationMs) || 0;
+  const strictness = submission.strictness ?? "free";
+  const logged = keystrokes.filter(k => k.idx < expected.length);
+
+  if (timeLimitMs && Math.abs(durationMs - timeLimitMs) > DURATION_TOLERANCE_MS) issues.push("duration_mismatch");
+
+  if (keystrokes.length) {
+    ({ typed, auto } = replayKeystrokes(logged));
+    const replayed = typed.filter(c => c !== undefined).join("");
+    if (replayed !== rawText) issues.push("text_mismatch");
+
+    const times = keystrokes.map(k => k.t);
+    if (times.some((t, i) => i > 0 && t < times[i - 1])) issues.push("timing_out_of_order");
+    const loggedMs = times[times.length - 1]; // t is relative to the first keydown
+    if (timeLimitMs) {
+      if (loggedMs > timeLimitMs + DURATION_TOLERANCE_MS) issues.push("duration_mismatch");
+    } else {
+      if (Math.abs(loggedMs - durationMs) > DURATION_TOLERANCE_MS) issues.push("duration_mismatch");
+      durationMs = loggedMs;
+    }
+
+    const intervals = times.slice(1).map((t, i) => t - times[i]);
+    if (intervals.length >= 10 && median(intervals) < MIN_MEDIAN_INTERVAL_MS) issues.push("inhuman_timing");
+
+    // auto-indent may only fill real indentation, with the right chars, when it was on
+    const autoKeys = keystrokes.filter(k => k.auto);
+    if (autoKeys.length && submission.autoIndent !== true) issues.push("unexpected_auto_indent");
+    if (autoKeys.some(k => !indents.has(k.idx) || k.key !== expected[k.idx])) issues.push("invalid_auto_indent");
+
+    // stop-on-error refuses wrong keys (logged as rejected) and writes only right ones
+    const rejectedKeys = keystrokes.filter(k => k.rejected);
+    if (rejectedKeys.length && strictness !== "stop-on-error") issues.push("unexpected_rejected_key");
+    if (rejectedKeys.some(k => k.key === expected[k.idx])) issues.push("invalid_rejected_key");
+    if (strictness === "stop-on-error" && keystrokes.some(k => !k.rejected && k.key !== "Backspace" && k.key !== expected[k.idx])) {
+      issues.push("strictness_violation");
+    }
+  } else {
+    // the final text alone can't show how it was typed (no timing checks), so it is
+    // scored for the user's history but never verified or ranked
+    issues.push("missing_keystrokes");
+    typed = [...rawText].slice(0, expected.length);
+    auto = submission.autoIndent === true ? indents : new Set();
+  }
+  if (timeLimitMs) durationMs = timeLimitMs;
+
+  const completed = expected.length > 0 && expected.every((_, i) => typed[i] !== undefined);
+  let score;
+  if (keystrokes.length) {
+    score = scoreKeystrokes(expected, logged, { typed, auto }, durationMs);
+  } else {
+    // without a log only the final text is known: no fixed mistakes, no per-second speed
+    const typedCount = typed.filter((c, i) => c !== undefined && !auto.has(i)).length;
+    const uncorrectedErrors = typed.filter((c, i) => c !== undefined && !auto.has(i) && c !== expected[i]).length;
+    const minutes = durationMs / 60000;
+    score = {
+      rawWpm: calcWPM(typedCount, durationMs),
+      wpm: minutes > 0 ? Math.max(0, Math.round((typedCount / 5 - uncorrectedErrors) / minutes)) : 0,
+      accuracy: calcAccuracy(expected, typed, auto),
+      correctedErrors: 0,
+      uncorrectedErrors,
+      consistency: null
+    };
+  }
+  const { wpm, accuracy } = score;
+
+  if (!completed && !timeLimitMs) issues.push("incomplete");
+  // must-correct only finishes on a fully correct text
+  if (strictness === "must-correct" && completed && expected.some((c, i) => typed[i] !== c)) issues.push("strictness_violation");
+  if (durationMs <= 0) issues.push("missing_duration");
+  if (Math.abs(Number(submission.wpm) - wpm) > Math.max(WPM_TOLERANCE, wpm * WPM_TOLERANCE_RATIO)) {
+    issues.push("wpm_mismatch");
+  }
+  if (Math.abs(Number(submission.accuracy) - accuracy) > ACCURACY_TOLERANCE) issues.push("accuracy_mismatch");
+
+  return { ...score, durationMs, completed, issues };
+}
+
+/**
+ * Compare a submitted attempt against the problem it claims to be for.
+ * `submission` is { language, autoIndent, rawText, wpm, accuracy, durationMs,
+ * keystrokes } where keystrokes is already sanitized (possibly empty; an empty log
+ * is scored from rawText but reported as "missing_keystrokes").
+ * Returns the server-side numbers (net wpm, rawWpm, accuracy, corrected/uncorrected
+ * errors, consistency, and the language actually scored against)
+ * plus a list of issues; no issues = verified.
+ */
+export function verifyAttempt(problem, submission) {
+  const variant = resolveVariant(problem, submission.language);
+  const result = checkTyping([...variant.text], submission);
+  if ((submission.language ?? null) !== variant.language) result.issues.push("language_mismatch");
+  return { ...result, language: variant.language, verified: result.issues.length === 0 };
+}
+
+/**
+ * Same as verifyAttempt for a TypingTest run, scored against the prompt the
+ * client generated. `mode` is the parsed mode (see modes.js).
+ */
+export function verifyModeAttempt(mode, submission) {
+  const result = checkTyping([...submission.prompt], submission, { timeLimitMs: mode.timeLimitMs });
+  return { ...result, verified: result.issues.length === 0 };
+}
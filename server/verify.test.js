@@ -0,0 +1,179 @@
+// server/verify.test.js — run with `npm test`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { progressTrack, scoreKeystrokes, replayKeystrokes, verifyAttempt, verifyModeAttempt } from "./verify.js";
+import { parseMode } from "./modes.js";
+
+const CODE = "def f(x):\n    return x";
+const problem = { id: "p1", title: "F", text: "Write f.", variants: { python: CODE }, difficulty: "easy" };
+
+// a keystroke log for typing `keys` (one char or "Backspace" each) a key every `gap` ms
+function typeLog(expected, keys, gap = 150) {
+  const log = [];
+  let pos = 0;
+  keys.forEach((key, i) => {
+    if (key === "Backspace") {
+      pos--;
+      log.push({ t: i * gap, key, idx: pos, expected: expected[pos] });
+    } else {
+      log.push({ t: i * gap, key, idx: pos, expected: expected[pos] });
+      pos++;
+    }
+  });
+  return log;
+}
+
+// the body a client would send for `keys`, with its numbers taken from the server's scorer
+function submission(keys, { gap = 150, text = CODE, ...fields } = {}) {
+  const expected = [...text];
+  const keystrokes = typeLog(expected, keys, gap);
+  const { typed, auto } = replayKeystrokes(keystrokes);
+  const durationMs = keystrokes[keystrokes.length - 1].t;
+  const { wpm, accuracy } = scoreKeystrokes(expected, keystrokes, { typed, auto }, durationMs);
+  return { language: "python", rawText: typed.filter(c => c !== undefined).join(""), wpm, accuracy, durationMs, keystrokes, ...fields };
+}
+
+test("a clean log is verified with the server's own numbers", () => {
+  const result = verifyAttempt(problem, submission([...CODE]));
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.verified, true);
+  assert.equal(result.completed, true);
+  assert.equal(result.accuracy, 100);
+  assert.equal(result.correctedErrors, 0);
+  assert.equal(result.uncorrectedErrors, 0);
+});
+
+test("an attempt without a keystroke log is scored but never verified", () => {
+  const body = { language: "python", rawText: CODE, wpm: 80, accuracy: 100, durationMs: 3300, keystrokes: [] };
+  const result = verifyAttempt(problem, body);
+  assert.equal(result.verified, false);
+  assert.deepEqual(result.issues, ["missing_keystrokes"]);
+  assert.equal(result.wpm, 80);
+  assert.equal(result.consistency, null);
+});
+
+test("inflated claims and edited text are flagged", () => {
+  const body = submission([...CODE]);
+  assert.ok(verifyAttempt(problem, { ...body, wpm: body.wpm * 2 }).issues.includes("wpm_mismatch"));
+  assert.ok(verifyAttempt(problem, { ...body, accuracy: body.accuracy - 10 }).issues.includes("accuracy_mismatch"));
+  assert.ok(verifyAttempt(problem, { ...body, rawText: CODE.toUpperCase() }).issues.includes("text_mismatch"));
+  assert.ok(verifyAttempt(problem, { ...body, durationMs: body.durationMs + 5000 }).issues.includes("duration_mismatch"));
+});
+
+test("machine-speed logs and unfinished text are not verified", () => {
+  assert.ok(verifyAttempt(problem, submission([...CODE], { gap: 5 })).issues.includes("inhuman_timing"));
+  const partial = verifyAttempt(problem, submission([...CODE].slice(0, 10)));
+  assert.equal(partial.completed, false);
+  assert.ok(partial.issues.includes("incomplete"));
+});
+
+test("a fixed mistake is a corrected error; a kept one lowers net speed", () => {
+  const keys = [...CODE];
+  const fixed = verifyAttempt(problem, submission([...keys.slice(0, 3), "#", "Backspace", ...keys.slice(3)]));
+  assert.deepEqual(fixed.issues, []);
+  assert.equal(fixed.correctedErrors, 1);
+  assert.equal(fixed.uncorrectedErrors, 0);
+  assert.ok(fixed.accuracy < 100);
+
+  const kept = verifyAttempt(problem, submission([...keys.slice(0, 3), "#", ...keys.slice(4)]));
+  assert.deepEqual(kept.issues, []);
+  assert.equal(kept.uncorrectedErrors, 1);
+  assert.ok(kept.wpm < kept.rawWpm);
+});
+
+test("strictness modes are held to their rules", () => {
+  const keys = [...CODE];
+  // must-correct can't finish with a wrong char left in
+  const wrong = submission([...keys.slice(0, 3), "#", ...keys.slice(4)], { strictness: "must-correct" });
+  assert.ok(verifyAttempt(problem, wrong).issues.includes("strictness_violation"));
+  // stop-on-error never writes a wrong char
+  const written = submission([...keys.slice(0, 3), "#", "Backspace", ...keys.slice(3)], { strictness: "stop-on-error" });
+  assert.ok(verifyAttempt(problem, written).issues.includes("strictness_violation"));
+  // rejected keys only belong to stop-on-error
+  const body = submission(keys);
+  const rejected = { t: 0, key: "#", idx: 0, expected: "d", rejected: true };
+  const log = [rejected, ...body.keystrokes];
+  assert.ok(verifyAttempt(problem, { ...body, keystrokes: log }).issues.includes("unexpected_rejected_key"));
+});
+
+test("an answer in another language than the one claimed is flagged", () => {
+  const result = verifyAttempt(problem, submission([...CODE], { language: "go" }));
+  assert.equal(result.language, "python");
+  assert.ok(result.issues.includes("language_mismatch"));
+});
+
+test("timed modes are scored over the time limit", () => {
+  const mode = parseMode("time-15");
+  const prompt = "alpha beta gamma delta";
+  const body = submission([...prompt.slice(0, 10)], { text: prompt, prompt, durationMs: 15000 });
+  const { wpm, accuracy } = scoreKeystrokes([...prompt], body.keystrokes, replayKeystrokes(body.keystrokes), 15000);
+  const result = verifyModeAttempt(mode, { ...body, wpm, accuracy });
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.durationMs, 15000);
+});
+
+test("a log that was reordered or tampered with is not verified", () => {
+  const body = submission([...CODE]);
+  const log = body.keystrokes;
+  const check = keystrokes => verifyAttempt(problem, { ...body, keystrokes });
+
+  const swapped = [...log];
+  [swapped[3], swapped[4]] = [swapped[4], swapped[3]];
+  assert.ok(check(swapped).issues.includes("timing_out_of_order"));
+  assert.equal(check(swapped).verified, false);
+
+  // a key changed after the fact no longer replays into the submitted text
+  const edited = log.map((k, i) => (i === 5 ? { ...k, key: "Z" } : k));
+  assert.ok(check(edited).issues.includes("text_mismatch"));
+
+  // dropping keys leaves the text unfinished and the log out of step with it
+  const dropped = check(log.slice(0, -3));
+  assert.equal(dropped.verified, false);
+  assert.ok(dropped.issues.includes("text_mismatch"));
+  assert.ok(dropped.issues.includes("incomplete"));
+
+  // squeezing the times to claim a faster run breaks the duration and the pace checks
+  const squeezed = check(log.map(k => ({ ...k, t: Math.round(k.t / 30) })));
+  assert.ok(squeezed.issues.includes("duration_mismatch"));
+  assert.ok(squeezed.issues.includes("inhuman_timing"));
+
+  assert.deepEqual(check(log).issues, [], "the untouched log still passes");
+});
+
+// where the caret is after each key of `keystrokes`, read off `track`
+function caretAt(track, t) {
+  return track.filter(([at]) => at <= t).at(-1)[1];
+}
+
+test("the progress track follows the caret through every keystroke", () => {
+  const keys = [..."def", "x", "Backspace", ..." f(x):\n"];
+  const { keystrokes, durationMs, rawText } = submission(keys);
+  const track = progressTrack({ keystrokes, durationMs, rawText });
+  assert.equal(track[0][0], 0, "starts with the first key");
+  // one point per change, in time order
+  assert.ok(track.every(([t, pos], i) => i === 0 || (t > track[i - 1][0] && pos !== track[i - 1][1])));
+  let pos = 0;
+  for (const k of keystrokes) {
+    pos = k.key === "Backspace" ? k.idx : k.idx + 1;
+    assert.equal(caretAt(track, k.t), pos, `after ${JSON.stringify(k.key)} at ${k.t}`);
+  }
+  assert.equal(track.at(-1)[1], [..."def f(x):\n"].length);
+});
+
+test("auto-indent and refused keys move the caret as they did on screen", () => {
+  const keystrokes = [
+    { t: 0, key: "a", idx: 0, expected: "a" },
+    { t: 150, key: "\n", idx: 1, expected: "\n" },
+    { t: 150, key: " ", idx: 2, expected: " ", auto: true },
+    { t: 150, key: " ", idx: 3, expected: " ", auto: true },
+    { t: 300, key: "x", idx: 4, expected: "b", rejected: true },
+    { t: 450, key: "b", idx: 4, expected: "b" }
+  ];
+  // the indent lands with the newline, and a refused key leaves the caret where it was
+  assert.deepEqual(progressTrack({ keystrokes }), [[0, 1], [150, 4], [450, 5]]);
+});
+
+test("an attempt without a log gets an evenly paced track", () => {
+  assert.deepEqual(progressTrack({ rawText: "héllo", durationMs: 4000 }), [[0, 0], [4000, 5]]);
+  assert.deepEqual(progressTrack({}), [[0, 0], [0, 0]]);
+});